@@ -14,6 +14,19 @@ const MecobeDashboard = (function() {
     buttonId: 'mecobe-print-btn',
     buttonText: 'Imprimir Dashboard',
     debug: true,
+    // Doctor fields offered as select filters when the data has 2+ values
+    dimensionFilters: [
+      { key: 'sheet', label: 'Planilha' },
+      { key: 'uf', label: 'UF' },
+      { key: 'city', label: 'Cidade' },
+      { key: 'institution', label: 'Instituição' },
+      { key: 'rep', label: 'Representante' },
+      { key: 'assignedRep', label: 'Representante atribuído' }
+    ],
+    // "No interaction" filter: doctors without a visit, call or event in this many days
+    staleInteractionDays: 60,
+    // State shapes for the geographic view: a GeoJSON whose features have a `sigla` (UF) property
+    geoJsonPath: './data/brasil-ufs.geojson',
     printWindow: {
       width: 1200,
       height: 800,
@@ -80,6 +93,94 @@ const MecobeDashboard = (function() {
         clearTimeout(timeout);
         timeout = setTimeout(later, wait);
       };
+    },
+
+    /**
+     * Escape text for safe interpolation into HTML templates
+     * @param {*} value - Value to escape
+     * @returns {string}
+     */
+    escapeHTML(value) {
+      return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Lowercase text without accents, for comparisons ("Ginecologia" matches "ginecológia")
+     * @param {*} value - Text to fold
+     * @returns {string}
+     */
+    fold(value) {
+      return String(value === null || value === undefined ? '' : value)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+    },
+
+    /**
+     * Keep Tab/Shift+Tab focus inside a container
+     * @param {Element} container - Element that owns the focus
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    trapFocus(container, event) {
+      if (event.key !== 'Tab') return;
+      
+      const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+      const focusable = Array.from(this.queryAll(selector, container))
+        .filter(el => !el.closest('[hidden]'));
+      
+      if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+      }
+      
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    },
+
+    /**
+     * Build a CSV document (semicolon separated, as Excel pt-BR expects)
+     * @param {Array<string>} headers - Header row
+     * @param {Array<Array>} rows - Data rows
+     * @returns {string}
+     */
+    toCSV(headers, rows) {
+      const quote = (value) => {
+        const text = String(value === null || value === undefined ? '' : value);
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      return [headers].concat(rows).map(row => row.map(quote).join(';')).join('\r\n');
+    },
+
+    /**
+     * Offer text content as a file download
+     * @param {string} content - File contents
+     * @param {string} fileName - Suggested file name
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, fileName, type = 'text/csv;charset=utf-8') {
+      // BOM so Excel opens UTF-8 CSV files with the right accents; other formats go as is
+      const blob = new Blob(type.startsWith('text/csv') ? ['\ufeff', content] : [content], { type });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
     }
   };
 
@@ -87,6 +188,7 @@ const MecobeDashboard = (function() {
   const medicalData = {
     doctors: [], // Will be populated from Excel
     isLoaded: false,
+    source: null, // Name of the loaded spreadsheet
     
     async loadFromExcel() {
       try {
@@ -96,11 +198,12 @@ const MecobeDashboard = (function() {
           throw new Error('ExcelLoader não encontrado');
         }
         
-        const loadedDoctors = await ExcelLoader.loadData();
+        const loadedDoctors = await ExcelLoader.loadData(null, this.getLoadOptions());
         
-        if (loadedDoctors && loadedDoctors.length > 0) {
+        if (loadedDoctors && (loadedDoctors.length > 0 || this.hasRejectedRows())) {
           this.doctors = loadedDoctors;
           this.isLoaded = true;
+          this.source = ExcelLoader.config.excelFilePath.split('/').pop();
           utils.log(`${loadedDoctors.length} médicos carregados da planilha`);
           
           // Trigger data refresh in UI
@@ -121,11 +224,74 @@ const MecobeDashboard = (function() {
         // Load fallback data
         this.doctors = this.getFallbackData();
         this.isLoaded = true;
+        this.source = null;
         utils.log('Usando dados de fallback');
         
         return this.doctors;
       }
     },
+
+    /**
+     * Load doctors from a spreadsheet chosen by the user.
+     * Errors are rethrown and the current data is kept.
+     * @param {File} file - Local spreadsheet file
+     * @returns {Promise<Array>}
+     */
+    async loadFromFile(file) {
+      utils.log(`Carregando arquivo local: ${file.name}`);
+      const loadedDoctors = await ExcelLoader.loadFromFile(file, this.getLoadOptions());
+      return this.replaceDoctors(loadedDoctors, file.name);
+    },
+
+    /**
+     * Reopen a spreadsheet from the recent files list
+     * @param {string} id - Recent file id
+     * @param {string} name - File name shown as data source
+     * @returns {Promise<Array>}
+     */
+    async loadRecentFile(id, name) {
+      utils.log(`Reabrindo arquivo recente: ${name}`);
+      const loadedDoctors = await ExcelLoader.loadRecentFile(id, this.getLoadOptions());
+      return this.replaceDoctors(loadedDoctors, name);
+    },
+
+    /**
+     * Process the current spreadsheet again with extra load options
+     * @param {Object} options - Extra ExcelLoader options
+     * @returns {Promise<Array>}
+     */
+    async reprocess(options = {}) {
+      const loadedDoctors = await ExcelLoader.reprocess({ ...this.getLoadOptions(), ...options });
+      return this.replaceDoctors(loadedDoctors, this.source);
+    },
+
+    // Hooks that let ExcelLoader ask the user for decisions while loading
+    getLoadOptions() {
+      return {
+        onMappingRequired: (request) => mappingModule.prompt(request),
+        onSheetSelection: (request) => sheetModule.prompt(request),
+        onDuplicatesFound: (request) => duplicatesModule.prompt(request)
+      };
+    },
+
+    // True when the last load had rows rejected by validation (see validationModule)
+    hasRejectedRows() {
+      const report = ExcelLoader.getValidationReport();
+      return Boolean(report && report.excludedRows > 0);
+    },
+
+    replaceDoctors(loadedDoctors, source) {
+      if (!loadedDoctors || (loadedDoctors.length === 0 && !this.hasRejectedRows())) {
+        throw new Error('Nenhum médico válido encontrado no arquivo');
+      }
+
+      this.doctors = loadedDoctors;
+      this.isLoaded = true;
+      this.source = source;
+      utils.log(`${loadedDoctors.length} médicos carregados de ${source}`);
+
+      return this.doctors;
+    },
     
     getFallbackData() {
       return [
@@ -155,15 +321,55 @@ const MecobeDashboard = (function() {
       return this.doctors.filter(doctor => doctor.segment === segment);
     },
 
+    /**
+     * Distinct non-empty values of a doctor field, sorted
+     * @param {string} key - Doctor field
+     * @returns {Array<string>}
+     */
+    getDistinctValues(key) {
+      const values = new Set();
+      this.doctors.forEach(doctor => {
+        const value = doctor[key];
+        if (value !== undefined && value !== null && value !== '') {
+          values.add(String(value));
+        }
+      });
+      return Array.from(values).sort((a, b) => a.localeCompare(b, 'pt-BR'));
+    },
+
+    /**
+     * Names of the extra spreadsheet columns, in the order first seen
+     * @param {Array} [doctors] - Doctors to inspect, all by default
+     * @returns {Array<string>}
+     */
+    getExtraColumns(doctors = this.doctors) {
+      const names = new Set();
+      doctors.forEach(doctor => {
+        Object.keys(doctor.extra || {}).forEach(name => names.add(name));
+      });
+      return Array.from(names);
+    },
+
+    /**
+     * Doctors with a CRM registration (merged records are one doctor)
+     * @param {string|number} crm - CRM number, with or without the UF ("MG0018561")
+     * @param {string} [uf] - State of the registration
+     * @returns {Array}
+     */
+    findByCRM(crm, uf = '') {
+      const parsed = ExcelLoader.parseCRM(crm);
+      const state = ExcelLoader.parseUF(uf) || parsed.uf;
+      return this.doctors.filter(doctor =>
+        doctor.crm === parsed.number && (!state || !doctor.uf || doctor.uf === state)
+      );
+    },
+
     getBySpecialty(specialty) {
-      return this.doctors.filter(doctor => doctor.specialty === specialty);
+      return this.doctors.filter(doctor => doctor.specialty === specialty || doctor.subspecialty === specialty);
     },
 
     search(query) {
-      const searchTerm = query.toLowerCase();
-      return this.doctors.filter(doctor => 
-        doctor.name.toLowerCase().includes(searchTerm)
-      );
+      return searchModule.search(this.doctors, query);
     },
 
     filterByPriority(priority) {
@@ -191,9 +397,18 @@ const MecobeDashboard = (function() {
       specialty: '',
       volume: { min: 0, max: 100 },
       affinity: { min: 0, max: 100 },
-      quickFilters: []
+      quickFilters: [],
+      dimensions: {},
+      interaction: '', // '', 'stale' or 'due' (see interactionsModule.matches)
+      query: '', // Advanced query text (see queryModule)
+      region: null // { volume: {min, max}, affinity: {min, max} } brushed in the scatter plot
     },
 
+    histogramBins: 20, // Bars behind each volume/affinity slider
+
+    filteredDoctors: [], // Result of the last applyFilters, used by exports
+    regionCandidates: [], // Doctors passing every filter except the region, drawn by the scatter plot
+
     isInitialized: false,
 
     init() {
@@ -203,6 +418,8 @@ const MecobeDashboard = (function() {
       
       this.bindEvents();
       this.setupRangeSliders();
+      this.renderDimensionFilters();
+      this.renderSpecialtyOptions();
       this.updateFilterCount();
       
       this.isInitialized = true;
@@ -252,13 +469,24 @@ const MecobeDashboard = (function() {
         });
       }
 
-      // Quick filter buttons
-      const quickFilterBtns = utils.queryAll('.quick-filter-btn');
-      quickFilterBtns.forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          this.toggleQuickFilter(btn.dataset.filter, btn);
+      // Data-driven dimension selects (sheet, ...)
+      const dimensionFilters = utils.query('#dimension-filters');
+      if (dimensionFilters) {
+        dimensionFilters.addEventListener('change', (e) => {
+          if (e.target.dataset.dimension) {
+            this.updateDimensionFilter(e.target.dataset.dimension, e.target.value);
+          }
         });
-      });
+      }
+
+      // Quick filter buttons (rendered from the priority rules, see priorityModule)
+      const quickFilters = utils.query('#quick-filters');
+      if (quickFilters) {
+        quickFilters.addEventListener('click', (e) => {
+          const btn = e.target.closest('.quick-filter-btn');
+          if (btn) this.toggleQuickFilter(btn.dataset.filter, btn);
+        });
+      }
 
       // Clear filters button
       const clearBtn = utils.query('#clear-filters');
@@ -276,21 +504,27 @@ const MecobeDashboard = (function() {
         });
       }
 
-      // Range sliders
-      const volumeRange = utils.query('#volume-range');
-      const affinityRange = utils.query('#affinity-range');
-      
-      if (volumeRange) {
-        volumeRange.addEventListener('input', (e) => {
-          this.updateVolumeRange(parseInt(e.target.value));
+      // Volume/affinity ranges: two sliders and two number inputs per axis
+      utils.queryAll('.range-item[data-range]').forEach(item => {
+        const axis = item.dataset.range;
+        const update = (input) => {
+          const value = Number(input.value);
+          if (input.value === '' || !Number.isFinite(value)) {
+            this.syncRangeControls(axis);
+            return;
+          }
+          const { min, max } = this.currentFilters[axis];
+          if (input.dataset.bound === 'min') this.setRange(axis, value, max);
+          else this.setRange(axis, min, value);
+        };
+        
+        utils.queryAll('.range-input', item).forEach(slider => {
+          slider.addEventListener('input', (e) => update(e.target));
         });
-      }
-      
-      if (affinityRange) {
-        affinityRange.addEventListener('input', (e) => {
-          this.updateAffinityRange(parseInt(e.target.value));
+        utils.queryAll('.range-number', item).forEach(input => {
+          input.addEventListener('change', (e) => update(e.target));
         });
-      }
+      });
     },
 
     toggleFiltersPanel() {
@@ -303,7 +537,8 @@ const MecobeDashboard = (function() {
       const newState = !isExpanded;
       
       toggleBtn.setAttribute('aria-expanded', newState);
-      filtersPanel.setAttribute('aria-hidden', !newState);
+      // inert keeps the collapsed panel's controls out of the tab order and the accessibility tree
+      filtersPanel.toggleAttribute('inert', !newState);
       
       utils.log(`Filtros ${newState ? 'expandidos' : 'recolhidos'}`);
     },
@@ -347,28 +582,151 @@ const MecobeDashboard = (function() {
       utils.log(`Filtro de especialidade: ${specialty || 'todas'}`);
     },
 
-    updateVolumeRange(value) {
-      // For simplicity, using single slider as minimum threshold
-      this.currentFilters.volume.min = value;
-      
-      const valueDisplay = utils.query('#volume-value');
-      if (valueDisplay) {
-        valueDisplay.textContent = `${value}%`;
+    updateInteractionFilter(value) {
+      this.currentFilters.interaction = value;
+      this.applyFilters();
+      utils.log(`Filtro de interações: ${value || 'todos'}`);
+    },
+
+    updateQueryFilter(text) {
+      this.currentFilters.query = text;
+      this.applyFilters();
+      utils.log(`Consulta avançada: ${text || 'nenhuma'}`);
+    },
+
+    updateDimensionFilter(key, value) {
+      if (value) {
+        this.currentFilters.dimensions[key] = value;
+      } else {
+        delete this.currentFilters.dimensions[key];
       }
       
       this.applyFilters();
+      utils.log(`Filtro de ${key}: ${value || 'todos'}`);
     },
 
-    updateAffinityRange(value) {
-      // For simplicity, using single slider as minimum threshold
-      this.currentFilters.affinity.min = value;
+    /**
+     * Build a select for every configured dimension with 2+ values in the data
+     */
+    renderDimensionFilters() {
+      const group = utils.query('#dimension-filters-group');
+      const container = utils.query('#dimension-filters');
+      if (!group || !container) return;
       
-      const valueDisplay = utils.query('#affinity-value');
-      if (valueDisplay) {
-        valueDisplay.textContent = `${value}%`;
+      const dimensions = CONFIG.dimensionFilters
+        .map(dimension => ({ ...dimension, values: medicalData.getDistinctValues(dimension.key) }))
+        .filter(dimension => dimension.values.length > 1);
+      
+      group.hidden = dimensions.length === 0;
+      container.innerHTML = dimensions.map(dimension => {
+        const selected = this.currentFilters.dimensions[dimension.key] || '';
+        const options = dimension.values.map(value => {
+          const escaped = utils.escapeHTML(value);
+          return `<option value="${escaped}"${value === selected ? ' selected' : ''}>${escaped}</option>`;
+        }).join('');
+        
+        return `
+          <div class="dimension-filter">
+            <label for="dimension-${dimension.key}" class="range-label">${utils.escapeHTML(dimension.label)}</label>
+            <div class="select-wrapper">
+              <select id="dimension-${dimension.key}" class="filter-select" data-dimension="${dimension.key}">
+                <option value="">Todos</option>
+                ${options}
+              </select>
+            </div>
+          </div>
+        `;
+      }).join('');
+    },
+
+    /**
+     * Refresh data-driven filter options after a new dataset is loaded
+     */
+    onDataLoaded() {
+      this.currentFilters.dimensions = {};
+      this.renderDimensionFilters();
+      this.renderSpecialtyOptions();
+      this.clearAllFilters();
+    },
+
+    // Minimum only, kept for the public API (setVolumeMin/setAffinityMin)
+    updateVolumeRange(value) {
+      this.setRange('volume', value, this.currentFilters.volume.max);
+    },
+
+    updateAffinityRange(value) {
+      this.setRange('affinity', value, this.currentFilters.affinity.max);
+    },
+
+    /**
+     * Filter an axis to a 0-100 score range; a bound moved past the other
+     * one stops at it, and a bound at 0 or 100 leaves that side open
+     * @param {string} axis - 'volume' or 'affinity'
+     * @param {number} min - Lowest score kept
+     * @param {number} max - Highest score kept
+     */
+    setRange(axis, min, max) {
+      const current = this.currentFilters[axis];
+      const clamp = value => Math.min(Math.max(Math.round(value), 0), 100);
+      let low = clamp(min);
+      let high = clamp(max);
+      if (low > high) {
+        if (low !== current.min) low = high;
+        else high = low;
       }
       
+      this.currentFilters[axis] = { min: low, max: high };
+      this.syncRangeControls(axis);
       this.applyFilters();
+      utils.log(`Filtro de ${axis}: ${low}–${high}`);
+    },
+
+    // Sliders, number inputs and label of an axis from currentFilters
+    syncRangeControls(axis) {
+      const item = utils.query(`.range-item[data-range="${axis}"]`);
+      if (!item) return;
+      
+      const { min, max } = this.currentFilters[axis];
+      utils.queryAll('.range-input, .range-number', item).forEach(input => {
+        input.value = input.dataset.bound === 'min' ? min : max;
+      });
+      
+      const valueDisplay = utils.query(`#${axis}-value`);
+      if (valueDisplay) valueDisplay.textContent = `${min}–${max}`;
+      
+      const wrapper = utils.query('.range-wrapper', item);
+      wrapper.style.setProperty('--range-min', `${min}%`);
+      wrapper.style.setProperty('--range-max', `${max}%`);
+      // With both thumbs at the top the min one must stay on top to be draggable
+      wrapper.classList.toggle('range-wrapper--min-on-top', min > 50);
+    },
+
+    /**
+     * Score distribution behind each slider, for the doctors passing the
+     * other filters; bars inside the selected range are highlighted
+     */
+    renderHistograms() {
+      ['volume', 'affinity'].forEach(axis => {
+        const container = utils.query(`#${axis}-histogram`);
+        if (!container) return;
+        
+        const bins = Array(this.histogramBins).fill(0);
+        const size = 100 / this.histogramBins;
+        this.filterDoctorsExcept([axis]).forEach(doctor => {
+          const value = Number(doctor[axis]);
+          if (!Number.isFinite(value)) return;
+          bins[Math.min(Math.max(Math.floor(value / size), 0), this.histogramBins - 1)]++;
+        });
+        
+        const highest = Math.max(...bins, 1);
+        const { min, max } = this.currentFilters[axis];
+        container.innerHTML = bins.map((count, index) => {
+          const from = index * size;
+          const to = from + size;
+          const selected = to > min && from <= max;
+          return `<span class="range-bar${selected ? ' range-bar--selected' : ''}" style="height: ${count / highest * 100}%" title="${from}–${to}: ${count} médicos"></span>`;
+        }).join('');
+      });
     },
 
     toggleQuickFilter(filterType, buttonElement) {
@@ -388,296 +746,5376 @@ const MecobeDashboard = (function() {
       utils.log(`Filtro rápido ${isActive ? 'removido' : 'adicionado'}: ${filterType}`);
     },
 
-    applyFilters() {
+    /**
+     * Doctors matching a set of filters
+     * @param {Object} [filters] - Same shape as currentFilters
+     * @returns {Array} Matching doctors
+     */
+    filterDoctors(filters = this.currentFilters) {
       let filteredDoctors = [...medicalData.doctors];
       
-      // Apply search filter
-      if (this.currentFilters.search) {
-        filteredDoctors = filteredDoctors.filter(doctor =>
-          doctor.name.toLowerCase().includes(this.currentFilters.search.toLowerCase())
-        );
+      // Apply search filter; the best matches come first and the order is
+      // kept by the filters below
+      if (filters.search) {
+        filteredDoctors = searchModule.search(filteredDoctors, filters.search);
       }
       
       // Apply segment filters
-      if (this.currentFilters.segments.length > 0) {
+      if (filters.segments.length > 0) {
         filteredDoctors = filteredDoctors.filter(doctor =>
-          this.currentFilters.segments.includes(doctor.segment)
+          filters.segments.includes(doctor.segment)
         );
       }
       
-      // Apply specialty filter
-      if (this.currentFilters.specialty) {
+      // Apply specialty filter (a specialty includes its sub-specialties)
+      if (filters.specialty) {
         filteredDoctors = filteredDoctors.filter(doctor =>
-          doctor.specialty === this.currentFilters.specialty
+          doctor.specialty === filters.specialty ||
+          doctor.subspecialty === filters.specialty
         );
       }
       
       // Apply volume filter
-      filteredDoctors = filteredDoctors.filter(doctor =>
-        doctor.volume >= this.currentFilters.volume.min
-      );
+      filteredDoctors = filteredDoctors.filter(doctor => this.inRange(doctor.volume, filters.volume));
       
       // Apply affinity filter
-      filteredDoctors = filteredDoctors.filter(doctor =>
-        doctor.affinity >= this.currentFilters.affinity.min
-      );
+      filteredDoctors = filteredDoctors.filter(doctor => this.inRange(doctor.affinity, filters.affinity));
+      
+      // Apply dimension filters
+      Object.entries(filters.dimensions).forEach(([key, value]) => {
+        filteredDoctors = filteredDoctors.filter(doctor => String(doctor[key]) === value);
+      });
       
       // Apply quick filters
-      if (this.currentFilters.quickFilters.length > 0) {
+      if (filters.quickFilters.length > 0) {
         filteredDoctors = filteredDoctors.filter(doctor =>
-          this.currentFilters.quickFilters.some(filter => doctor.priority === filter.replace('-', '_'))
+          filters.quickFilters.includes(doctor.priority)
         );
       }
-      
-      this.updateUI(filteredDoctors);
-      this.updateFilterCount();
-      this.updateResultsSummary(filteredDoctors);
+      
+      // Apply the interaction filter (no recent interaction, follow-up due)
+      if (filters.interaction) {
+        filteredDoctors = filteredDoctors.filter(doctor => interactionsModule.matches(doctor, filters.interaction));
+      }
+      
+      // Apply the advanced query (builder or text syntax)
+      if (filters.query) {
+        const predicate = queryModule.predicate(filters.query);
+        filteredDoctors = filteredDoctors.filter(doctor => predicate(doctor));
+      }
+      
+      // Apply the region brushed in the scatter plot
+      if (filters.region) {
+        filteredDoctors = filteredDoctors.filter(doctor => this.inRegion(doctor, filters.region));
+      }
+      
+      return filteredDoctors;
+    },
+
+    /**
+     * Doctors matching every current filter except some, for views that
+     * show the alternatives to their own filter (scatter region, map UF)
+     * @param {Array<string>} keys - Filter keys ('region', 'segments', ...) or
+     *   dimension keys to ignore
+     */
+    filterDoctorsExcept(keys) {
+      const cleared = {
+        search: '',
+        segments: [],
+        specialty: '',
+        volume: { min: 0, max: 100 },
+        affinity: { min: 0, max: 100 },
+        quickFilters: [],
+        interaction: '',
+        query: '',
+        region: null
+      };
+      const filters = { ...this.currentFilters, dimensions: { ...this.currentFilters.dimensions } };
+      keys.forEach(key => {
+        if (key in cleared) filters[key] = cleared[key];
+        else delete filters.dimensions[key];
+      });
+      return this.filterDoctors(filters);
+    },
+
+    applyFilters() {
+      const filteredDoctors = this.filterDoctors();
+      this.regionCandidates = this.currentFilters.region ? this.filterDoctorsExcept(['region']) : filteredDoctors;
+      
+      this.filteredDoctors = filteredDoctors;
+      this.updateUI(filteredDoctors);
+      this.updateFilterCount();
+      this.updateResultsSummary(filteredDoctors);
+      detailModule.refresh();
+      this.renderHistograms();
+      scatterModule.render();
+      geoModule.render();
+      analyticsModule.render();
+      urlModule.update();
+    },
+
+    // A bound left at the end of its slider doesn't limit, so raw scores
+    // outside 0-100 (normalization 'none') stay visible until it is moved
+    inRange(value, { min, max }) {
+      return (min <= 0 || value >= min) && (max >= 100 || value <= max);
+    },
+
+    inRegion(doctor, region) {
+      return doctor.volume >= region.volume.min && doctor.volume <= region.volume.max &&
+        doctor.affinity >= region.affinity.min && doctor.affinity <= region.affinity.max;
+    },
+
+    /**
+     * Filter by a volume × affinity rectangle (0-100 scores)
+     * @param {Object|null} region - { volume: {min, max}, affinity: {min, max} }, null clears it
+     */
+    setRegion(region) {
+      this.currentFilters.region = region;
+      this.applyFilters();
+    },
+
+    updateUI(filteredDoctors) {
+      // Group doctors by segment
+      const segments = {
+        blindar: filteredDoctors.filter(d => d.segment === 'blindar'),
+        incentivar: filteredDoctors.filter(d => d.segment === 'incentivar'),
+        avaliar: filteredDoctors.filter(d => d.segment === 'avaliar'),
+        conquistar: filteredDoctors.filter(d => d.segment === 'conquistar')
+      };
+      
+      // Update each quadrant
+      Object.keys(segments).forEach(segment => {
+        this.updateQuadrant(segment, segments[segment]);
+      });
+      
+      // Update KPIs
+      this.updateKPIs(filteredDoctors);
+    },
+
+    updateQuadrant(segmentKey, doctors) {
+      const segmentMap = {
+        blindar: 'q1',
+        incentivar: 'q2', 
+        avaliar: 'q3',
+        conquistar: 'q4'
+      };
+      
+      const quadrantId = segmentMap[segmentKey];
+      const cardBody = utils.query(`[aria-labelledby="${quadrantId}-title"] .card-body`);
+      const cardFooter = utils.query(`[aria-labelledby="${quadrantId}-title"] .card-footer`);
+      
+      if (!cardBody || !cardFooter) return;
+      
+      if (doctors.length === 0) {
+        cardBody.innerHTML = '<div class="empty-state">Nenhum médico encontrado com os filtros aplicados</div>';
+        cardFooter.textContent = '0 médicos neste segmento';
+      } else {
+        const doctorsList = doctors.map(doctor => {
+          const specialtyText = this.getSpecialtyDisplayName(doctor.subspecialty || doctor.specialty);
+          return `
+            <li data-doctor-id="${utils.escapeHTML(doctor.id)}">
+              <button type="button" class="doctor-link" data-doctor-id="${utils.escapeHTML(doctor.id)}">
+                ${searchModule.highlight(doctor, 'name', doctor.name)} - ${searchModule.highlight(doctor, 'specialty', specialtyText)}
+                <span class="doctor-values">${utils.escapeHTML(this.formatScores(doctor))}</span>
+              </button>
+            </li>
+          `;
+        }).join('');
+        
+        cardBody.innerHTML = `<ul class="medical-list" aria-label="Lista de médicos do quadrante ${segmentKey}">${doctorsList}</ul>`;
+        cardFooter.textContent = `${doctors.length} médicos neste segmento`;
+      }
+    },
+
+    // Values as read from the sheet, with the 0-100 score when a scale changed them
+    formatScores(doctor) {
+      const raw = doctor.raw || {};
+      const format = (label, axis) => {
+        const rawValue = raw[axis] === undefined ? doctor[axis] : raw[axis];
+        const text = `${label} ${Number(rawValue).toLocaleString('pt-BR', { maximumFractionDigits: 2 })}`;
+        return rawValue === doctor[axis] ? text : `${text} (${doctor[axis]})`;
+      };
+      return `${format('Volume', 'volume')} · ${format('Afinidade', 'affinity')}`;
+    },
+
+    updateKPIs(filteredDoctors) {
+      const totalMedicos = utils.query('.kpi-card:nth-of-type(1) .kpi-value');
+      const segmentados = utils.query('.kpi-card:nth-of-type(2) .kpi-value');
+      const oportunidades = utils.query('.kpi-card:nth-of-type(4) .kpi-value');
+      
+      if (totalMedicos) {
+        totalMedicos.textContent = filteredDoctors.length.toLocaleString();
+      }
+      
+      if (segmentados) {
+        const percentage = filteredDoctors.length > 0 ? 
+          ((filteredDoctors.length / medicalData.doctors.length) * 100).toFixed(1) : 0;
+        segmentados.textContent = filteredDoctors.length.toLocaleString();
+        
+        const segmentadosDesc = utils.query('.kpi-card:nth-of-type(2) .kpi-sub');
+        if (segmentadosDesc) {
+          segmentadosDesc.textContent = `${percentage}% da base total`;
+        }
+      }
+      
+      if (oportunidades) {
+        const opportunityKeys = ExcelLoader.priorities.opportunityKeys();
+        const highPriority = filteredDoctors.filter(d => opportunityKeys.includes(d.priority)).length;
+        oportunidades.textContent = highPriority.toLocaleString();
+      }
+      
+      revenueModule.update(filteredDoctors);
+    },
+
+    updateFilterCount() {
+      let activeCount = 0;
+      
+      // Count active filters
+      if (this.currentFilters.search) activeCount++;
+      activeCount += this.currentFilters.segments.length;
+      if (this.currentFilters.specialty) activeCount++;
+      ['volume', 'affinity'].forEach(axis => {
+        const { min, max } = this.currentFilters[axis];
+        if (min > 0 || max < 100) activeCount++;
+      });
+      activeCount += this.currentFilters.quickFilters.length;
+      activeCount += Object.keys(this.currentFilters.dimensions).length;
+      if (this.currentFilters.interaction) activeCount++;
+      if (this.currentFilters.query) activeCount++;
+      if (this.currentFilters.region) activeCount++;
+      
+      const countElement = utils.query('#active-filters-count .count');
+      if (countElement) {
+        countElement.textContent = activeCount;
+      }
+    },
+
+    updateResultsSummary(filteredDoctors) {
+      const summaryText = utils.query('.summary-text');
+      const filteredCount = utils.query('#filtered-count');
+      
+      if (summaryText && filteredCount) {
+        const total = medicalData.doctors.length;
+        const filtered = filteredDoctors.length;
+        
+        if (filtered === total) {
+          summaryText.textContent = 'Mostrando todos os médicos';
+        } else {
+          summaryText.textContent = `Mostrando médicos filtrados`;
+        }
+        
+        filteredCount.textContent = filtered.toLocaleString();
+      }
+    },
+
+    clearAllFilters() {
+      // Reset all filters
+      this.currentFilters = {
+        search: '',
+        segments: [],
+        specialty: '',
+        volume: { min: 0, max: 100 },
+        affinity: { min: 0, max: 100 },
+        quickFilters: [],
+        dimensions: {},
+        interaction: '',
+        query: '',
+        region: null
+      };
+      
+      // Reset UI elements
+      const searchInput = utils.query('#search-input');
+      if (searchInput) searchInput.value = '';
+      
+      const segmentFilters = utils.queryAll('.segment-filter');
+      segmentFilters.forEach(checkbox => checkbox.checked = false);
+      
+      const specialtySelect = utils.query('#specialty-select');
+      if (specialtySelect) specialtySelect.value = '';
+      
+      const dimensionSelects = utils.queryAll('#dimension-filters select');
+      dimensionSelects.forEach(select => select.value = '');
+      
+      const interactionSelect = utils.query('#interaction-select');
+      if (interactionSelect) interactionSelect.value = '';
+      
+      const queryInput = utils.query('#query-input');
+      if (queryInput) {
+        queryInput.value = '';
+        queryModule.submit('');
+      }
+      
+      this.syncRangeControls('volume');
+      this.syncRangeControls('affinity');
+      
+      const quickFilterBtns = utils.queryAll('.quick-filter-btn');
+      quickFilterBtns.forEach(btn => btn.classList.remove('active'));
+      
+      viewsModule.select(null);
+      
+      // Apply filters (will show all doctors)
+      this.applyFilters();
+      
+      utils.log('Todos os filtros foram limpos');
+    },
+
+    /**
+     * Filters in the shape of currentFilters from a saved or shared copy;
+     * unknown keys and invalid values fall back to "no filter"
+     * @param {Object} given - Filters as stored
+     * @returns {Object}
+     */
+    normalizeFilters(given) {
+      const source = given && typeof given === 'object' ? given : {};
+      const text = value => (typeof value === 'string' ? value.trim() : '');
+      const list = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+      const number = value => (value === null || value === '' || value === undefined ? NaN : Number(value));
+      const range = (value, low, high) => {
+        const bounds = [number(value && value.min), number(value && value.max)];
+        const min = Number.isFinite(bounds[0]) ? Math.min(Math.max(bounds[0], low), high) : low;
+        const max = Number.isFinite(bounds[1]) ? Math.min(Math.max(bounds[1], low), high) : high;
+        return { min: Math.min(min, max), max: Math.max(min, max) };
+      };
+      
+      // Specialties and dimension values missing from the loaded data are
+      // dropped like unknown segments
+      const specialties = new Set();
+      medicalData.doctors.forEach(doctor => {
+        specialties.add(doctor.specialty);
+        if (doctor.subspecialty) specialties.add(doctor.subspecialty);
+      });
+      const specialty = specialties.has(text(source.specialty)) ? text(source.specialty) : '';
+      
+      const dimensionKeys = CONFIG.dimensionFilters.map(dimension => dimension.key);
+      const dimensions = {};
+      Object.entries(source.dimensions && typeof source.dimensions === 'object' ? source.dimensions : {}).forEach(([key, value]) => {
+        if (dimensionKeys.includes(key) && medicalData.getDistinctValues(key).includes(value)) dimensions[key] = value;
+      });
+      
+      let query = text(source.query);
+      try {
+        queryModule.parse(query);
+      } catch (error) {
+        utils.log(`Consulta ignorada: ${error.message}`, 'warn');
+        query = '';
+      }
+      
+      const region = source.region && typeof source.region === 'object' &&
+        ['volume', 'affinity'].every(axis => source.region[axis] &&
+          Number.isFinite(number(source.region[axis].min)) && Number.isFinite(number(source.region[axis].max))) ?
+        { volume: range(source.region.volume, -Infinity, Infinity), affinity: range(source.region.affinity, -Infinity, Infinity) } :
+        null;
+      
+      const priorityKeys = ExcelLoader.priorities.get().priorities.map(priority => priority.key);
+      const volume = range(source.volume, 0, 100);
+      const affinity = range(source.affinity, 0, 100);
+      return {
+        search: text(source.search),
+        segments: list(source.segments).filter(segment => ExcelLoader.snapshots.segments.includes(segment)),
+        specialty,
+        volume: { min: Math.round(volume.min), max: Math.round(volume.max) },
+        affinity: { min: Math.round(affinity.min), max: Math.round(affinity.max) },
+        quickFilters: list(source.quickFilters).filter(key => priorityKeys.includes(key)),
+        dimensions,
+        interaction: ['stale', 'due'].includes(source.interaction) ? source.interaction : '',
+        query,
+        region
+      };
+    },
+
+    // Show currentFilters in the panel controls after a change made elsewhere
+    syncControls() {
+      const filters = this.currentFilters;
+      
+      const searchInput = utils.query('#search-input');
+      if (searchInput) searchInput.value = filters.search;
+      
+      const searchClear = utils.query('#search-clear');
+      if (searchClear) searchClear.style.opacity = filters.search ? '1' : '0';
+      
+      utils.queryAll('.segment-filter').forEach(checkbox => {
+        checkbox.checked = filters.segments.includes(checkbox.value);
+      });
+      
+      const specialtySelect = utils.query('#specialty-select');
+      if (specialtySelect) specialtySelect.value = filters.specialty;
+      
+      utils.queryAll('#dimension-filters select').forEach(select => {
+        select.value = filters.dimensions[select.dataset.dimension] || '';
+      });
+      
+      const interactionSelect = utils.query('#interaction-select');
+      if (interactionSelect) interactionSelect.value = filters.interaction || '';
+      
+      const queryInput = utils.query('#query-input');
+      if (queryInput) queryInput.value = filters.query || '';
+      
+      utils.queryAll('.quick-filter-btn').forEach(btn => {
+        btn.classList.toggle('active', filters.quickFilters.includes(btn.dataset.filter));
+      });
+      
+      this.syncRangeControls('volume');
+      this.syncRangeControls('affinity');
+    },
+
+    setupRangeSliders() {
+      this.syncRangeControls('volume');
+      this.syncRangeControls('affinity');
+    },
+
+    getSpecialtyDisplayName(specialty) {
+      return ExcelLoader.taxonomy.getLabel(specialty);
+    },
+
+    /**
+     * Fill the specialty dropdown with the taxonomy entries present in the
+     * loaded data; sub-specialties are listed under their specialty
+     */
+    renderSpecialtyOptions() {
+      const select = utils.query('#specialty-select');
+      if (!select) return;
+      
+      const counts = {};
+      medicalData.doctors.forEach(doctor => {
+        counts[doctor.specialty] = (counts[doctor.specialty] || 0) + 1;
+        if (doctor.subspecialty) counts[doctor.subspecialty] = (counts[doctor.subspecialty] || 0) + 1;
+      });
+      
+      const option = (key, label) => `<option value="${utils.escapeHTML(key)}">${utils.escapeHTML(label)} (${counts[key].toLocaleString('pt-BR')})</option>`;
+      const options = ExcelLoader.taxonomy.get().specialties
+        .filter(specialty => counts[specialty.key])
+        .map(specialty => [option(specialty.key, specialty.label || specialty.key)].concat(
+          (specialty.subspecialties || [])
+            .filter(sub => counts[sub.key])
+            .map(sub => option(sub.key, `— ${sub.label || sub.key}`))
+        ).join(''))
+        .join('');
+      
+      select.innerHTML = `<option value="">Todas as especialidades</option>${options}`;
+      
+      // Keep the selection if the specialty is still present
+      if (this.currentFilters.specialty && !counts[this.currentFilters.specialty]) {
+        this.currentFilters.specialty = '';
+      }
+      select.value = this.currentFilters.specialty;
+    },
+
+    async reloadData() {
+      try {
+        utils.log('Recarregando dados da planilha...');
+        this.updateDataStatus('loading', 'Recarregando dados...');
+        
+        // Reload data from Excel
+        await medicalData.loadFromExcel();
+        
+        // Clear and reapply filters
+        this.onDataLoaded();
+        validationModule.updateButton();
+        duplicatesModule.updateButton();
+        thresholdsModule.render();
+        taxonomyModule.updateBadge();
+        
+        this.updateDataStatus('success', `${medicalData.doctors.length} médicos carregados`);
+        utils.log('Dados recarregados com sucesso');
+        
+      } catch (error) {
+        utils.log(`Erro ao recarregar dados: ${error.message}`, 'error');
+        this.updateDataStatus('error', 'Erro ao recarregar dados');
+      }
+    },
+
+    updateDataStatus(status, message) {
+      const statusDot = utils.query('#status-dot');
+      const statusText = utils.query('#status-text');
+      const statusDetails = utils.query('#status-details');
+      
+      if (statusDot) {
+        statusDot.className = `status-dot ${status}`;
+      }
+      
+      if (statusText) {
+        statusText.textContent = message;
+      }
+      
+      if (statusDetails) {
+        const timestamp = new Date().toLocaleTimeString('pt-BR');
+        switch (status) {
+          case 'loading':
+            statusDetails.textContent = 'Carregando planilha Excel...';
+            break;
+          case 'success':
+            statusDetails.textContent = `Dados atualizados às ${timestamp} - Fonte: ${medicalData.source || 'Planilha Excel'}`;
+            break;
+          case 'error':
+            statusDetails.textContent = `Erro às ${timestamp} - Usando dados de fallback`;
+            break;
+          default:
+            statusDetails.textContent = 'Fonte: Planilha Excel';
+        }
+      }
+    }
+  };
+
+  // Upload module: file picker, drop zone and recent files
+  const uploadModule = {
+    init() {
+      const fileInput = utils.query('#data-file-input');
+      const dropZone = utils.query('#data-drop-zone');
+
+      if (fileInput) {
+        fileInput.accept = ExcelLoader.getSupportedExtensions().join(',');
+        fileInput.addEventListener('change', (e) => {
+          const [file] = e.target.files;
+          if (file) this.loadFile(file);
+          e.target.value = '';
+        });
+      }
+
+      if (dropZone) {
+        ['dragenter', 'dragover'].forEach(type => {
+          dropZone.addEventListener(type, (e) => {
+            e.preventDefault();
+            dropZone.classList.add('is-dragover');
+          });
+        });
+
+        ['dragleave', 'drop'].forEach(type => {
+          dropZone.addEventListener(type, () => {
+            dropZone.classList.remove('is-dragover');
+          });
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+          e.preventDefault();
+          const [file] = e.dataTransfer ? e.dataTransfer.files : [];
+          if (file) this.loadFile(file);
+        });
+      }
+
+      const recentList = utils.query('#recent-files-list');
+      if (recentList) {
+        recentList.addEventListener('click', (e) => {
+          const button = e.target.closest('button[data-file-id]');
+          if (!button) return;
+
+          if (button.dataset.action === 'remove') {
+            this.removeRecentFile(button.dataset.fileId);
+          } else {
+            this.loadRecentFile(button.dataset.fileId, button.dataset.fileName);
+          }
+        });
+      }
+
+      this.renderRecentFiles();
+    },
+
+    isAccepted(file) {
+      const name = file.name.toLowerCase();
+      return ExcelLoader.getSupportedExtensions().some(ext => name.endsWith(ext));
+    },
+
+    async loadFile(file) {
+      if (!this.isAccepted(file)) {
+        initModule.showErrorMessage(`Formato não suportado: ${file.name}`);
+        return;
+      }
+
+      await this.runLoad(file.name, () => medicalData.loadFromFile(file));
+    },
+
+    async loadRecentFile(id, name) {
+      await this.runLoad(name, () => medicalData.loadRecentFile(id, name));
+    },
+
+    async runLoad(name, loader) {
+      try {
+        filtersModule.updateDataStatus('loading', `Carregando ${name}...`);
+        await loader();
+
+        filtersModule.onDataLoaded();
+        filtersModule.updateDataStatus('success', `${medicalData.doctors.length} médicos carregados`);
+      } catch (error) {
+        if (error.cancelled) {
+          utils.log(`Carregamento de ${name} cancelado pelo usuário`);
+          filtersModule.updateDataStatus('success', `${medicalData.doctors.length} médicos carregados`);
+        } else {
+          utils.log(`Erro ao carregar ${name}: ${error.message}`, 'error');
+          filtersModule.updateDataStatus('error', `Erro ao carregar ${name}`);
+          initModule.showErrorMessage(`Não foi possível carregar "${name}": ${error.message}`);
+        }
+      }
+
+      sheetModule.updateButton();
+      validationModule.updateButton();
+      duplicatesModule.updateButton();
+      validationModule.notifyIfEmpty();
+      thresholdsModule.render();
+      taxonomyModule.updateBadge();
+      this.renderRecentFiles();
+    },
+
+    async removeRecentFile(id) {
+      try {
+        await ExcelLoader.recentFiles.remove(id);
+      } catch (error) {
+        utils.log(`Erro ao remover arquivo recente: ${error.message}`, 'error');
+      }
+
+      this.renderRecentFiles();
+    },
+
+    async renderRecentFiles() {
+      const container = utils.query('#recent-files');
+      const list = utils.query('#recent-files-list');
+      if (!container || !list) return;
+
+      const files = await ExcelLoader.recentFiles.list();
+      container.hidden = files.length === 0;
+
+      list.innerHTML = files.map(file => {
+        const name = utils.escapeHTML(file.name);
+        const id = utils.escapeHTML(file.id);
+        const loadedAt = new Date(file.loadedAt).toLocaleString('pt-BR');
+        const isCurrent = file.name === medicalData.source;
+
+        return `
+          <li class="recent-file${isCurrent ? ' recent-file--current' : ''}">
+            <button type="button" class="recent-file-load" data-file-id="${id}" data-file-name="${name}" title="Carregado em ${loadedAt}">
+              <span class="recent-file-name">${name}</span>
+              <span class="recent-file-meta">${this.formatSize(file.size)} • ${loadedAt}</span>
+            </button>
+            <button type="button" class="recent-file-remove" data-action="remove" data-file-id="${id}" aria-label="Remover ${name} da lista de recentes">&times;</button>
+          </li>
+        `;
+      }).join('');
+    },
+
+    formatSize(bytes) {
+      if (!bytes) return '0 KB';
+      if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+  };
+
+  // Dialog module: accessible modal dialogs built on demand
+  const dialogModule = {
+    /**
+     * Open a modal dialog
+     * @param {Object} options - Dialog options
+     * @param {string} options.title - Dialog title
+     * @param {string} options.content - Inner HTML of the dialog form
+     * @param {Array} options.actions - Buttons as { value, label, variant }
+     * @param {string} [options.size] - 'wide' for tables and editors
+     * @param {Function} [options.onRender] - Called with the form once in the DOM
+     * @param {Function} [options.validate] - (action, form) => error message or ''
+     * @returns {Promise<{action: string, form: HTMLFormElement}>}
+     */
+    open(options) {
+      return new Promise((resolve) => {
+        const previousFocus = document.activeElement;
+        const titleId = `dialog-title-${Date.now()}`;
+        
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop';
+        backdrop.innerHTML = `
+          <div class="modal${options.size ? ` modal--${options.size}` : ''}" role="dialog" aria-modal="true" aria-labelledby="${titleId}">
+            <header class="modal-header">
+              <h2 id="${titleId}" class="modal-title">${utils.escapeHTML(options.title)}</h2>
+              <button type="button" class="modal-close" data-action="cancel" aria-label="Fechar">&times;</button>
+            </header>
+            <form class="modal-body" novalidate>${options.content}</form>
+            <div class="modal-error" role="alert" hidden></div>
+            <footer class="modal-footer">
+              ${(options.actions || []).map(action => `
+                <button type="button" class="filter-btn${action.variant === 'secondary' ? ' filter-btn--secondary' : ''}" data-action="${utils.escapeHTML(action.value)}">${utils.escapeHTML(action.label)}</button>
+              `).join('')}
+            </footer>
+          </div>
+        `;
+        
+        const dialog = utils.query('.modal', backdrop);
+        const form = utils.query('.modal-body', backdrop);
+        const errorBox = utils.query('.modal-error', backdrop);
+        
+        const close = (action) => {
+          backdrop.remove();
+          if (previousFocus && typeof previousFocus.focus === 'function') {
+            previousFocus.focus();
+          }
+          resolve({ action, form });
+        };
+        
+        const handleAction = (action) => {
+          const error = action !== 'cancel' && options.validate ? options.validate(action, form) : '';
+          if (error) {
+            errorBox.textContent = error;
+            errorBox.hidden = false;
+            return;
+          }
+          close(action);
+        };
+        
+        backdrop.addEventListener('click', (e) => {
+          const button = e.target.closest('button[data-action]');
+          if (button && dialog.contains(button)) {
+            handleAction(button.dataset.action);
+          }
+        });
+        
+        form.addEventListener('submit', (e) => e.preventDefault());
+        
+        dialog.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            close('cancel');
+            return;
+          }
+          utils.trapFocus(dialog, e);
+        });
+        
+        document.body.appendChild(backdrop);
+        if (options.onRender) options.onRender(form);
+        
+        const firstField = utils.query('input, select, textarea, button', form) ||
+          utils.query('.modal-footer button', dialog);
+        if (firstField) firstField.focus();
+      });
+    }
+  };
+
+  // Column mapping wizard shown when ExcelLoader cannot map the headers alone
+  const mappingModule = {
+    init() {
+      const remapBtn = utils.query('#remap-columns');
+      if (remapBtn) {
+        remapBtn.addEventListener('click', () => this.remap());
+      }
+    },
+
+    /**
+     * Ask the user which column holds each doctor field
+     * @param {Object} request - Headers, preview rows and suggestion from ExcelLoader
+     * @returns {Promise<{columnMap: Object, remember: boolean}|null>}
+     */
+    async prompt(request) {
+      const { headers, previewRows, suggested, fields } = request;
+      const fieldLabel = key => (fields.find(field => field.key === key) || {}).label || key;
+      
+      const assigned = {};
+      fields.forEach(field => {
+        if (suggested[field.key] !== null && suggested[field.key] !== undefined) {
+          assigned[suggested[field.key]] = field.key;
+        }
+      });
+      (suggested.extras || []).forEach(index => {
+        assigned[index] = 'extra';
+      });
+      
+      const notes = [];
+      if (request.missing.length) {
+        notes.push(`Não encontradas: ${request.missing.map(fieldLabel).join(', ')}.`);
+      }
+      if (request.ambiguous.length) {
+        notes.push(`Ambíguas: ${request.ambiguous.map(fieldLabel).join(', ')}.`);
+      }
+      
+      const options = [{ value: '', label: 'Ignorar' }]
+        .concat(fields.map(field => ({ value: field.key, label: field.label })))
+        .concat([{ value: 'extra', label: 'Campo extra' }]);
+      
+      const headerCells = headers.map((header, index) => `
+        <th scope="col">
+          <span class="mapping-header">${utils.escapeHTML(header) || `Coluna ${index + 1}`}</span>
+          <select class="filter-select mapping-select" name="column-${index}" aria-label="Campo da coluna ${utils.escapeHTML(header) || index + 1}">
+            ${options.map(option => `<option value="${option.value}"${assigned[index] === option.value || (!assigned[index] && !option.value) ? ' selected' : ''}>${option.label}</option>`).join('')}
+          </select>
+        </th>
+      `).join('');
+      
+      const bodyRows = previewRows.map(row => `
+        <tr>${headers.map((header, index) => `<td>${utils.escapeHTML(row[index])}</td>`).join('')}</tr>
+      `).join('');
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Mapear colunas da planilha',
+        size: 'wide',
+        content: `
+          <p class="modal-text">Indique qual coluna corresponde a cada campo do médico. ${utils.escapeHTML(notes.join(' '))}</p>
+          <div class="modal-table-wrapper">
+            <table class="modal-table mapping-table">
+              <thead><tr>${headerCells}</tr></thead>
+              <tbody>${bodyRows}</tbody>
+            </table>
+          </div>
+          <label class="modal-checkbox">
+            <input type="checkbox" name="remember" checked>
+            Lembrar este mapeamento para planilhas com o mesmo cabeçalho
+          </label>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Cancelar', variant: 'secondary' },
+          { value: 'apply', label: 'Aplicar mapeamento' }
+        ],
+        validate: (_, dialogForm) => this.validate(this.readMapping(dialogForm, headers, fields), fields)
+      });
+      
+      if (action !== 'apply') return null;
+      
+      return {
+        columnMap: this.readMapping(form, headers, fields).columnMap,
+        remember: form.elements.remember.checked
+      };
+    },
+
+    readMapping(form, headers, fields) {
+      const columnMap = { extras: [] };
+      const duplicates = [];
+      fields.forEach(field => {
+        columnMap[field.key] = null;
+      });
+      
+      headers.forEach((_, index) => {
+        const value = form.elements[`column-${index}`].value;
+        if (!value) return;
+        
+        if (value === 'extra') {
+          columnMap.extras.push(index);
+        } else if (columnMap[value] !== null) {
+          duplicates.push(value);
+        } else {
+          columnMap[value] = index;
+        }
+      });
+      
+      return { columnMap, duplicates };
+    },
+
+    validate({ columnMap, duplicates }, fields) {
+      const missing = fields.filter(field => field.required && columnMap[field.key] === null);
+      if (missing.length) {
+        return `Selecione a coluna de ${missing.map(field => field.label).join(', ')}.`;
+      }
+      
+      if (duplicates.length) {
+        const labels = duplicates.map(key => fields.find(field => field.key === key).label);
+        return `Cada campo só pode ser usado uma vez: ${[...new Set(labels)].join(', ')}.`;
+      }
+      
+      return '';
+    },
+
+    async remap() {
+      if (!ExcelLoader.hasSource()) {
+        initModule.showErrorMessage('Carregue uma planilha antes de mapear as colunas.');
+        return;
+      }
+      
+      await uploadModule.runLoad(medicalData.source, () => medicalData.reprocess({ forceMapping: true }));
+    }
+  };
+
+  // Sheet picker for workbooks with one sheet per rep or region
+  const sheetModule = {
+    init() {
+      const selectBtn = utils.query('#select-sheets');
+      if (selectBtn) {
+        selectBtn.addEventListener('click', () => this.reselect());
+      }
+      
+      this.updateButton();
+    },
+
+    /**
+     * Ask which sheets of a workbook should be loaded and merged
+     * @param {Object} request - { fileName, sheets: [{ name, rows }] } from ExcelLoader
+     * @returns {Promise<Array<string>|null>} Selected sheet names
+     */
+    async prompt(request) {
+      // The sheets loaded before only say something when the same file is picked again
+      const sameSource = ExcelLoader.getSourceFileName() === request.fileName;
+      const loaded = (sameSource ? ExcelLoader.getLoadedSheets() : [])
+        .filter(name => request.sheets.some(sheet => sheet.name === name));
+      const isChecked = (sheet, index) => (loaded.length ? loaded.includes(sheet.name) : index === 0);
+      
+      const items = request.sheets.map((sheet, index) => `
+        <label class="checkbox-label sheet-option">
+          <input type="checkbox" class="checkbox-input" name="sheet" value="${utils.escapeHTML(sheet.name)}"${isChecked(sheet, index) ? ' checked' : ''}>
+          <span class="checkbox-custom"></span>
+          <span class="checkbox-text">
+            <strong>${utils.escapeHTML(sheet.name)}</strong>
+            <span class="segment-desc">${sheet.rows.toLocaleString('pt-BR')} linhas</span>
+          </span>
+        </label>
+      `).join('');
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Selecionar planilhas',
+        content: `
+          <p class="modal-text">Esta pasta de trabalho tem ${request.sheets.length} planilhas. Escolha uma ou mais para carregar; os registros são combinados e recebem o nome da planilha de origem.</p>
+          <label class="modal-checkbox">
+            <input type="checkbox" name="all">
+            Todas as planilhas
+          </label>
+          <div class="checkbox-group sheet-options">${items}</div>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Cancelar', variant: 'secondary' },
+          { value: 'apply', label: 'Carregar' }
+        ],
+        onRender: (dialogForm) => {
+          const sheetBoxes = Array.from(dialogForm.querySelectorAll('input[name="sheet"]'));
+          const allBox = dialogForm.elements.all;
+          const syncAll = () => {
+            allBox.checked = sheetBoxes.every(box => box.checked);
+          };
+          
+          allBox.addEventListener('change', () => {
+            sheetBoxes.forEach(box => box.checked = allBox.checked);
+          });
+          sheetBoxes.forEach(box => box.addEventListener('change', syncAll));
+          syncAll();
+        },
+        validate: (_, dialogForm) => (this.readSelection(dialogForm).length ? '' : 'Selecione pelo menos uma planilha.')
+      });
+      
+      return action === 'apply' ? this.readSelection(form) : null;
+    },
+
+    readSelection(form) {
+      return Array.from(form.querySelectorAll('input[name="sheet"]:checked')).map(box => box.value);
+    },
+
+    async reselect() {
+      await uploadModule.runLoad(medicalData.source, () => medicalData.reprocess({ selectSheets: true }));
+    },
+
+    // The button only makes sense for workbooks with more than one sheet
+    updateButton() {
+      const selectBtn = utils.query('#select-sheets');
+      if (selectBtn) {
+        selectBtn.hidden = ExcelLoader.getSheetNames().length < 2;
+      }
+    }
+  };
+
+  // Score scale and segmentation thresholds: edited in the filters panel and applied live
+  const thresholdsModule = {
+    axes: ['volume', 'affinity'],
+
+    init() {
+      utils.queryAll('[data-scale-axis]').forEach(select => {
+        select.addEventListener('change', () => this.updateScale());
+      });
+      
+      utils.queryAll('[data-threshold-axis]').forEach(control => {
+        if (control.tagName === 'SELECT') {
+          control.addEventListener('change', () => this.update());
+        } else {
+          control.addEventListener('input', utils.debounce(() => this.update(), 200));
+        }
+      });
+      
+      this.render();
+    },
+
+    // Show the settings saved for the current dataset
+    render() {
+      const settings = ExcelLoader.segmentation.getSettings();
+      const scales = ExcelLoader.normalization.getSettings();
+      
+      this.axes.forEach(axis => {
+        const scaleSelect = utils.query(`#${axis}-scale`);
+        if (scaleSelect) scaleSelect.value = scales[axis];
+
+        const modeSelect = utils.query(`#${axis}-threshold-mode`);
+        if (modeSelect) modeSelect.value = settings[axis].mode;
+        this.renderValueInput(axis, settings[axis]);
+      });
+      
+      this.showCutoffs(ExcelLoader.segmentation.getCutoffs());
+    },
+
+    // The number field holds the cutoff in fixed mode and the percentile in percentile mode
+    renderValueInput(axis, setting) {
+      const input = utils.query(`#${axis}-threshold-value`);
+      if (!input) return;
+      
+      const axisLabel = axis === 'volume' ? 'volume' : 'afinidade';
+      input.hidden = setting.mode === 'median' || setting.mode === 'mean';
+      input.value = setting.mode === 'percentile' ? setting.percentile : setting.value;
+      input.setAttribute('aria-label', setting.mode === 'percentile' ? `Percentil de ${axisLabel}` : `Corte de ${axisLabel}`);
+    },
+
+    readSettings() {
+      const settings = ExcelLoader.segmentation.getSettings();
+      
+      this.axes.forEach(axis => {
+        const modeSelect = utils.query(`#${axis}-threshold-mode`);
+        const input = utils.query(`#${axis}-threshold-value`);
+        const previousMode = settings[axis].mode;
+        settings[axis].mode = modeSelect ? modeSelect.value : previousMode;
+        
+        // A mode switch keeps the stored numbers; only an edit in the same mode changes them
+        if (input && input.value !== '' && settings[axis].mode === previousMode) {
+          const key = previousMode === 'percentile' ? 'percentile' : 'value';
+          settings[axis][key] = Number(input.value);
+        }
+      });
+      
+      return settings;
+    },
+
+    update() {
+      this.set(this.readSettings());
+    },
+
+    // Rescale from the raw values, then segment again with the current thresholds
+    updateScale() {
+      const scales = {};
+      this.axes.forEach(axis => {
+        const scaleSelect = utils.query(`#${axis}-scale`);
+        scales[axis] = scaleSelect ? scaleSelect.value : 'none';
+      });
+      
+      ExcelLoader.normalization.apply(medicalData.doctors, scales);
+      this.set(ExcelLoader.segmentation.getSettings());
+    },
+
+    /**
+     * Apply new thresholds to the loaded doctors and refresh quadrants and KPIs
+     * @param {Object} settings - { volume: { mode, value, percentile }, affinity: {...} }
+     */
+    set(settings) {
+      ExcelLoader.segmentation.apply(medicalData.doctors, settings);
+      this.render();
+      filtersModule.applyFilters();
+    },
+
+    showCutoffs(cutoffs) {
+      this.axes.forEach(axis => {
+        const output = utils.query(`#${axis}-threshold-cutoff`);
+        if (output) output.textContent = cutoffs[axis].toLocaleString('pt-BR');
+      });
+    }
+  };
+
+  // Specialty taxonomy editor and assignment of unrecognized values
+  const taxonomyModule = {
+    init() {
+      const editBtn = utils.query('#edit-taxonomy');
+      if (editBtn) {
+        editBtn.addEventListener('click', () => this.open());
+      }
+      
+      this.updateBadge();
+    },
+
+    // Number of distinct specialty values the taxonomy does not recognize
+    updateBadge() {
+      const badge = utils.query('#unmapped-specialties-count');
+      if (!badge) return;
+      
+      const unmapped = ExcelLoader.taxonomy.findUnmapped(medicalData.doctors);
+      badge.hidden = unmapped.length === 0;
+      badge.textContent = unmapped.length.toLocaleString('pt-BR');
+    },
+
+    // <option>s for every specialty and sub-specialty of a taxonomy
+    targetOptions(taxonomy) {
+      return taxonomy.specialties.map(specialty => [
+        `<option value="${utils.escapeHTML(specialty.key)}">${utils.escapeHTML(specialty.label || specialty.key)}</option>`
+      ].concat((specialty.subspecialties || []).map(sub =>
+        `<option value="${utils.escapeHTML(sub.key)}">— ${utils.escapeHTML(sub.label || sub.key)}</option>`
+      )).join('')).join('');
+    },
+
+    async open() {
+      const taxonomy = ExcelLoader.taxonomy.get();
+      const unmapped = ExcelLoader.taxonomy.findUnmapped(medicalData.doctors);
+      const targets = this.targetOptions(taxonomy);
+      
+      const unmappedRows = unmapped.map((entry, index) => `
+        <tr>
+          <td>${utils.escapeHTML(entry.value)}</td>
+          <td>${entry.count.toLocaleString('pt-BR')}</td>
+          <td>
+            <select class="mapping-select" name="assign-${index}" aria-label="Especialidade para ${utils.escapeHTML(entry.value)}">
+              <option value="">Manter em ${utils.escapeHTML(ExcelLoader.taxonomy.getLabel(taxonomy.fallback))}</option>
+              ${targets}
+            </select>
+          </td>
+        </tr>
+      `).join('');
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Especialidades',
+        size: 'wide',
+        content: `
+          <p class="modal-text">Valores da planilha que não correspondem a nenhuma especialidade. Ao atribuir, o valor vira sinônimo da especialidade escolhida.</p>
+          ${unmapped.length ? `
+            <div class="modal-table-wrapper validation-table">
+              <table class="modal-table">
+                <thead><tr><th scope="col">Valor na planilha</th><th scope="col">Médicos</th><th scope="col">Atribuir a</th></tr></thead>
+                <tbody>${unmappedRows}</tbody>
+              </table>
+            </div>
+          ` : '<p class="modal-text">Todos os valores de especialidade foram reconhecidos.</p>'}
+          <label for="taxonomy-json" class="mapping-header">Taxonomia (JSON)</label>
+          <p class="modal-text">
+            Cada especialidade tem <code>key</code>, <code>label</code>, <code>synonyms</code> e, opcionalmente, <code>subspecialties</code> no mesmo formato.
+            A comparação ignora acentos e maiúsculas e o sinônimo mais longo encontrado vence; siglas de até 3 letras só valem como palavra inteira.
+          </p>
+          <textarea id="taxonomy-json" name="taxonomy" class="json-editor" rows="14" spellcheck="false">${utils.escapeHTML(JSON.stringify(taxonomy, null, 2))}</textarea>
+          <div>
+            <button type="button" class="filter-btn filter-btn--secondary" data-reset>Restaurar taxonomia padrão</button>
+          </div>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Cancelar', variant: 'secondary' },
+          { value: 'apply', label: 'Salvar' }
+        ],
+        onRender: (dialogForm) => {
+          utils.query('[data-reset]', dialogForm).addEventListener('click', () => {
+            dialogForm.elements.taxonomy.value = JSON.stringify(ExcelLoader.taxonomy.getDefaults(), null, 2);
+          });
+        },
+        validate: (_, dialogForm) => this.read(dialogForm, unmapped).errors.join(' ')
+      });
+      
+      if (action !== 'apply') return;
+      
+      this.save(this.read(form, unmapped).taxonomy);
+    },
+
+    // Taxonomy from the JSON field plus the assigned values as synonyms
+    read(form, unmapped) {
+      let taxonomy;
+      try {
+        taxonomy = JSON.parse(form.elements.taxonomy.value);
+      } catch (error) {
+        return { taxonomy: null, errors: [`JSON inválido: ${error.message}`] };
+      }
+      
+      const errors = ExcelLoader.taxonomy.validate(taxonomy);
+      if (errors.length > 0) return { taxonomy: null, errors };
+      
+      unmapped.forEach((entry, index) => {
+        const select = form.elements[`assign-${index}`];
+        if (select && select.value) {
+          ExcelLoader.taxonomy.addSynonym(taxonomy, select.value, entry.value);
+        }
+      });
+      
+      return { taxonomy, errors: [] };
+    },
+
+    /**
+     * Save a taxonomy and reclassify the loaded doctors
+     * @param {Object|null} taxonomy - Taxonomy, or null to restore the defaults
+     */
+    save(taxonomy) {
+      ExcelLoader.taxonomy.set(taxonomy);
+      ExcelLoader.taxonomy.apply(medicalData.doctors);
+      
+      // Specialty conditions in the priority rules may now match differently
+      ExcelLoader.priorities.apply(medicalData.doctors);
+      
+      filtersModule.renderSpecialtyOptions();
+      this.updateBadge();
+      filtersModule.applyFilters();
+      utils.log('Taxonomia de especialidades atualizada');
+    }
+  };
+
+  // Priority rules: quick filter buttons and the JSON rule editor
+  const priorityModule = {
+    // Icons for the built-in priorities; other keys get the generic one
+    icons: {
+      high: '<polygon points="13,2 3,14 12,14 11,22 21,10 12,10 13,2"/>',
+      'new-opportunities': '<circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="16"/><line x1="8" y1="12" x2="16" y2="12"/>',
+      strategic: '<polygon points="12,2 22,8.5 22,15.5 12,22 2,15.5 2,8.5 12,2"/><line x1="12" y1="22" x2="12" y2="15.5"/><polyline points="22,8.5 12,15.5 2,8.5"/>',
+      default: '<circle cx="12" cy="12" r="4"/>'
+    },
+
+    init() {
+      const editBtn = utils.query('#edit-priority-rules');
+      if (editBtn) {
+        editBtn.addEventListener('click', () => this.open());
+      }
+      
+      this.renderQuickFilters();
+    },
+
+    // One quick filter per priority, except the default bucket
+    renderQuickFilters() {
+      const container = utils.query('#quick-filters');
+      if (!container) return;
+      
+      const ruleSet = ExcelLoader.priorities.get();
+      const active = filtersModule.currentFilters.quickFilters;
+      
+      container.innerHTML = ruleSet.priorities
+        .filter(priority => priority.key !== ruleSet.default)
+        .map(priority => `
+          <button type="button" class="quick-filter-btn${active.includes(priority.key) ? ' active' : ''}" data-filter="${utils.escapeHTML(priority.key)}">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+              ${this.icons[priority.key] || this.icons.default}
+            </svg>
+            ${utils.escapeHTML(priority.label || priority.key)}
+          </button>
+        `).join('');
+    },
+
+    async open() {
+      const ruleSet = ExcelLoader.priorities.get();
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Regras de prioridade',
+        size: 'wide',
+        content: `
+          <p class="modal-text">
+            As regras são avaliadas em ordem e a primeira que combina define a prioridade; médicos sem regra recebem a prioridade <code>default</code>.
+            Condições em <code>when</code> aceitam um valor, uma lista de valores ou limites numéricos (<code>gt</code>, <code>gte</code>, <code>lt</code>, <code>lte</code>)
+            para <code>segment</code>, <code>volume</code>, <code>affinity</code>, <code>specialty</code> e colunas extras em <code>extra</code>.
+            Prioridades com <code>"opportunity": true</code> entram no indicador "Oportunidades".
+          </p>
+          <label for="priority-rules-json" class="mapping-header">Conjunto de regras (JSON)</label>
+          <textarea id="priority-rules-json" name="rules" class="json-editor" rows="14" spellcheck="false">${utils.escapeHTML(JSON.stringify(ruleSet, null, 2))}</textarea>
+          <div>
+            <button type="button" class="filter-btn filter-btn--secondary" data-reset>Restaurar regras padrão</button>
+          </div>
+          <div class="rules-preview" aria-live="polite" data-preview></div>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Cancelar', variant: 'secondary' },
+          { value: 'apply', label: 'Salvar regras' }
+        ],
+        onRender: (dialogForm) => {
+          const textarea = dialogForm.elements.rules;
+          const refresh = () => this.renderPreview(dialogForm);
+          
+          textarea.addEventListener('input', utils.debounce(refresh, 250));
+          utils.query('[data-reset]', dialogForm).addEventListener('click', () => {
+            textarea.value = JSON.stringify(ExcelLoader.priorities.getDefaults(), null, 2);
+            refresh();
+          });
+          refresh();
+        },
+        validate: (_, dialogForm) => this.parse(dialogForm.elements.rules.value).errors.join(' ')
+      });
+      
+      if (action !== 'apply') return;
+      
+      this.save(this.parse(form.elements.rules.value).ruleSet);
+    },
+
+    parse(text) {
+      let ruleSet;
+      try {
+        ruleSet = JSON.parse(text);
+      } catch (error) {
+        return { ruleSet: null, errors: [`JSON inválido: ${error.message}`] };
+      }
+      return { ruleSet, errors: ExcelLoader.priorities.validate(ruleSet) };
+    },
+
+    // Doctors captured by each rule, computed on the loaded data
+    renderPreview(form) {
+      const container = utils.query('[data-preview]', form);
+      const { ruleSet, errors } = this.parse(form.elements.rules.value);
+      
+      if (errors.length > 0) {
+        container.innerHTML = `<ul class="rules-errors">${errors.map(error => `<li>${utils.escapeHTML(error)}</li>`).join('')}</ul>`;
+        return;
+      }
+      
+      const preview = ExcelLoader.priorities.preview(medicalData.doctors, ruleSet);
+      const labelOf = key => {
+        const priority = ruleSet.priorities.find(item => item.key === key);
+        return priority ? priority.label || priority.key : key;
+      };
+      
+      const rows = ruleSet.rules.map((rule, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${utils.escapeHTML(labelOf(rule.priority))}</td>
+          <td><code>${utils.escapeHTML(JSON.stringify(rule.when || {}))}</code></td>
+          <td>${preview.rules[index].toLocaleString('pt-BR')}</td>
+        </tr>
+      `).join('');
+      
+      container.innerHTML = `
+        <div class="modal-table-wrapper">
+          <table class="modal-table">
+            <caption class="sr-only">Médicos capturados por regra</caption>
+            <thead><tr><th scope="col">#</th><th scope="col">Prioridade</th><th scope="col">Condições</th><th scope="col">Médicos</th></tr></thead>
+            <tbody>
+              ${rows}
+              <tr>
+                <td>—</td>
+                <td>${utils.escapeHTML(labelOf(ruleSet.default))}</td>
+                <td>Nenhuma regra combina (<code>default</code>)</td>
+                <td>${preview.unmatched.toLocaleString('pt-BR')}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      `;
+    },
+
+    /**
+     * Save a rule set and reclassify the loaded doctors
+     * @param {Object|null} ruleSet - Rule set, or null to restore the defaults
+     */
+    save(ruleSet) {
+      ExcelLoader.priorities.set(ruleSet);
+      ExcelLoader.priorities.apply(medicalData.doctors);
+      
+      // Drop quick filters whose priority no longer exists
+      const keys = ExcelLoader.priorities.get().priorities.map(priority => priority.key);
+      filtersModule.currentFilters.quickFilters = filtersModule.currentFilters.quickFilters.filter(key => keys.includes(key));
+      
+      this.renderQuickFilters();
+      filtersModule.applyFilters();
+      utils.log('Regras de prioridade atualizadas');
+    }
+  };
+
+  // "Receita Potencial" KPI and the revenue model settings
+  const revenueModule = {
+    topSpecialties: 5, // Specialties listed in the breakdown; the rest are summed
+
+    sourceLabels: {
+      ticket: 'Volume da planilha × ticket da especialidade',
+      column: 'Coluna de receita da planilha'
+    },
+
+    init() {
+      const settingsBtn = utils.query('#revenue-settings');
+      if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => this.open());
+      }
+    },
+
+    // "R$ 2,8 mi"
+    formatCompact(value) {
+      return value.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL', notation: 'compact', maximumFractionDigits: 1 });
+    },
+
+    formatCurrency(value) {
+      return value.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL', maximumFractionDigits: 0 });
+    },
+
+    hasRevenueColumn() {
+      return medicalData.doctors.some(doctor => Number.isFinite(doctor.revenue));
+    },
+
+    /**
+     * Update the KPI card and its breakdown for the filtered doctors
+     * @param {Array} doctors - Filtered doctors
+     */
+    update(doctors) {
+      const value = utils.query('.kpi-card:nth-of-type(3) .kpi-value');
+      const sub = utils.query('.kpi-card:nth-of-type(3) .kpi-sub');
+      const breakdown = utils.query('#receita-breakdown');
+      const summary = ExcelLoader.revenue.summarize(doctors);
+      
+      if (value) value.textContent = this.formatCompact(summary.total);
+      if (sub) {
+        sub.textContent = summary.counted < doctors.length ?
+          `Estimativa com ${summary.counted.toLocaleString('pt-BR')} de ${doctors.length.toLocaleString('pt-BR')} médicos` :
+          (summary.source === 'column' ? 'Estimativa pela coluna de receita' : 'Estimativa por ticket e conversão');
+      }
+      if (breakdown) breakdown.innerHTML = this.renderBreakdown(summary);
+    },
+
+    renderBreakdown(summary) {
+      const share = value => (summary.total > 0 ? ` (${Math.round(value / summary.total * 100)}%)` : '');
+      const row = (label, value) => `<li><span>${utils.escapeHTML(label)}</span> <strong>${this.formatCurrency(value)}${share(value)}</strong></li>`;
+      
+      const specialties = Object.entries(summary.bySpecialty).sort((a, b) => b[1] - a[1]);
+      const listed = specialties.slice(0, this.topSpecialties);
+      const others = specialties.slice(this.topSpecialties).reduce((sum, [, value]) => sum + value, 0);
+      
+      return `
+        <p class="kpi-tooltip-title">Por segmento</p>
+        <ul>${Object.entries(summary.bySegment).map(([segment, value]) => row(detailModule.segmentLabels[segment] || segment, value)).join('')}</ul>
+        <p class="kpi-tooltip-title">Por especialidade</p>
+        <ul>
+          ${listed.map(([specialty, value]) => row(filtersModule.getSpecialtyDisplayName(specialty), value)).join('')}
+          ${others > 0 ? row('Demais especialidades', others) : ''}
+        </ul>
+      `;
+    },
+
+    async open() {
+      const model = ExcelLoader.revenue.get();
+      const taxonomy = ExcelLoader.taxonomy.get();
+      const hasColumn = this.hasRevenueColumn();
+      const tickets = model.ticket.specialties || {};
+      
+      const entries = taxonomy.specialties.flatMap(specialty =>
+        [[specialty, false]].concat((specialty.subspecialties || []).map(sub => [sub, true]))
+      );
+      const ticketRows = entries.map(([entry, isSub]) => `
+        <tr>
+          <td>${isSub ? '— ' : ''}${utils.escapeHTML(entry.label || entry.key)}</td>
+          <td>
+            <input type="number" class="mapping-select" name="ticket-${utils.escapeHTML(entry.key)}" min="0" step="any"
+              value="${Number.isFinite(tickets[entry.key]) ? tickets[entry.key] : ''}" placeholder="${isSub ? 'Da especialidade' : 'Padrão'}"
+              aria-label="Ticket de ${utils.escapeHTML(entry.label || entry.key)}">
+          </td>
+        </tr>
+      `).join('');
+      
+      const conversionInputs = ExcelLoader.snapshots.segments.map(segment => `
+        <label>${utils.escapeHTML(detailModule.segmentLabels[segment] || segment)}
+          <input type="number" class="filter-select" name="conversion-${segment}" min="0" max="100" step="any" value="${Math.round(model.conversion[segment] * 1000) / 10}">
+        </label>
+      `).join('');
+      
+      const sources = ExcelLoader.revenue.sources.map(source => `
+        <label class="modal-checkbox">
+          <input type="radio" name="source" value="${source}"${source === model.source ? ' checked' : ''}>
+          ${utils.escapeHTML(this.sourceLabels[source] || source)}
+        </label>
+      `).join('');
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Modelo de receita potencial',
+        size: 'wide',
+        content: `
+          <p class="modal-text">
+            A receita potencial de cada médico é a receita base vezes a taxa de conversão do segmento.
+            O indicador soma os médicos filtrados.
+          </p>
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Receita base</legend>
+            ${sources}
+          </fieldset>
+          ${hasColumn ? '' : '<p class="modal-text">A planilha atual não tem coluna de receita (ex.: "Receita", "Faturamento" ou "R$"); mapeie uma em "Colunas" para usar essa opção.</p>'}
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Ticket por ponto de volume (R$)</legend>
+            <div class="snapshot-fields">
+              <label>Ticket padrão <input type="number" class="filter-select" name="ticket-default" min="0" step="any" value="${model.ticket.default}"></label>
+            </div>
+            <div class="modal-table-wrapper validation-table">
+              <table class="modal-table">
+                <thead><tr><th scope="col">Especialidade</th><th scope="col">Ticket (vazio usa o padrão)</th></tr></thead>
+                <tbody>${ticketRows}</tbody>
+              </table>
+            </div>
+          </fieldset>
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Conversão por segmento (%)</legend>
+            <div class="snapshot-fields">${conversionInputs}</div>
+          </fieldset>
+          <div>
+            <button type="button" class="filter-btn filter-btn--secondary" data-reset>Restaurar modelo padrão</button>
+          </div>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Cancelar', variant: 'secondary' },
+          { value: 'apply', label: 'Salvar' }
+        ],
+        onRender: (dialogForm) => {
+          utils.query('[data-reset]', dialogForm).addEventListener('click', () => {
+            this.fill(dialogForm, ExcelLoader.revenue.getDefaults());
+          });
+        },
+        validate: (_, dialogForm) => ExcelLoader.revenue.validate(this.read(dialogForm)).join(' ')
+      });
+      
+      if (action !== 'apply') return;
+      
+      ExcelLoader.revenue.set(this.read(form));
+      filtersModule.applyFilters();
+      utils.log('Modelo de receita atualizado');
+    },
+
+    // Put a model in the settings form
+    fill(form, model) {
+      form.querySelector(`input[name="source"][value="${model.source}"]`).checked = true;
+      form.elements['ticket-default'].value = model.ticket.default;
+      Array.from(form.querySelectorAll('input[name^="ticket-"]')).forEach(input => {
+        const key = input.name.slice('ticket-'.length);
+        if (key === 'default') return;
+        input.value = Number.isFinite(model.ticket.specialties[key]) ? model.ticket.specialties[key] : '';
+      });
+      ExcelLoader.snapshots.segments.forEach(segment => {
+        form.elements[`conversion-${segment}`].value = Math.round(model.conversion[segment] * 1000) / 10;
+      });
+    },
+
+    // Model from the settings form; conversion is typed in percent
+    read(form) {
+      const number = input => (input.value.trim() === '' ? NaN : Number(input.value));
+      const model = {
+        source: (form.querySelector('input[name="source"]:checked') || {}).value,
+        ticket: { default: number(form.elements['ticket-default']), specialties: {} },
+        conversion: {}
+      };
+      
+      Array.from(form.querySelectorAll('input[name^="ticket-"]')).forEach(input => {
+        const key = input.name.slice('ticket-'.length);
+        if (key !== 'default' && input.value.trim() !== '') model.ticket.specialties[key] = number(input);
+      });
+      ExcelLoader.snapshots.segments.forEach(segment => {
+        model.conversion[segment] = number(form.elements[`conversion-${segment}`]) / 100;
+      });
+      
+      return model;
+    }
+  };
+
+  // Validation report: rows with missing or invalid values and how they were handled
+  const validationModule = {
+    maxRows: 200, // Issues listed in the dialog; the CSV export has all of them
+
+    issueTypes: {
+      'missing-name': 'Nome ausente',
+      'missing-score': 'Valor ausente',
+      'invalid-number': 'Número inválido',
+      'missing-specialty': 'Especialidade vazia',
+      'duplicate-name': 'Nome repetido',
+      'unmapped-column': 'Coluna não mapeada'
+    },
+
+    policyLabels: {
+      exclude: 'Excluir as linhas sem volume ou afinidade válidos',
+      impute: 'Imputar a mediana da coluna'
+    },
+
+    init() {
+      const reportBtn = utils.query('#validation-report');
+      if (reportBtn) {
+        reportBtn.addEventListener('click', () => this.open());
+      }
+      
+      this.updateButton();
+    },
+
+    // Show the issue count; hidden when no spreadsheet was processed
+    updateButton() {
+      const reportBtn = utils.query('#validation-report');
+      const count = utils.query('#validation-count');
+      const report = ExcelLoader.getValidationReport();
+      if (!reportBtn) return;
+      
+      reportBtn.hidden = !report || !ExcelLoader.hasSource();
+      if (report && count) {
+        count.textContent = report.issues.length.toLocaleString('pt-BR');
+      }
+    },
+
+    // Open the report right away when validation rejected every row
+    notifyIfEmpty() {
+      if (medicalData.doctors.length === 0 && medicalData.hasRejectedRows()) {
+        this.open();
+      }
+    },
+
+    fieldLabel(key) {
+      const field = ExcelLoader.columnFields.find(item => item.key === key);
+      return field ? field.label : key;
+    },
+
+    async open() {
+      const report = ExcelLoader.getValidationReport();
+      if (!report) return;
+      
+      const counts = {};
+      report.issues.forEach(issue => {
+        counts[issue.type] = (counts[issue.type] || 0) + 1;
+      });
+      
+      const summary = Object.keys(counts).map(type => `
+        <li><strong>${counts[type].toLocaleString('pt-BR')}</strong> ${utils.escapeHTML(this.issueTypes[type] || type)}</li>
+      `).join('');
+      
+      const rows = report.issues.slice(0, this.maxRows).map(issue => `
+        <tr>
+          <td>${utils.escapeHTML(issue.sheet || '')}</td>
+          <td>${issue.row === null ? '—' : issue.row}</td>
+          <td>${utils.escapeHTML(this.fieldLabel(issue.field))}</td>
+          <td>${utils.escapeHTML(this.issueTypes[issue.type] || issue.type)}</td>
+          <td>${utils.escapeHTML(issue.message)}${issue.value ? `: <q>${utils.escapeHTML(issue.value)}</q>` : ''}</td>
+        </tr>
+      `).join('');
+      
+      const truncated = report.issues.length > this.maxRows ?
+        `<p class="modal-text">Mostrando ${this.maxRows} de ${report.issues.length.toLocaleString('pt-BR')} problemas. Exporte o CSV para ver a lista completa.</p>` :
+        '';
+      
+      const policies = ExcelLoader.validation.policies.map(policy => `
+        <label class="modal-checkbox">
+          <input type="radio" name="policy" value="${policy}"${policy === report.policy ? ' checked' : ''}>
+          ${utils.escapeHTML(this.policyLabels[policy] || policy)}
+        </label>
+      `).join('');
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Relatório de validação',
+        size: 'wide',
+        content: `
+          <p class="modal-text">
+            ${report.totalRows.toLocaleString('pt-BR')} linhas lidas, ${report.validRows.toLocaleString('pt-BR')} médicos válidos,
+            ${report.excludedRows.toLocaleString('pt-BR')} linhas excluídas e ${report.imputedRows.toLocaleString('pt-BR')} com valores imputados.
+            ${report.mergedRows ? `${report.mergedRows.toLocaleString('pt-BR')} linhas foram combinadas com registros duplicados.` : ''}
+          </p>
+          ${report.issues.length ? `
+            <ul class="validation-summary">${summary}</ul>
+            <div class="modal-table-wrapper validation-table">
+              <table class="modal-table">
+                <thead><tr><th scope="col">Planilha</th><th scope="col">Linha</th><th scope="col">Campo</th><th scope="col">Problema</th><th scope="col">Detalhe</th></tr></thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>
+            ${truncated}
+            <div>
+              <button type="button" class="filter-btn filter-btn--secondary" data-export>Exportar problemas (CSV)</button>
+            </div>
+          ` : '<p class="modal-text">Nenhum problema encontrado.</p>'}
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Volume ou afinidade ausente ou inválido</legend>
+            ${policies}
+          </fieldset>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Fechar', variant: 'secondary' },
+          { value: 'apply', label: 'Aplicar' }
+        ],
+        onRender: (dialogForm) => {
+          const exportBtn = utils.query('[data-export]', dialogForm);
+          if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportIssues(report));
+          }
+        }
+      });
+      
+      if (action !== 'apply') return;
+      
+      const policy = form.elements.policy.value;
+      if (policy === report.policy) return;
+      
+      ExcelLoader.validation.setPolicy(policy);
+      await uploadModule.runLoad(medicalData.source, () => medicalData.reprocess({ policy }));
+    },
+
+    exportIssues(report) {
+      const rows = report.issues.map(issue => [
+        issue.sheet || '',
+        issue.row === null ? '' : issue.row,
+        this.fieldLabel(issue.field),
+        this.issueTypes[issue.type] || issue.type,
+        issue.message,
+        issue.value
+      ]);
+      const csv = utils.toCSV(['Planilha', 'Linha', 'Campo', 'Problema', 'Detalhe', 'Valor'], rows);
+      const baseName = (medicalData.source || 'planilha').replace(/\.[^.]+$/, '');
+      
+      utils.downloadFile(csv, `validacao-${baseName}.csv`);
+      utils.log(`${rows.length} problemas de validação exportados`);
+    }
+  };
+
+  // Volume × affinity scatter plot (canvas) with zoom, pan and brush-to-filter
+  const scatterModule = {
+    margin: { top: 12, right: 16, bottom: 40, left: 48 },
+    fullDomain: { x: [-2, 102], y: [-2, 102] },
+    minSpan: 2, // Smallest visible range when zooming in, in score points
+    hitRadius: 8, // Pixels around a point that still count as hovering it
+    domain: null,
+    tool: 'brush',
+    drag: null,
+    points: [], // { doctor, x, y, dimmed } in canvas pixels, from the last render
+
+    segmentColors: {
+      blindar: '--color-info',
+      incentivar: '--color-success',
+      avaliar: '--color-warning',
+      conquistar: '--color-danger'
+    },
+
+    init() {
+      this.domain = this.copyDomain(this.fullDomain);
+      
+      utils.queryAll('[data-view]').forEach(btn => {
+        btn.addEventListener('click', () => this.setView(btn.dataset.view));
+      });
+      utils.queryAll('[data-scatter-tool]').forEach(btn => {
+        btn.addEventListener('click', () => this.setTool(btn.dataset.scatterTool));
+      });
+      utils.queryAll('[data-scatter-zoom]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          if (btn.dataset.scatterZoom === 'reset') this.resetZoom();
+          else this.zoom(btn.dataset.scatterZoom === 'in' ? 0.5 : 2);
+        });
+      });
+      
+      const clearRegion = utils.query('#clear-region');
+      if (clearRegion) {
+        clearRegion.addEventListener('click', () => filtersModule.setRegion(null));
+      }
+      
+      const canvas = utils.query('#scatter-canvas');
+      if (canvas) {
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointerleave', () => this.hideTooltip());
+        canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        canvas.addEventListener('keydown', (e) => this.onKeyDown(e));
+      }
+      
+      window.addEventListener('resize', utils.debounce(() => this.render(), 150));
+    },
+
+    copyDomain(domain) {
+      return { x: domain.x.slice(), y: domain.y.slice() };
+    },
+
+    isVisible() {
+      const view = utils.query('#scatter-view');
+      return Boolean(view && !view.hidden);
+    },
+
+    /**
+     * Switch between the quadrant cards and the scatter plot
+     * @param {string} view - 'quadrants' or 'scatter'
+     */
+    setView(view) {
+      const grid = utils.query('.dashboard-grid');
+      const scatter = utils.query('#scatter-view');
+      if (!grid || !scatter) return;
+      
+      grid.hidden = view === 'scatter';
+      scatter.hidden = view !== 'scatter';
+      utils.queryAll('[data-view]').forEach(btn => {
+        const active = btn.dataset.view === view;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+      });
+      
+      this.render();
+      urlModule.update();
+    },
+
+    // 'brush' selects a region, 'pan' drags the view
+    setTool(tool) {
+      this.tool = tool;
+      utils.queryAll('[data-scatter-tool]').forEach(btn => {
+        const active = btn.dataset.scatterTool === tool;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+      });
+      
+      const canvas = utils.query('#scatter-canvas');
+      if (canvas) canvas.classList.toggle('scatter-canvas--pan', tool === 'pan');
+    },
+
+    // Canvas size in CSS pixels; the wrapper width has a fallback when not laid out
+    getSize() {
+      const wrapper = utils.query('.scatter-canvas-wrapper');
+      const width = (wrapper && wrapper.clientWidth) || 640;
+      return { width, height: Math.round(Math.min(Math.max(width * 0.6, 280), 560)) };
+    },
+
+    toPixel(value, axis, size) {
+      const [min, max] = this.domain[axis];
+      const { margin } = this;
+      if (axis === 'x') {
+        return margin.left + (value - min) / (max - min) * (size.width - margin.left - margin.right);
+      }
+      return size.height - margin.bottom - (value - min) / (max - min) * (size.height - margin.top - margin.bottom);
+    },
+
+    toValue(pixel, axis, size) {
+      const [min, max] = this.domain[axis];
+      const { margin } = this;
+      if (axis === 'x') {
+        return min + (pixel - margin.left) / (size.width - margin.left - margin.right) * (max - min);
+      }
+      return min + (size.height - margin.bottom - pixel) / (size.height - margin.top - margin.bottom) * (max - min);
+    },
+
+    // Redraw with the doctors that pass the filters; those outside the brushed region are faded
+    render() {
+      if (!this.isVisible()) return;
+      
+      const canvas = utils.query('#scatter-canvas');
+      if (!canvas) return;
+      
+      const size = this.getSize();
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = size.width * ratio;
+      canvas.height = size.height * ratio;
+      canvas.style.height = `${size.height}px`;
+      
+      const region = filtersModule.currentFilters.region;
+      this.points = filtersModule.regionCandidates.map(doctor => ({
+        doctor,
+        x: this.toPixel(doctor.volume, 'x', size),
+        y: this.toPixel(doctor.affinity, 'y', size),
+        dimmed: Boolean(region) && !filtersModule.inRegion(doctor, region)
+      }));
+      
+      canvas.setAttribute('aria-label', `Gráfico de dispersão de volume e afinidade: ${filtersModule.filteredDoctors.length.toLocaleString('pt-BR')} médicos`);
+      this.updateRegionText();
+      
+      const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+      if (!ctx) return; // No canvas support (e.g. tests); hit testing still works
+      
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, size.width, size.height);
+      this.drawAxes(ctx, size);
+      this.drawPoints(ctx, size);
+    },
+
+    drawAxes(ctx, size) {
+      const { margin } = this;
+      const style = getComputedStyle(document.documentElement);
+      const muted = style.getPropertyValue('--color-muted').trim() || '#6B7280';
+      const left = margin.left;
+      const right = size.width - margin.right;
+      const top = margin.top;
+      const bottom = size.height - margin.bottom;
+      
+      ctx.font = '11px sans-serif';
+      ctx.fillStyle = muted;
+      ctx.strokeStyle = '#E5E7EB';
+      ctx.lineWidth = 1;
+      
+      ['x', 'y'].forEach(axis => {
+        this.ticks(this.domain[axis]).forEach(value => {
+          const position = this.toPixel(value, axis, size);
+          ctx.beginPath();
+          if (axis === 'x') {
+            ctx.moveTo(position, top);
+            ctx.lineTo(position, bottom);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(this.formatTick(value), position, bottom + 4);
+          } else {
+            ctx.moveTo(left, position);
+            ctx.lineTo(right, position);
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.formatTick(value), left - 6, position);
+          }
+          ctx.stroke();
+        });
+      });
+      
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText('Volume', (left + right) / 2, size.height - 2);
+      ctx.save();
+      ctx.translate(12, (top + bottom) / 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Afinidade', 0, 0);
+      ctx.restore();
+      
+      // Segmentation cutoffs
+      const cutoffs = ExcelLoader.segmentation.getCutoffs();
+      const cutX = this.toPixel(cutoffs.volume, 'x', size);
+      const cutY = this.toPixel(cutoffs.affinity, 'y', size);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(left, top, right - left, bottom - top);
+      ctx.clip();
+      ctx.strokeStyle = style.getPropertyValue('--color-ink').trim() || '#0F172A';
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(cutX, top);
+      ctx.lineTo(cutX, bottom);
+      ctx.moveTo(left, cutY);
+      ctx.lineTo(right, cutY);
+      ctx.stroke();
+      ctx.restore();
+    },
+
+    drawPoints(ctx, size) {
+      const { margin } = this;
+      const style = getComputedStyle(document.documentElement);
+      const radius = this.points.length > 5000 ? 1.5 : 3;
+      
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(margin.left, margin.top, size.width - margin.left - margin.right, size.height - margin.top - margin.bottom);
+      ctx.clip();
+      
+      // Faded points first so the selected ones stay on top; one path per color
+      [true, false].forEach(dimmed => {
+        ctx.globalAlpha = dimmed ? 0.15 : 0.8;
+        Object.keys(this.segmentColors).forEach(segment => {
+          ctx.fillStyle = style.getPropertyValue(this.segmentColors[segment]).trim() || '#6B7280';
+          ctx.beginPath();
+          this.points.forEach(point => {
+            if (point.dimmed !== dimmed || point.doctor.segment !== segment) return;
+            ctx.moveTo(point.x + radius, point.y);
+            ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+          });
+          ctx.fill();
+        });
+      });
+      ctx.restore();
+    },
+
+    // Round tick values: about 5 to 10 per axis
+    ticks([min, max]) {
+      const span = max - min;
+      const step = [1, 2, 5, 10, 20, 25, 50].find(candidate => span / candidate <= 10) || 50;
+      const ticks = [];
+      for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+        ticks.push(value);
+      }
+      return ticks;
+    },
+
+    formatTick(value) {
+      return Number(value.toFixed(2)).toLocaleString('pt-BR');
+    },
+
+    /**
+     * Zoom around a point of the chart
+     * @param {number} factor - Below 1 zooms in, above 1 zooms out
+     * @param {Object} [center] - { x, y } in score values, the middle by default
+     */
+    zoom(factor, center = null) {
+      ['x', 'y'].forEach(axis => {
+        const [min, max] = this.domain[axis];
+        const middle = center ? center[axis] : (min + max) / 2;
+        const fullSpan = this.fullDomain[axis][1] - this.fullDomain[axis][0];
+        const span = Math.min(Math.max((max - min) * factor, this.minSpan), fullSpan);
+        const share = (middle - min) / (max - min);
+        this.domain[axis] = [middle - span * share, middle + span * (1 - share)];
+      });
+      this.clampDomain();
+      this.render();
+    },
+
+    resetZoom() {
+      this.domain = this.copyDomain(this.fullDomain);
+      this.render();
+    },
+
+    // Move the view by a number of pixels
+    pan(dx, dy) {
+      const size = this.getSize();
+      const shiftX = this.toValue(0, 'x', size) - this.toValue(dx, 'x', size);
+      const shiftY = this.toValue(0, 'y', size) - this.toValue(dy, 'y', size);
+      this.domain.x = this.domain.x.map(value => value + shiftX);
+      this.domain.y = this.domain.y.map(value => value + shiftY);
+      this.clampDomain();
+      this.render();
+    },
+
+    // Keep the view inside the full 0-100 range
+    clampDomain() {
+      ['x', 'y'].forEach(axis => {
+        const [fullMin, fullMax] = this.fullDomain[axis];
+        let [min, max] = this.domain[axis];
+        if (min < fullMin) [min, max] = [fullMin, max + fullMin - min];
+        if (max > fullMax) [min, max] = [min - (max - fullMax), fullMax];
+        this.domain[axis] = [Math.max(min, fullMin), max];
+      });
+    },
+
+    getPointer(e) {
+      const rect = e.currentTarget.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    },
+
+    // Closest point within hitRadius pixels, or null
+    nearest(x, y) {
+      let best = null;
+      let bestDistance = this.hitRadius * this.hitRadius;
+      this.points.forEach(point => {
+        const distance = (point.x - x) ** 2 + (point.y - y) ** 2;
+        if (distance <= bestDistance) {
+          best = point;
+          bestDistance = distance;
+        }
+      });
+      return best;
+    },
+
+    onPointerDown(e) {
+      if (e.button !== 0) return;
+      const start = this.getPointer(e);
+      this.drag = { start, last: start, moved: false };
+      if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+      this.hideTooltip();
+    },
+
+    onPointerMove(e) {
+      const pointer = this.getPointer(e);
+      
+      if (!this.drag) {
+        this.showTooltip(this.nearest(pointer.x, pointer.y));
+        return;
+      }
+      
+      const { start } = this.drag;
+      this.drag.moved = this.drag.moved || Math.abs(pointer.x - start.x) + Math.abs(pointer.y - start.y) > 4;
+      if (!this.drag.moved) return;
+      
+      if (this.tool === 'pan') {
+        this.pan(pointer.x - this.drag.last.x, pointer.y - this.drag.last.y);
+      } else {
+        this.showBrush(start, pointer);
+      }
+      this.drag.last = pointer;
+    },
+
+    onPointerUp(e) {
+      if (!this.drag) return;
+      const pointer = this.getPointer(e);
+      const { start, moved } = this.drag;
+      this.drag = null;
+      this.hideBrush();
+      
+      if (!moved) {
+        const point = this.nearest(pointer.x, pointer.y);
+        if (point) detailModule.open(point.doctor.id);
+        return;
+      }
+      if (this.tool !== 'brush') return;
+      
+      const size = this.getSize();
+      const volumes = [start.x, pointer.x].map(x => this.toValue(x, 'x', size));
+      const affinities = [start.y, pointer.y].map(y => this.toValue(y, 'y', size));
+      const round = value => Math.round(Math.min(Math.max(value, 0), 100) * 10) / 10;
+      filtersModule.setRegion({
+        volume: { min: round(Math.min(...volumes)), max: round(Math.max(...volumes)) },
+        affinity: { min: round(Math.min(...affinities)), max: round(Math.max(...affinities)) }
+      });
+    },
+
+    onWheel(e) {
+      e.preventDefault();
+      const pointer = this.getPointer(e);
+      const size = this.getSize();
+      this.zoom(e.deltaY < 0 ? 0.8 : 1.25, {
+        x: this.toValue(pointer.x, 'x', size),
+        y: this.toValue(pointer.y, 'y', size)
+      });
+    },
+
+    onKeyDown(e) {
+      const step = 40;
+      const actions = {
+        '+': () => this.zoom(0.5),
+        '=': () => this.zoom(0.5),
+        '-': () => this.zoom(2),
+        '0': () => this.resetZoom(),
+        ArrowLeft: () => this.pan(step, 0),
+        ArrowRight: () => this.pan(-step, 0),
+        ArrowUp: () => this.pan(0, step),
+        ArrowDown: () => this.pan(0, -step)
+      };
+      if (!actions[e.key]) return;
+      e.preventDefault();
+      actions[e.key]();
+    },
+
+    showBrush(start, end) {
+      const brush = utils.query('.scatter-brush');
+      if (!brush) return;
+      brush.hidden = false;
+      brush.style.left = `${Math.min(start.x, end.x)}px`;
+      brush.style.top = `${Math.min(start.y, end.y)}px`;
+      brush.style.width = `${Math.abs(end.x - start.x)}px`;
+      brush.style.height = `${Math.abs(end.y - start.y)}px`;
+    },
+
+    hideBrush() {
+      const brush = utils.query('.scatter-brush');
+      if (brush) brush.hidden = true;
+    },
+
+    showTooltip(point) {
+      const tooltip = utils.query('.scatter-tooltip');
+      if (!tooltip) return;
+      if (!point) {
+        tooltip.hidden = true;
+        return;
+      }
+      
+      const doctor = point.doctor;
+      tooltip.textContent = `${doctor.name} · ${filtersModule.getSpecialtyDisplayName(doctor.subspecialty || doctor.specialty)} · ${filtersModule.formatScores(doctor)}`;
+      tooltip.style.left = `${point.x}px`;
+      tooltip.style.top = `${point.y}px`;
+      tooltip.hidden = false;
+    },
+
+    hideTooltip() {
+      const tooltip = utils.query('.scatter-tooltip');
+      if (tooltip) tooltip.hidden = true;
+    },
+
+    // Describe the brushed region next to the toolbar
+    updateRegionText() {
+      const container = utils.query('#scatter-region');
+      const text = utils.query('#scatter-region-text');
+      const region = filtersModule.currentFilters.region;
+      if (!container || !text) return;
+      
+      container.hidden = !region;
+      if (region) {
+        const range = ({ min, max }) => `${min.toLocaleString('pt-BR')}–${max.toLocaleString('pt-BR')}`;
+        text.textContent = `Região: volume ${range(region.volume)} · afinidade ${range(region.affinity)}`;
+      }
+    }
+  };
+
+  // Doctors by state (map from a bundled GeoJSON) and by city
+  const geoModule = {
+    features: null, // GeoJSON features, loaded on first render
+    loading: null,
+    renderId: 0, // Ignores map renders overtaken by a newer one
+    maxCities: 50,
+    width: 480, // SVG units; the height follows the map proportions
+    labelSize: { width: 36, height: 30 }, // Smaller states show their count on hover and by colour only
+
+    init() {
+      const map = utils.query('#geo-map');
+      if (map) {
+        map.addEventListener('click', (e) => {
+          const state = e.target.closest('[data-uf]');
+          if (state) this.selectUF(state.dataset.uf);
+        });
+        map.addEventListener('keydown', (e) => {
+          const state = e.target.closest('[data-uf]');
+          if (state && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            this.selectUF(state.dataset.uf);
+          }
+        });
+      }
+      
+      const cities = utils.query('#geo-cities-body');
+      if (cities) {
+        cities.addEventListener('click', (e) => {
+          const button = e.target.closest('button[data-city]');
+          if (button) this.selectCity(button.dataset.city, button.dataset.uf);
+        });
+      }
+      
+      const clearBtn = utils.query('#clear-geo');
+      if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+          this.setDimension('city', '');
+          this.setDimension('uf', '');
+        });
+      }
+    },
+
+    hasGeography() {
+      return medicalData.doctors.some(doctor => doctor.uf || doctor.city);
+    },
+
+    loadFeatures() {
+      if (!this.loading) {
+        this.loading = fetch(CONFIG.geoJsonPath)
+          .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+          })
+          .then(geoJson => {
+            this.features = (geoJson.features || []).filter(feature => feature.properties && feature.properties.sigla);
+            return this.features;
+          })
+          .catch(error => {
+            utils.log(`Mapa de UFs indisponível (${CONFIG.geoJsonPath}): ${error.message}`, 'warn');
+            this.features = [];
+            return this.features;
+          });
+      }
+      return this.loading;
+    },
+
+    // Doctor count per segment
+    mix(doctors) {
+      const counts = { total: doctors.length };
+      ExcelLoader.snapshots.segments.forEach(segment => {
+        counts[segment] = 0;
+      });
+      doctors.forEach(doctor => {
+        counts[doctor.segment]++;
+      });
+      return counts;
+    },
+
+    mixLabel(counts) {
+      return ExcelLoader.snapshots.segments
+        .map(segment => `${detailModule.segmentLabels[segment]}: ${counts[segment].toLocaleString('pt-BR')}`)
+        .join(', ');
+    },
+
+    groupBy(doctors, key) {
+      const groups = new Map();
+      doctors.forEach(doctor => {
+        const value = key(doctor);
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(doctor);
+      });
+      return groups;
+    },
+
+    // Filter the matrix by a state; the selected state clears the filter
+    selectUF(uf) {
+      this.setDimension('city', '');
+      this.toggleDimension('uf', uf);
+    },
+
+    // Filter by a city of the table; the same name in another state stays out
+    selectCity(city, uf) {
+      const { dimensions } = filtersModule.currentFilters;
+      if (dimensions.city === city && (dimensions.uf || '') === uf) {
+        this.setDimension('city', '');
+        return;
+      }
+      
+      this.setDimension('uf', uf);
+      this.setDimension('city', city);
+    },
+
+    toggleDimension(key, value) {
+      this.setDimension(key, filtersModule.currentFilters.dimensions[key] === value ? '' : value);
+    },
+
+    // Keep the dimension select of the filters panel in sync
+    setDimension(key, value) {
+      const select = utils.query(`#dimension-${key}`);
+      if (select) select.value = value;
+      filtersModule.updateDimensionFilter(key, value);
+    },
+
+    async render() {
+      const section = utils.query('#geo-view');
+      if (!section) return;
+      
+      section.hidden = !this.hasGeography();
+      if (section.hidden) return;
+      
+      const { uf, city } = filtersModule.currentFilters.dimensions;
+      const selection = utils.query('#geo-selection');
+      const selectionText = utils.query('#geo-selection-text');
+      if (selection && selectionText) {
+        selection.hidden = !uf && !city;
+        selectionText.textContent = [city, uf].filter(Boolean).join(' / ');
+      }
+      
+      this.renderCities(uf || city ? filtersModule.filterDoctorsExcept(['city']) : filtersModule.filteredDoctors);
+      
+      const renderId = ++this.renderId;
+      const features = await this.loadFeatures();
+      if (renderId !== this.renderId) return;
+      this.renderMap(features, uf || city ? filtersModule.filterDoctorsExcept(['uf', 'city']) : filtersModule.filteredDoctors);
+    },
+
+    renderCities(doctors) {
+      const body = utils.query('#geo-cities-body');
+      const note = utils.query('#geo-cities-note');
+      if (!body) return;
+      
+      const { city: selectedCity, uf: selectedUF = '' } = filtersModule.currentFilters.dimensions;
+      const focusedButton = body.contains(document.activeElement) ? document.activeElement : null;
+      const cities = Array.from(this.groupBy(doctors.filter(doctor => doctor.city), doctor => `${doctor.city}|${doctor.uf || ''}`).values())
+        .map(group => ({ city: group[0].city, uf: group[0].uf, counts: this.mix(group) }))
+        .sort((a, b) => b.counts.total - a.counts.total || a.city.localeCompare(b.city, 'pt-BR'));
+      
+      body.innerHTML = cities.slice(0, this.maxCities).map(({ city, uf, counts }) => `
+        <tr>
+          <td>
+            <button type="button" class="geo-city-link" data-city="${utils.escapeHTML(city)}" data-uf="${utils.escapeHTML(uf || '')}" aria-pressed="${city === selectedCity && (uf || '') === selectedUF}">${utils.escapeHTML(city)}</button>
+          </td>
+          <td>${utils.escapeHTML(uf || '')}</td>
+          <td>${counts.total.toLocaleString('pt-BR')}</td>
+          ${ExcelLoader.snapshots.segments.map(segment => `<td>${counts[segment].toLocaleString('pt-BR')}</td>`).join('')}
+          <td>${this.renderMixBar(counts)}</td>
+        </tr>
+      `).join('') || '<tr><td colspan="8">Nenhum médico com cidade nos filtros atuais.</td></tr>';
+      
+      const focused = focusedButton ? Array.from(body.querySelectorAll('button[data-city]')).find(button =>
+        button.dataset.city === focusedButton.dataset.city && button.dataset.uf === focusedButton.dataset.uf
+      ) : null;
+      if (focused) focused.focus();
+      
+      if (note) {
+        const withoutCity = doctors.length - cities.reduce((sum, entry) => sum + entry.counts.total, 0);
+        const notes = [];
+        if (cities.length > this.maxCities) notes.push(`Mostrando ${this.maxCities} de ${cities.length.toLocaleString('pt-BR')} cidades.`);
+        if (withoutCity > 0) notes.push(`${withoutCity.toLocaleString('pt-BR')} médicos sem cidade.`);
+        note.hidden = notes.length === 0;
+        note.textContent = notes.join(' ');
+      }
+    },
+
+    // Horizontal bar split by segment
+    renderMixBar(counts) {
+      if (!counts.total) return '';
+      const parts = ExcelLoader.snapshots.segments
+        .filter(segment => counts[segment])
+        .map(segment => `<span class="geo-mix--${segment}" style="width: ${(counts[segment] / counts.total * 100).toFixed(1)}%"></span>`)
+        .join('');
+      return `<span class="geo-mix-bar" role="img" aria-label="${utils.escapeHTML(this.mixLabel(counts))}">${parts}</span>`;
+    },
+
+    // Equirectangular projection scaled to the map width
+    project(features) {
+      const points = [];
+      const collect = coordinates => {
+        if (typeof coordinates[0] === 'number') points.push(coordinates);
+        else coordinates.forEach(collect);
+      };
+      features.forEach(feature => collect(feature.geometry.coordinates));
+      
+      const lons = points.map(point => point[0]);
+      const lats = points.map(point => point[1]);
+      const minLon = Math.min(...lons);
+      const maxLat = Math.max(...lats);
+      const ratio = Math.cos((maxLat + Math.min(...lats)) / 2 * Math.PI / 180);
+      const scale = this.width / ((Math.max(...lons) - minLon) * ratio);
+      
+      return {
+        height: (maxLat - Math.min(...lats)) * scale,
+        point: ([lon, lat]) => [(lon - minLon) * ratio * scale, (maxLat - lat) * scale]
+      };
+    },
+
+    /**
+     * Where a state's label goes: the area centroid of its largest outer
+     * ring (the bounding box centre falls outside concave states)
+     * @param {Array} rings - Projected outer rings
+     * @returns {{x: number, y: number, width: number, height: number}} Centroid and ring size
+     */
+    labelBox(rings) {
+      const measure = ring => {
+        let area = 0;
+        let x = 0;
+        let y = 0;
+        ring.forEach(([x1, y1], index) => {
+          const [x2, y2] = ring[(index + 1) % ring.length];
+          const cross = x1 * y2 - x2 * y1;
+          area += cross;
+          x += (x1 + x2) * cross;
+          y += (y1 + y2) * cross;
+        });
+        const xs = ring.map(point => point[0]);
+        const ys = ring.map(point => point[1]);
+        return {
+          area: Math.abs(area / 2),
+          x: area ? x / (3 * area) : xs[0],
+          y: area ? y / (3 * area) : ys[0],
+          width: Math.max(...xs) - Math.min(...xs),
+          height: Math.max(...ys) - Math.min(...ys)
+        };
+      };
+      return rings.map(measure).reduce((largest, ring) => (ring.area > largest.area ? ring : largest));
+    },
+
+    renderMap(features, doctors) {
+      const map = utils.query('#geo-map');
+      if (!map) return;
+      
+      if (features.length === 0) {
+        map.innerHTML = '<p class="modal-text">Mapa de UFs indisponível.</p>';
+        return;
+      }
+      
+      const byUF = this.groupBy(doctors, doctor => doctor.uf || '');
+      const max = Math.max(1, ...features.map(feature => (byUF.get(feature.properties.sigla) || []).length));
+      const selected = filtersModule.currentFilters.dimensions.uf;
+      const projection = this.project(features);
+      const toPath = rings => rings.map(ring => `M${ring.map(point => projection.point(point).map(value => value.toFixed(1)).join(',')).join('L')}Z`).join('');
+      
+      const states = features.map(feature => {
+        const { sigla, nome } = feature.properties;
+        const counts = this.mix(byUF.get(sigla) || []);
+        const polygons = feature.geometry.type === 'MultiPolygon' ? feature.geometry.coordinates : [feature.geometry.coordinates];
+        const box = this.labelBox(polygons.map(polygon => polygon[0].map(projection.point)));
+        const { x: cx, y: cy } = box;
+        const labeled = box.width >= this.labelSize.width && box.height >= this.labelSize.height;
+        const label = `${nome || sigla}: ${counts.total.toLocaleString('pt-BR')} médicos${counts.total ? ` (${this.mixLabel(counts)})` : ''}`;
+        
+        let offset = cx - 20;
+        const bar = labeled && counts.total ? ExcelLoader.snapshots.segments.filter(segment => counts[segment]).map(segment => {
+          const width = counts[segment] / counts.total * 40;
+          const rect = `<rect class="geo-mix--${segment}" x="${offset.toFixed(1)}" y="${(cy + 6).toFixed(1)}" width="${width.toFixed(1)}" height="4"></rect>`;
+          offset += width;
+          return rect;
+        }).join('') : '';
+        
+        return `
+          <g class="geo-state${sigla === selected ? ' geo-state--selected' : ''}" data-uf="${utils.escapeHTML(sigla)}" tabindex="0" role="button" aria-pressed="${sigla === selected}" aria-label="${utils.escapeHTML(label)}">
+            <title>${utils.escapeHTML(label)}</title>
+            <path class="geo-state-shape" d="${polygons.map(toPath).join('')}" fill-opacity="${counts.total ? (0.15 + 0.85 * counts.total / max).toFixed(2) : 0}"></path>
+            ${labeled ? `<text class="geo-state-label" x="${cx.toFixed(1)}" y="${(cy - 2).toFixed(1)}" text-anchor="middle">${utils.escapeHTML(sigla)} ${counts.total.toLocaleString('pt-BR')}</text>` : ''}
+            ${bar}
+          </g>
+        `;
+      }).join('');
+      
+      // Re-rendering replaces the states; keep keyboard focus on the same one
+      const focusedUF = map.contains(document.activeElement) ? document.activeElement.dataset.uf : null;
+      const withoutUF = (byUF.get('') || []).length;
+      map.innerHTML = `
+        <svg viewBox="-2 -2 ${this.width + 4} ${(projection.height + 4).toFixed(1)}" role="group" aria-label="Médicos por UF">${states}</svg>
+        ${withoutUF ? `<figcaption class="scatter-help">${withoutUF.toLocaleString('pt-BR')} médicos sem UF.</figcaption>` : ''}
+      `;
+      
+      const focused = focusedUF ? map.querySelector(`[data-uf="${focusedUF}"]`) : null;
+      if (focused) focused.focus();
+    }
+  };
+
+  // Specialty × segment heatmap with average scores per specialty
+  const analyticsModule = {
+    sort: { key: 'total', direction: 'desc' },
+
+    columns: [
+      { key: 'label', label: 'Especialidade' },
+      { key: 'total', label: 'Médicos' },
+      { key: 'blindar', label: 'Blindar', segment: true },
+      { key: 'incentivar', label: 'Incentivar', segment: true },
+      { key: 'avaliar', label: 'Avaliar', segment: true },
+      { key: 'conquistar', label: 'Conquistar', segment: true },
+      { key: 'volume', label: 'Volume médio' },
+      { key: 'affinity', label: 'Afinidade média' }
+    ],
+
+    init() {
+      const table = utils.query('#analytics-table');
+      if (!table) return;
+      
+      table.addEventListener('click', (e) => {
+        const sortBtn = e.target.closest('button[data-sort]');
+        if (sortBtn) {
+          this.setSort(sortBtn.dataset.sort);
+          return;
+        }
+        
+        const cell = e.target.closest('button[data-specialty]');
+        if (cell) this.applyCell(cell.dataset.specialty, cell.dataset.segment || '');
+      });
+    },
+
+    // Identifies a table button across re-renders
+    buttonKey(button) {
+      return [button.dataset.sort, button.dataset.specialty, button.dataset.segment].join('|');
+    },
+
+    // Same column again flips the direction; names start A-Z, numbers high to low
+    setSort(key) {
+      this.sort = this.sort.key === key ?
+        { key, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' } :
+        { key, direction: key === 'label' ? 'asc' : 'desc' };
+      this.render();
+    },
+
+    /**
+     * Filter the matrix by a specialty and, optionally, one segment. Clicking
+     * the active cell removes both filters.
+     */
+    applyCell(specialty, segment) {
+      const filters = filtersModule.currentFilters;
+      const isActive = filters.specialty === specialty &&
+        (segment ? filters.segments.length === 1 && filters.segments[0] === segment : filters.segments.length === 0);
+      
+      filters.specialty = isActive ? '' : specialty;
+      filters.segments = isActive || !segment ? [] : [segment];
+      filtersModule.syncControls();
+      filtersModule.applyFilters();
+    },
+
+    // One row per specialty: counts per segment, row shares and average scores
+    buildRows(doctors) {
+      const bySpecialty = new Map();
+      doctors.forEach(doctor => {
+        if (!bySpecialty.has(doctor.specialty)) bySpecialty.set(doctor.specialty, []);
+        bySpecialty.get(doctor.specialty).push(doctor);
+      });
+      
+      return Array.from(bySpecialty.entries()).map(([specialty, group]) => this.summarize(specialty, group));
+    },
+
+    summarize(specialty, doctors) {
+      const row = {
+        specialty,
+        label: specialty === null ? 'Total' : filtersModule.getSpecialtyDisplayName(specialty),
+        total: doctors.length,
+        counts: {},
+        volume: doctors.reduce((sum, doctor) => sum + doctor.volume, 0) / (doctors.length || 1),
+        affinity: doctors.reduce((sum, doctor) => sum + doctor.affinity, 0) / (doctors.length || 1)
+      };
+      ExcelLoader.snapshots.segments.forEach(segment => {
+        row.counts[segment] = doctors.filter(doctor => doctor.segment === segment).length;
+        row[segment] = doctors.length ? row.counts[segment] / doctors.length : 0;
+      });
+      return row;
+    },
+
+    sortRows(rows) {
+      const { key, direction } = this.sort;
+      const factor = direction === 'asc' ? 1 : -1;
+      return rows.sort((a, b) => {
+        const order = key === 'label' ? a.label.localeCompare(b.label, 'pt-BR') : a[key] - b[key];
+        return order * factor || a.label.localeCompare(b.label, 'pt-BR');
+      });
+    },
+
+    formatShare(value) {
+      return `${Math.round(value * 100)}%`;
+    },
+
+    formatAverage(value) {
+      return value.toLocaleString('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    },
+
+    render() {
+      const section = utils.query('#analytics-view');
+      const table = utils.query('#analytics-table');
+      if (!section || !table) return;
+      
+      section.hidden = medicalData.doctors.length === 0;
+      if (section.hidden) return;
+      
+      // Other filters still apply; specialty and segment are what the table chooses
+      const doctors = filtersModule.filterDoctorsExcept(['specialty', 'segments']);
+      const rows = this.sortRows(this.buildRows(doctors));
+      const totals = this.summarize(null, doctors);
+      const filters = filtersModule.currentFilters;
+      
+      const headerCells = this.columns.map(column => {
+        const sorted = this.sort.key === column.key;
+        const ariaSort = sorted ? (this.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+        return `
+          <th scope="col" aria-sort="${ariaSort}">
+            <button type="button" class="analytics-sort" data-sort="${column.key}">
+              ${utils.escapeHTML(column.label)}<span class="analytics-sort-icon" aria-hidden="true">${sorted ? (this.sort.direction === 'asc' ? '▲' : '▼') : ''}</span>
+            </button>
+          </th>
+        `;
+      }).join('');
+      
+      const segmentCell = (row, segment) => {
+        const active = filters.specialty === row.specialty && filters.segments.length === 1 && filters.segments[0] === segment;
+        const share = row[segment];
+        return `
+          <td class="heatmap-cell${share >= 0.5 ? ' heatmap-cell--strong' : ''}" style="--heat: ${share.toFixed(2)}">
+            <button type="button" class="heatmap-btn" data-specialty="${utils.escapeHTML(row.specialty)}" data-segment="${segment}" aria-pressed="${active}"
+              aria-label="${utils.escapeHTML(`${row.label}, ${detailModule.segmentLabels[segment]}: ${row.counts[segment]} médicos, ${this.formatShare(share)} da especialidade`)}">
+              ${row.counts[segment].toLocaleString('pt-BR')} <span class="heatmap-share">${this.formatShare(share)}</span>
+            </button>
+          </td>
+        `;
+      };
+      
+      const bodyRows = rows.map(row => `
+        <tr>
+          <th scope="row">
+            <button type="button" class="analytics-specialty" data-specialty="${utils.escapeHTML(row.specialty)}" aria-pressed="${filters.specialty === row.specialty && filters.segments.length === 0}">${utils.escapeHTML(row.label)}</button>
+          </th>
+          <td>${row.total.toLocaleString('pt-BR')}</td>
+          ${ExcelLoader.snapshots.segments.map(segment => segmentCell(row, segment)).join('')}
+          <td>${this.formatAverage(row.volume)}</td>
+          <td>${this.formatAverage(row.affinity)}</td>
+        </tr>
+      `).join('');
+      
+      const focusedKey = table.contains(document.activeElement) ? this.buttonKey(document.activeElement) : null;
+      table.innerHTML = `
+        <caption class="sr-only">Médicos por especialidade e segmento, com a porcentagem de cada segmento na especialidade</caption>
+        <thead><tr>${headerCells}</tr></thead>
+        <tbody>${bodyRows || `<tr><td colspan="${this.columns.length}">Nenhum médico nos filtros atuais.</td></tr>`}</tbody>
+        <tfoot>
+          <tr>
+            <th scope="row">Total</th>
+            <td>${totals.total.toLocaleString('pt-BR')}</td>
+            ${ExcelLoader.snapshots.segments.map(segment => `<td>${totals.counts[segment].toLocaleString('pt-BR')} <span class="heatmap-share">${this.formatShare(totals[segment])}</span></td>`).join('')}
+            <td>${this.formatAverage(totals.volume)}</td>
+            <td>${this.formatAverage(totals.affinity)}</td>
+          </tr>
+        </tfoot>
+      `;
+      
+      const focused = focusedKey ? Array.from(table.querySelectorAll('button')).find(button => this.buttonKey(button) === focusedKey) : null;
+      if (focused) focused.focus();
+    }
+  };
+
+  // Doctor detail drawer, opened from the quadrant lists and linked as #medico=<id>
+  const detailModule = {
+    hashPrefix: '#medico=',
+    backdrop: null,
+    doctor: null,
+    previousFocus: null,
+
+    segmentLabels: {
+      blindar: 'Blindar',
+      incentivar: 'Incentivar',
+      avaliar: 'Avaliar',
+      conquistar: 'Conquistar'
+    },
+
+    init() {
+      const grid = utils.query('.dashboard-grid');
+      if (grid) {
+        grid.addEventListener('click', (e) => {
+          const link = e.target.closest('.doctor-link');
+          if (link) this.open(link.dataset.doctorId);
+        });
+      }
+      
+      window.addEventListener('hashchange', () => this.openFromHash());
+      this.openFromHash();
+    },
+
+    findDoctor(id) {
+      return medicalData.doctors.find(doctor => String(doctor.id) === String(id)) || null;
+    },
+
+    // Doctors of the same quadrant, in the order the list shows them
+    getQuadrant(doctor) {
+      const visible = filtersModule.filteredDoctors.filter(item => item.segment === doctor.segment);
+      return visible.includes(doctor) ? visible : medicalData.getBySegment(doctor.segment);
+    },
+
+    openFromHash() {
+      const hash = window.location.hash;
+      if (!hash.startsWith(this.hashPrefix)) {
+        if (this.backdrop) this.close(false);
+        return;
+      }
+      
+      const id = decodeURIComponent(hash.slice(this.hashPrefix.length));
+      if (this.doctor && String(this.doctor.id) === id) return;
+      if (!this.open(id)) {
+        utils.log(`Médico do link não encontrado: ${id}`, 'warn');
+      }
+    },
+
+    /**
+     * Show a doctor in the drawer, creating it if needed
+     * @param {string|number} id - Doctor id
+     * @returns {boolean} False when no doctor has this id
+     */
+    open(id) {
+      const doctor = this.findDoctor(id);
+      if (!doctor) return false;
+      
+      if (!this.backdrop) this.create();
+      this.doctor = doctor;
+      this.render();
+      
+      const link = `${this.hashPrefix}${encodeURIComponent(doctor.id)}`;
+      if (window.location.hash !== link) {
+        window.history.replaceState(null, '', link);
+      }
+      return true;
+    },
+
+    create() {
+      this.previousFocus = document.activeElement;
+      
+      this.backdrop = document.createElement('div');
+      this.backdrop.className = 'drawer-backdrop';
+      this.backdrop.innerHTML = `
+        <aside class="drawer" role="dialog" aria-modal="true" aria-labelledby="doctor-drawer-title">
+          <header class="modal-header">
+            <h2 id="doctor-drawer-title" class="modal-title"></h2>
+            <button type="button" class="modal-close" data-drawer="close" aria-label="Fechar">&times;</button>
+          </header>
+          <div class="drawer-body"></div>
+          <footer class="drawer-footer">
+            <button type="button" class="filter-btn filter-btn--secondary" data-drawer="previous">&larr; Anterior</button>
+            <span class="drawer-position" aria-live="polite"></span>
+            <button type="button" class="filter-btn filter-btn--secondary" data-drawer="next">Próximo &rarr;</button>
+          </footer>
+        </aside>
+      `;
+      
+      const drawer = utils.query('.drawer', this.backdrop);
+      
+      this.backdrop.addEventListener('click', (e) => {
+        if (e.target === this.backdrop) {
+          this.close();
+          return;
+        }
+        const button = e.target.closest('[data-drawer]');
+        if (!button) return;
+        if (button.dataset.drawer === 'close') this.close();
+        else this.step(button.dataset.drawer === 'next' ? 1 : -1);
+      });
+      
+      drawer.addEventListener('click', (e) => interactionsModule.handleDrawerClick(e, this.doctor));
+      
+      drawer.addEventListener('change', (e) => {
+        if (!e.target.matches('[data-assign-rep]')) return;
+        territoryModule.assignDoctor(this.doctor, e.target.value);
+        // The refresh re-renders the body; keep focus on the select
+        const select = utils.query('[data-assign-rep]', drawer);
+        if (select) select.focus();
+      });
+      
+      drawer.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          e.stopPropagation();
+          this.close();
+          return;
+        }
+        utils.trapFocus(drawer, e);
+      });
+      
+      document.body.appendChild(this.backdrop);
+      utils.query('.modal-close', drawer).focus();
+    },
+
+    /**
+     * Remove the drawer and give focus back
+     * @param {boolean} [clearHash] - Drop the #medico link from the URL
+     */
+    close(clearHash = true) {
+      if (!this.backdrop) return;
+      
+      this.backdrop.remove();
+      this.backdrop = null;
+      this.doctor = null;
+      
+      if (clearHash && window.location.hash.startsWith(this.hashPrefix)) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      }
+      if (this.previousFocus && typeof this.previousFocus.focus === 'function' && document.contains(this.previousFocus)) {
+        this.previousFocus.focus();
+      }
+    },
+
+    // Re-read the open doctor after filters, scores or the data changed
+    refresh() {
+      if (!this.backdrop) return;
+      
+      const doctor = this.findDoctor(this.doctor.id);
+      if (!doctor) {
+        this.close();
+        return;
+      }
+      this.doctor = doctor;
+      this.render();
+    },
+
+    // Move to the previous (-1) or next (1) doctor of the quadrant
+    step(direction) {
+      const quadrant = this.getQuadrant(this.doctor);
+      const target = quadrant[quadrant.indexOf(this.doctor) + direction];
+      if (target) this.open(target.id);
+    },
+
+    render() {
+      const doctor = this.doctor;
+      const drawer = utils.query('.drawer', this.backdrop);
+      const quadrant = this.getQuadrant(doctor);
+      const position = quadrant.indexOf(doctor);
+      
+      utils.query('#doctor-drawer-title', drawer).textContent = doctor.name;
+      utils.query('.drawer-body', drawer).innerHTML = `
+        <p>
+          <span class="segment-badge segment-badge--${utils.escapeHTML(doctor.segment)}">${utils.escapeHTML(this.segmentLabels[doctor.segment] || doctor.segment)}</span>
+          <span class="drawer-priority">${utils.escapeHTML(exportModule.priorityLabel(doctor.priority))}</span>
+        </p>
+        ${this.renderMatrix(doctor)}
+        <h3 class="drawer-section-title">Pontuação</h3>
+        ${this.renderList([
+          ['Volume', this.formatScore(doctor, 'volume')],
+          ['Afinidade', this.formatScore(doctor, 'affinity')],
+          ['Cortes', this.formatCutoffs()],
+          ['Valores imputados', (doctor.imputed || []).map(field => (field === 'volume' ? 'volume' : 'afinidade')).join(', ')],
+          ['Receita na planilha', Number.isFinite(doctor.revenue) ? revenueModule.formatCurrency(doctor.revenue) : ''],
+          ['Receita potencial', Number.isFinite(ExcelLoader.revenue.estimate(doctor)) ? revenueModule.formatCurrency(ExcelLoader.revenue.estimate(doctor)) : '']
+        ])}
+        <h3 class="drawer-section-title">Cadastro</h3>
+        ${this.renderList([
+          ['Especialidade', filtersModule.getSpecialtyDisplayName(doctor.specialty)],
+          ['Subespecialidade', doctor.subspecialty ? filtersModule.getSpecialtyDisplayName(doctor.subspecialty) : ''],
+          ['Especialidade na planilha', doctor.specialtyRaw],
+          ['CRM', doctor.crm ? `${doctor.crm}${doctor.uf ? `/${doctor.uf}` : ''}` : ''],
+          ['UF', doctor.crm ? '' : doctor.uf],
+          ['Cidade', doctor.city],
+          ['Instituição', doctor.institution],
+          ['E-mail', doctor.email ? { html: `<a href="mailto:${utils.escapeHTML(doctor.email)}">${utils.escapeHTML(doctor.email)}</a>` } : ''],
+          ['Telefone', doctor.phone ? { html: `<a href="tel:${utils.escapeHTML(doctor.phone.replace(/[^\d+]/g, ''))}">${utils.escapeHTML(doctor.phone)}</a>` } : ''],
+          ['Representante', doctor.rep]
+        ])}
+        ${this.renderAssignment(doctor)}
+        ${interactionsModule.renderSection(doctor)}
+        <h3 class="drawer-section-title">Origem</h3>
+        ${this.renderList([
+          ['Arquivo', medicalData.source],
+          ['Linha', doctor.originalRow ? duplicatesModule.rowLabel(doctor) : ''],
+          ['Linhas combinadas', (doctor.mergedFrom || []).map(duplicatesModule.rowLabel).join('; ')]
+        ])}
+        ${doctor.extra && Object.keys(doctor.extra).length ? `
+          <h3 class="drawer-section-title">Outras colunas</h3>
+          ${this.renderList(Object.entries(doctor.extra).map(([column, value]) => [column, value === null || value === undefined ? '' : String(value)]), true)}
+        ` : ''}
+      `;
+      
+      utils.query('.drawer-position', drawer).textContent = `${position + 1} de ${quadrant.length} no quadrante`;
+      utils.query('[data-drawer="previous"]', drawer).disabled = position <= 0;
+      utils.query('[data-drawer="next"]', drawer).disabled = position >= quadrant.length - 1;
+      
+      // A disabled button loses focus; keep it inside the drawer
+      if (!drawer.contains(document.activeElement) || document.activeElement.disabled) {
+        utils.query('.modal-close', drawer).focus();
+      }
+    },
+
+    /**
+     * Definition list of label/value pairs; empty values are left out
+     * @param {Array} items - [label, text or { html }]
+     * @param {boolean} [keepEmpty] - List empty values as "—"
+     */
+    renderList(items, keepEmpty = false) {
+      const rows = items
+        .filter(([, value]) => keepEmpty || (value !== '' && value !== null && value !== undefined))
+        .map(([label, value]) => {
+          const html = value && value.html ? value.html : utils.escapeHTML(value === '' ? '—' : value);
+          return `<div class="drawer-field"><dt>${utils.escapeHTML(label)}</dt><dd>${html}</dd></div>`;
+        })
+        .join('');
+      return rows ? `<dl class="drawer-fields">${rows}</dl>` : '';
+    },
+
+    // Rep select; only when reps were registered (see territoryModule)
+    renderAssignment(doctor) {
+      const reps = ExcelLoader.territory.getReps();
+      if (reps.length === 0) return '';
+      
+      const current = ExcelLoader.territory.repOf(doctor);
+      const options = reps.map(rep => `
+        <option value="${utils.escapeHTML(rep.id)}"${current && current.id === rep.id ? ' selected' : ''}>${utils.escapeHTML(rep.name)}</option>
+      `).join('');
+      
+      return `
+        <h3 class="drawer-section-title">Atribuição</h3>
+        <label class="drawer-assign">
+          <span>Representante atribuído</span>
+          <select class="filter-select" data-assign-rep>
+            <option value="">Sem representante</option>
+            ${options}
+          </select>
+        </label>
+      `;
+    },
+
+    // Sheet value, plus the 0-100 score when a scale changed it
+    formatScore(doctor, axis) {
+      const raw = doctor.raw && doctor.raw[axis] !== undefined ? doctor.raw[axis] : doctor[axis];
+      const text = Number(raw).toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+      return raw === doctor[axis] ? text : `${text} (escala 0–100: ${doctor[axis]})`;
+    },
+
+    formatCutoffs() {
+      const cutoffs = ExcelLoader.segmentation.getCutoffs();
+      const format = value => Number(value).toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+      return `volume ${format(cutoffs.volume)} · afinidade ${format(cutoffs.affinity)}`;
+    },
+
+    // Position on the volume × affinity matrix, with the segmentation cutoffs
+    renderMatrix(doctor) {
+      const cutoffs = ExcelLoader.segmentation.getCutoffs();
+      const clamp = value => Math.min(Math.max(Number(value) || 0, 0), 100);
+      const x = clamp(doctor.volume);
+      const y = 100 - clamp(doctor.affinity);
+      const cutX = clamp(cutoffs.volume);
+      const cutY = 100 - clamp(cutoffs.affinity);
+      
+      return `
+        <figure class="drawer-matrix">
+          <svg viewBox="-2 -2 104 104" role="img" aria-label="Volume ${doctor.volume} e afinidade ${doctor.affinity} na escala 0 a 100">
+            <rect class="drawer-matrix-area" x="0" y="0" width="100" height="100"></rect>
+            <line class="drawer-matrix-cut" x1="${cutX}" y1="0" x2="${cutX}" y2="100"></line>
+            <line class="drawer-matrix-cut" x1="0" y1="${cutY}" x2="100" y2="${cutY}"></line>
+            <circle class="drawer-matrix-point drawer-matrix-point--${utils.escapeHTML(doctor.segment)}" cx="${x}" cy="${y}" r="3.5"></circle>
+          </svg>
+          <figcaption>Volume &rarr; · Afinidade &uarr;</figcaption>
+        </figure>
+      `;
+    }
+  };
+
+  // Review and merging of records that look like the same doctor
+  const duplicatesModule = {
+    maxGroups: 100, // Groups listed in the dialog
+
+    policyLabels: {
+      max: 'Maior valor entre os registros',
+      average: 'Média dos registros',
+      latest: 'Registro mais recente (última linha)'
+    },
+
+    init() {
+      const reviewBtn = utils.query('#review-duplicates');
+      if (reviewBtn) {
+        reviewBtn.addEventListener('click', () => this.review());
+      }
+      
+      this.updateButton();
+    },
+
+    // Show the number of duplicate groups found in the last load
+    updateButton() {
+      const reviewBtn = utils.query('#review-duplicates');
+      const count = utils.query('#duplicate-count');
+      const report = ExcelLoader.getValidationReport();
+      if (!reviewBtn) return;
+      
+      reviewBtn.hidden = !report || !report.duplicateGroups || !ExcelLoader.hasSource();
+      if (report && count) {
+        count.textContent = (report.duplicateGroups || 0).toLocaleString('pt-BR');
+      }
+    },
+
+    // "Planilha, linha 12" or "linha 12"
+    rowLabel(record) {
+      return record.sheet ? `${record.sheet}, linha ${record.originalRow}` : `linha ${record.originalRow}`;
+    },
+
+    reasonLabel(group) {
+      if (group.reason === 'crm') {
+        const doctor = group.doctors[0];
+        return `CRM ${doctor.crm}${doctor.uf ? `/${doctor.uf}` : ''}`;
+      }
+      return group.similarity === 1 ? 'Mesmo nome' : `Nome ${Math.round(group.similarity * 100)}% semelhante`;
+    },
+
+    formatScore(value) {
+      return Number.isFinite(value) ? value.toLocaleString('pt-BR') : '—';
+    },
+
+    /**
+     * Ask which duplicate groups to merge and how to combine the scores.
+     * Same CRM and identical names start selected; similar names must be
+     * confirmed.
+     * @param {Object} request - { groups, policy, policies } from ExcelLoader
+     * @returns {Promise<{policy: string, keys: Array<string>}|null>} null keeps
+     *   every record separate
+     */
+    async prompt(request) {
+      const listed = request.groups.slice(0, this.maxGroups);
+      const unlisted = request.groups.slice(this.maxGroups);
+      
+      const groupRows = listed.map((group, index) => group.doctors.map((doctor, position) => `
+        <tr>
+          ${position === 0 ? `
+            <td rowspan="${group.doctors.length}">
+              <input type="checkbox" name="group" value="${index}" aria-label="Combinar grupo ${index + 1}"${group.similarity === 1 ? ' checked' : ''}>
+            </td>
+            <td rowspan="${group.doctors.length}">${utils.escapeHTML(this.reasonLabel(group))}</td>
+          ` : ''}
+          <td>${utils.escapeHTML(doctor.name)}</td>
+          <td>${utils.escapeHTML(this.rowLabel(doctor))}</td>
+          <td>${utils.escapeHTML(doctor.specialtyRaw || '')}</td>
+          <td>${this.formatScore(doctor.volume)}</td>
+          <td>${this.formatScore(doctor.affinity)}</td>
+        </tr>
+      `).join('')).map(rows => `<tbody class="duplicate-group">${rows}</tbody>`).join('');
+      
+      const policies = request.policies.map(policy => `
+        <label class="modal-checkbox">
+          <input type="radio" name="policy" value="${policy}"${policy === request.policy ? ' checked' : ''}>
+          ${utils.escapeHTML(this.policyLabels[policy] || policy)}
+        </label>
+      `).join('');
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Possíveis duplicados',
+        size: 'wide',
+        content: `
+          <p class="modal-text">
+            ${request.groups.length.toLocaleString('pt-BR')} grupos de registros parecem ser o mesmo médico (mesmo CRM ou nomes quase iguais).
+            Os grupos marcados viram um único médico, que guarda as linhas de origem.
+          </p>
+          <label class="modal-checkbox">
+            <input type="checkbox" name="all">
+            Todos os grupos
+          </label>
+          <div class="modal-table-wrapper validation-table">
+            <table class="modal-table duplicate-table">
+              <thead><tr><th scope="col">Combinar</th><th scope="col">Motivo</th><th scope="col">Nome</th><th scope="col">Origem</th><th scope="col">Especialidade</th><th scope="col">Volume</th><th scope="col">Afinidade</th></tr></thead>
+              ${groupRows}
+            </table>
+          </div>
+          ${unlisted.length ? `
+            <label class="modal-checkbox">
+              <input type="checkbox" name="rest" checked>
+              Combinar também os grupos não listados com mesmo CRM ou mesmo nome (${unlisted.length.toLocaleString('pt-BR')} no total)
+            </label>
+          ` : ''}
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Volume e afinidade do médico combinado</legend>
+            ${policies}
+          </fieldset>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Manter separados', variant: 'secondary' },
+          { value: 'apply', label: 'Combinar selecionados' }
+        ],
+        onRender: (dialogForm) => {
+          const groupBoxes = Array.from(dialogForm.querySelectorAll('input[name="group"]'));
+          const allBox = dialogForm.elements.all;
+          const syncAll = () => {
+            allBox.checked = groupBoxes.every(box => box.checked);
+          };
+          
+          allBox.addEventListener('change', () => {
+            groupBoxes.forEach(box => box.checked = allBox.checked);
+          });
+          groupBoxes.forEach(box => box.addEventListener('change', syncAll));
+          syncAll();
+        }
+      });
+      
+      if (action !== 'apply') return null;
+      
+      const selected = Array.from(form.querySelectorAll('input[name="group"]:checked'))
+        .map(box => listed[Number(box.value)]);
+      if (form.elements.rest && form.elements.rest.checked) {
+        selected.push(...unlisted.filter(group => group.similarity === 1));
+      }
+      
+      return {
+        policy: form.elements.policy.value,
+        keys: selected.map(group => group.key)
+      };
+    },
+
+    async review() {
+      await uploadModule.runLoad(medicalData.source, () => medicalData.reprocess({ reviewDuplicates: true }));
+    }
+  };
+
+  // Dated snapshots of the segmentation and migration between two periods
+  const snapshotsModule = {
+    maxRows: 200, // Doctors listed in the comparison; the CSV export has all of them
+
+    init() {
+      const snapshotsBtn = utils.query('#snapshots');
+      if (!snapshotsBtn) return;
+      
+      snapshotsBtn.hidden = !ExcelLoader.snapshots.isAvailable();
+      snapshotsBtn.addEventListener('click', () => this.open());
+    },
+
+    segmentLabel(segment) {
+      return detailModule.segmentLabels[segment] || segment || '—';
+    },
+
+    formatDate(date) {
+      return new Date(`${date}T00:00:00`).toLocaleDateString('pt-BR');
+    },
+
+    periodLabel(snapshot) {
+      return `${snapshot.label} (${this.formatDate(snapshot.date)})`;
+    },
+
+    // Save the current load or pick two periods to compare
+    async open() {
+      const saved = await ExcelLoader.snapshots.list();
+      const today = new Date();
+      const defaultDate = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+      const defaultLabel = (medicalData.source || '').replace(/\.[^.]+$/, '');
+      
+      const rows = saved.map(snapshot => `
+        <tr data-snapshot-id="${utils.escapeHTML(snapshot.id)}">
+          <td>${utils.escapeHTML(snapshot.label)}</td>
+          <td>${this.formatDate(snapshot.date)}</td>
+          <td>${snapshot.count.toLocaleString('pt-BR')}</td>
+          <td>${utils.escapeHTML(snapshot.fileName || '')}</td>
+          <td><button type="button" class="recent-file-remove" data-remove="${utils.escapeHTML(snapshot.id)}" aria-label="Excluir o período ${utils.escapeHTML(snapshot.label)}">&times;</button></td>
+        </tr>
+      `).join('');
+      
+      const options = selected => saved.map(snapshot => `
+        <option value="${utils.escapeHTML(snapshot.id)}"${snapshot === selected ? ' selected' : ''}>${utils.escapeHTML(this.periodLabel(snapshot))}</option>
+      `).join('');
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Períodos',
+        size: 'wide',
+        content: `
+          <p class="modal-text">
+            Salve a segmentação de cada planilha trimestral com a data de referência e compare dois períodos
+            para ver quantos médicos mudaram de quadrante e como variaram volume e afinidade.
+          </p>
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Salvar o conjunto atual (${medicalData.doctors.length.toLocaleString('pt-BR')} médicos)</legend>
+            <div class="snapshot-fields">
+              <label>Nome <input type="text" class="filter-select" name="label" value="${utils.escapeHTML(defaultLabel)}"></label>
+              <label>Data de referência <input type="date" class="filter-select" name="date" value="${defaultDate}"></label>
+            </div>
+          </fieldset>
+          ${saved.length ? `
+            <div class="modal-table-wrapper validation-table">
+              <table class="modal-table">
+                <thead><tr><th scope="col">Período</th><th scope="col">Data</th><th scope="col">Médicos</th><th scope="col">Arquivo</th><th scope="col"><span class="sr-only">Excluir</span></th></tr></thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>
+            <fieldset class="validation-policy">
+              <legend class="mapping-header">Comparar</legend>
+              <div class="snapshot-fields">
+                <label>De <select class="filter-select" name="from">${options(saved[saved.length - 2])}</select></label>
+                <label>Para <select class="filter-select" name="to">${options(saved[saved.length - 1])}</select></label>
+              </div>
+            </fieldset>
+          ` : '<p class="modal-text">Nenhum período salvo ainda.</p>'}
+        `,
+        actions: [
+          { value: 'cancel', label: 'Fechar', variant: 'secondary' },
+          { value: 'save', label: 'Salvar período atual', variant: 'secondary' },
+          { value: 'compare', label: 'Comparar' }
+        ],
+        onRender: (dialogForm) => {
+          dialogForm.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-remove]');
+            if (!button) return;
+            
+            const id = button.dataset.remove;
+            await ExcelLoader.snapshots.remove(id);
+            dialogForm.querySelectorAll('[data-snapshot-id], option').forEach(element => {
+              if ((element.dataset.snapshotId || element.value) === id) element.remove();
+            });
+          });
+        },
+        validate: (dialogAction, dialogForm) => {
+          if (dialogAction === 'save') {
+            if (medicalData.doctors.length === 0) return 'Nenhum médico carregado para salvar.';
+            if (!dialogForm.elements.date.value) return 'Informe a data de referência do período.';
+          }
+          if (dialogAction === 'compare') {
+            const from = dialogForm.elements.from;
+            const to = dialogForm.elements.to;
+            if (!from || !to || !from.value || !to.value) return 'Salve pelo menos dois períodos para comparar.';
+            if (from.value === to.value) return 'Escolha dois períodos diferentes.';
+          }
+          return '';
+        }
+      });
+      
+      if (action === 'save') {
+        try {
+          await ExcelLoader.snapshots.save(medicalData.doctors, {
+            label: form.elements.label.value.trim(),
+            date: form.elements.date.value,
+            fileName: medicalData.source
+          });
+        } catch (error) {
+          utils.log(`Erro ao salvar período: ${error.message}`, 'error');
+          initModule.showErrorMessage(`Não foi possível salvar o período: ${error.message}`);
+        }
+        await this.open();
+      } else if (action === 'compare') {
+        try {
+          const comparison = await ExcelLoader.snapshots.compare(form.elements.from.value, form.elements.to.value);
+          await this.showComparison(comparison);
+        } catch (error) {
+          utils.log(`Erro ao comparar períodos: ${error.message}`, 'error');
+          initModule.showErrorMessage(`Não foi possível comparar os períodos: ${error.message}`);
+        }
+      }
+    },
+
+    async showComparison(comparison) {
+      const { segments, matrix, added, removed } = comparison;
+      const stayed = segments.reduce((sum, segment) => sum + matrix[segment][segment], 0);
+      const sum = values => values.reduce((total, value) => total + value, 0);
+      const format = value => value.toLocaleString('pt-BR');
+      
+      const matrixRows = segments.map(from => `
+        <tr>
+          <th scope="row">${this.segmentLabel(from)}</th>
+          ${segments.map(to => `<td class="${from === to ? 'migration-stay' : ''}">${format(matrix[from][to])}</td>`).join('')}
+          <td>${format(removed[from])}</td>
+        </tr>
+      `).join('');
+      
+      const rows = this.sortRows(comparison.rows);
+      const deltaRows = rows.slice(0, this.maxRows).map(row => `
+        <tr>
+          <td>${utils.escapeHTML(row.name)}</td>
+          <td>${utils.escapeHTML(row.crm ? `${row.crm}${row.uf ? `/${row.uf}` : ''}` : '')}</td>
+          <td>${this.segmentLabel(row.from && row.from.segment)}</td>
+          <td>${this.segmentLabel(row.to && row.to.segment)}</td>
+          <td>${this.formatDelta(row.volumeDelta)}</td>
+          <td>${this.formatDelta(row.affinityDelta)}</td>
+        </tr>
+      `).join('');
+      
+      const { action } = await dialogModule.open({
+        title: `${this.periodLabel(comparison.from)} → ${this.periodLabel(comparison.to)}`,
+        size: 'wide',
+        content: `
+          <p class="modal-text">
+            ${format(comparison.matched)} médicos encontrados nos dois períodos (por CRM, nome ou linha), dos quais
+            ${format(comparison.matched - stayed)} mudaram de quadrante.
+            ${format(sum(Object.values(added)))} novos e ${format(sum(Object.values(removed)))} que saíram.
+          </p>
+          <div class="modal-table-wrapper">
+            <table class="modal-table migration-table">
+              <caption class="sr-only">Médicos por quadrante no primeiro período (linhas) e no segundo (colunas)</caption>
+              <thead><tr><th scope="col">De \\ Para</th>${segments.map(segment => `<th scope="col">${this.segmentLabel(segment)}</th>`).join('')}<th scope="col">Saíram</th></tr></thead>
+              <tbody>
+                ${matrixRows}
+                <tr><th scope="row">Novos</th>${segments.map(segment => `<td>${format(added[segment])}</td>`).join('')}<td></td></tr>
+              </tbody>
+            </table>
+          </div>
+          ${this.renderSankey(comparison)}
+          <div class="modal-table-wrapper validation-table">
+            <table class="modal-table">
+              <thead><tr><th scope="col">Nome</th><th scope="col">CRM</th><th scope="col">Antes</th><th scope="col">Depois</th><th scope="col">Δ Volume</th><th scope="col">Δ Afinidade</th></tr></thead>
+              <tbody>${deltaRows}</tbody>
+            </table>
+          </div>
+          ${rows.length > this.maxRows ? `<p class="modal-text">Mostrando ${this.maxRows} de ${format(rows.length)} médicos. Exporte o CSV para ver a lista completa.</p>` : ''}
+        `,
+        actions: [
+          { value: 'cancel', label: 'Fechar', variant: 'secondary' },
+          { value: 'export', label: 'Exportar variações (CSV)' }
+        ]
+      });
+      
+      if (action === 'export') this.exportComparison(comparison, rows);
+    },
+
+    // Segment changes first, then the largest score variations; new and departed doctors last
+    sortRows(rows) {
+      const weight = row => {
+        if (!row.from || !row.to) return -1;
+        const change = Math.max(Math.abs(row.volumeDelta || 0), Math.abs(row.affinityDelta || 0));
+        return (row.from.segment !== row.to.segment ? 1000 : 0) + change;
+      };
+      return rows.slice().sort((a, b) => weight(b) - weight(a));
+    },
+
+    formatDelta(value) {
+      if (value === null) return '—';
+      const text = Number(value.toFixed(2)).toLocaleString('pt-BR');
+      return value > 0 ? `+${text}` : text;
+    },
+
+    /**
+     * Sankey-style flow between the quadrants of two periods (doctors found in
+     * both). Band widths are proportional to the number of doctors.
+     */
+    renderSankey({ segments, matrix, matched, from, to }) {
+      if (!matched) return '';
+      
+      const width = 560;
+      const height = 300;
+      const top = 24;
+      const gap = 10;
+      const nodeWidth = 14;
+      const left = 130;
+      const right = width - 130;
+      const scale = (height - top - gap * (segments.length - 1)) / matched;
+      
+      const layout = totals => {
+        let y = top;
+        return segments.map(segment => {
+          const node = { segment, y, height: totals[segment] * scale, total: totals[segment], offset: 0 };
+          y += node.height + gap;
+          return node;
+        });
+      };
+      const sources = layout(Object.fromEntries(segments.map(segment => [segment, segments.reduce((sum, next) => sum + matrix[segment][next], 0)])));
+      const targets = layout(Object.fromEntries(segments.map(segment => [segment, segments.reduce((sum, previous) => sum + matrix[previous][segment], 0)])));
+      
+      const links = [];
+      sources.forEach(source => {
+        targets.forEach(target => {
+          const value = matrix[source.segment][target.segment];
+          if (!value) return;
+          
+          const band = value * scale;
+          const y0 = source.y + source.offset;
+          const y1 = target.y + target.offset;
+          const x0 = left + nodeWidth;
+          const middle = (x0 + right) / 2;
+          source.offset += band;
+          target.offset += band;
+          links.push(`
+            <path class="sankey-link sankey-link--${source.segment}" d="M${x0},${y0} C${middle},${y0} ${middle},${y1} ${right},${y1} L${right},${y1 + band} C${middle},${y1 + band} ${middle},${y0 + band} ${x0},${y0 + band} Z">
+              <title>${this.segmentLabel(source.segment)} → ${this.segmentLabel(target.segment)}: ${value.toLocaleString('pt-BR')}</title>
+            </path>
+          `);
+        });
+      });
+      
+      const nodes = (list, x, anchor, labelX) => list.filter(node => node.total).map(node => `
+        <rect class="sankey-node sankey-node--${node.segment}" x="${x}" y="${node.y}" width="${nodeWidth}" height="${Math.max(node.height, 1)}"></rect>
+        <text class="sankey-label" x="${labelX}" y="${node.y + node.height / 2}" text-anchor="${anchor}" dominant-baseline="middle">${this.segmentLabel(node.segment)} ${node.total.toLocaleString('pt-BR')}</text>
+      `).join('');
+      
+      return `
+        <figure class="sankey">
+          <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Fluxo de médicos entre quadrantes de ${utils.escapeHTML(this.periodLabel(from))} para ${utils.escapeHTML(this.periodLabel(to))}">
+            <text class="sankey-label" x="${left + nodeWidth}" y="12" text-anchor="end">${utils.escapeHTML(from.label)}</text>
+            <text class="sankey-label" x="${right}" y="12">${utils.escapeHTML(to.label)}</text>
+            ${links.join('')}
+            ${nodes(sources, left, 'end', left - 6)}
+            ${nodes(targets, right, 'start', right + nodeWidth + 6)}
+          </svg>
+        </figure>
+      `;
+    },
+
+    exportComparison(comparison, rows) {
+      const score = (doctor, axis) => (doctor ? exportModule.formatNumber(doctor[axis]) : '');
+      const delta = value => (value === null ? '' : exportModule.formatNumber(value));
+      const matchLabels = { crm: 'CRM', name: 'Nome', id: 'Linha' };
+      
+      const csv = utils.toCSV(
+        ['Nome', 'CRM', 'UF', 'Segmento (antes)', 'Segmento (depois)', 'Volume (antes)', 'Volume (depois)', 'Δ Volume',
+          'Afinidade (antes)', 'Afinidade (depois)', 'Δ Afinidade', 'Pareado por'],
+        rows.map(row => [
+          row.name,
+          row.crm || '',
+          row.uf || '',
+          row.from ? this.segmentLabel(row.from.segment) : '',
+          row.to ? this.segmentLabel(row.to.segment) : '',
+          score(row.from, 'volume'),
+          score(row.to, 'volume'),
+          delta(row.volumeDelta),
+          score(row.from, 'affinity'),
+          score(row.to, 'affinity'),
+          delta(row.affinityDelta),
+          row.matchedBy ? matchLabels[row.matchedBy] : (row.from ? 'Saiu' : 'Novo')
+        ])
+      );
+      const fileName = `migracao-${comparison.from.date}-${comparison.to.date}.csv`;
+      
+      utils.downloadFile(csv, fileName);
+      utils.log(`${rows.length} médicos exportados na comparação de períodos`);
+    }
+  };
+
+  // Reps, their territories and the doctors assigned to each one
+  const territoryModule = {
+    init() {
+      const territoryBtn = utils.query('#territory');
+      if (territoryBtn) {
+        territoryBtn.addEventListener('click', () => this.open());
+      }
+    },
+
+    formatNumber(value) {
+      return value.toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+    },
+
+    repRow(rep = { id: '', name: '', capacity: ExcelLoader.config.territory.defaultCapacity, territory: '' }) {
+      return `
+        <tr data-rep="${utils.escapeHTML(rep.id)}">
+          <td><input type="text" class="mapping-select" name="rep-name" value="${utils.escapeHTML(rep.name)}" aria-label="Nome do representante"></td>
+          <td><input type="number" class="mapping-select" name="rep-capacity" min="1" step="any" value="${rep.capacity}" aria-label="Capacidade em pontos de carga"></td>
+          <td><input type="text" class="mapping-select" name="rep-territory" value="${utils.escapeHTML(rep.territory)}" placeholder="Todos" aria-label="Território: UFs ou cidades separadas por vírgula"></td>
+          <td><button type="button" class="recent-file-remove" data-remove-rep aria-label="Remover representante">&times;</button></td>
+        </tr>
+      `;
+    },
+
+    renderSummary() {
+      const { reps, unassigned } = ExcelLoader.territory.summarize(medicalData.doctors);
+      const segments = ExcelLoader.snapshots.segments;
+      const row = (label, item, capacity) => `
+        <tr>
+          <th scope="row">${utils.escapeHTML(label)}</th>
+          <td>${item.count.toLocaleString('pt-BR')}</td>
+          ${segments.map(segment => `<td>${item.bySegment[segment].toLocaleString('pt-BR')}</td>`).join('')}
+          <td>${this.formatNumber(item.workload)}</td>
+          <td>${capacity ? this.formatNumber(capacity) : '—'}</td>
+          <td>${capacity ? `${Math.round(item.workload / capacity * 100)}%` : '—'}</td>
+        </tr>
+      `;
+      
+      return `
+        <div class="modal-table-wrapper">
+          <table class="modal-table territory-summary">
+            <thead>
+              <tr>
+                <th scope="col">Representante</th><th scope="col">Médicos</th>
+                ${segments.map(segment => `<th scope="col">${utils.escapeHTML(detailModule.segmentLabels[segment] || segment)}</th>`).join('')}
+                <th scope="col">Carga</th><th scope="col">Capacidade</th><th scope="col">Uso</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${reps.map(rep => row(rep.name, rep, rep.capacity)).join('')}
+              ${row('Sem representante', unassigned, 0)}
+            </tbody>
+          </table>
+        </div>
+      `;
+    },
+
+    /**
+     * Manage reps, assign the filtered doctors and run the balancer
+     * @param {string} [notice] - Result of the previous action, shown on top
+     */
+    async open(notice = '') {
+      const reps = ExcelLoader.territory.getReps();
+      const settings = ExcelLoader.config.territory;
+      const filtered = filtersModule.filteredDoctors.length;
+      const weights = ExcelLoader.snapshots.segments
+        .map(segment => `${detailModule.segmentLabels[segment] || segment} ${this.formatNumber(settings.weights[segment])}`)
+        .join(' · ');
+      
+      const segmentChecks = ExcelLoader.snapshots.segments.map(segment => `
+        <label class="modal-checkbox">
+          <input type="checkbox" name="balance-segment" value="${segment}"${settings.balanceSegments.includes(segment) ? ' checked' : ''}>
+          ${utils.escapeHTML(detailModule.segmentLabels[segment] || segment)}
+        </label>
+      `).join('');
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Representantes e territórios',
+        size: 'wide',
+        content: `
+          ${notice ? `<p class="modal-text" role="status">${utils.escapeHTML(notice)}</p>` : ''}
+          <p class="modal-text">
+            Cada médico pesa pontos de carga conforme o segmento (${utils.escapeHTML(weights)}).
+            A capacidade do representante é o total de pontos que ele atende; o território lista UFs ou cidades (vazio atende todas).
+          </p>
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Representantes</legend>
+            <div class="modal-table-wrapper">
+              <table class="modal-table">
+                <thead><tr><th scope="col">Nome</th><th scope="col">Capacidade</th><th scope="col">Território</th><th scope="col"><span class="sr-only">Remover</span></th></tr></thead>
+                <tbody data-reps>${reps.map(rep => this.repRow(rep)).join('')}</tbody>
+              </table>
+            </div>
+            <button type="button" class="filter-btn filter-btn--secondary" data-add-rep>Adicionar representante</button>
+          </fieldset>
+          ${reps.length && medicalData.doctors.length ? `
+            <fieldset class="validation-policy">
+              <legend class="mapping-header">Carga por representante</legend>
+              ${this.renderSummary()}
+              <button type="button" class="filter-btn filter-btn--secondary" data-export>Exportar atribuições (CSV)</button>
+            </fieldset>
+            <fieldset class="validation-policy">
+              <legend class="mapping-header">Atribuir os ${filtered.toLocaleString('pt-BR')} médicos filtrados</legend>
+              <div class="snapshot-fields">
+                <label>Representante
+                  <select class="filter-select" name="bulk-rep">
+                    ${reps.map(rep => `<option value="${utils.escapeHTML(rep.id)}">${utils.escapeHTML(rep.name)}</option>`).join('')}
+                    <option value="">Sem representante</option>
+                  </select>
+                </label>
+              </div>
+            </fieldset>
+            <fieldset class="validation-policy">
+              <legend class="mapping-header">Distribuição automática</legend>
+              <p class="modal-text">Os médicos mais pesados vão primeiro, cada um para o representante do território com menor uso da capacidade.</p>
+              ${segmentChecks}
+              <label class="modal-checkbox">
+                <input type="checkbox" name="keep-existing" checked>
+                Manter as atribuições atuais
+              </label>
+            </fieldset>
+          ` : ''}
+        `,
+        actions: [
+          { value: 'cancel', label: 'Fechar', variant: 'secondary' },
+          { value: 'save', label: 'Salvar representantes', variant: 'secondary' },
+          ...(reps.length && medicalData.doctors.length ? [
+            { value: 'assign', label: 'Atribuir filtrados', variant: 'secondary' },
+            { value: 'balance', label: 'Distribuir automaticamente' }
+          ] : [])
+        ],
+        onRender: (dialogForm) => {
+          const tbody = utils.query('[data-reps]', dialogForm);
+          utils.query('[data-add-rep]', dialogForm).addEventListener('click', () => {
+            tbody.insertAdjacentHTML('beforeend', this.repRow());
+            utils.query('tr:last-child input', tbody).focus();
+          });
+          tbody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-rep]');
+            if (button) button.closest('tr').remove();
+          });
+          const exportBtn = utils.query('[data-export]', dialogForm);
+          if (exportBtn) exportBtn.addEventListener('click', () => this.exportAssignments());
+        },
+        validate: (dialogAction, dialogForm) => {
+          const errors = ExcelLoader.territory.validateReps(this.readReps(dialogForm));
+          if (errors.length > 0) return errors.join(' ');
+          if (dialogAction === 'assign' && filtered === 0) return 'Nenhum médico filtrado para atribuir.';
+          if (dialogAction === 'balance' && !dialogForm.querySelector('input[name="balance-segment"]:checked')) {
+            return 'Escolha ao menos um segmento para distribuir.';
+          }
+          return '';
+        }
+      });
+      
+      if (action === 'cancel') return;
+      
+      let message = 'Representantes salvos.';
+      try {
+        ExcelLoader.territory.setReps(this.readReps(form));
+        if (action === 'assign') {
+          const repId = form.elements['bulk-rep'].value || null;
+          const rep = ExcelLoader.territory.getReps().find(item => item.id === repId);
+          ExcelLoader.territory.assign(filtersModule.filteredDoctors, repId);
+          message = `${filtered.toLocaleString('pt-BR')} médicos atribuídos a ${rep ? rep.name : 'nenhum representante'}.`;
+        } else if (action === 'balance') {
+          const result = ExcelLoader.territory.balance(medicalData.doctors, {
+            segments: Array.from(form.querySelectorAll('input[name="balance-segment"]:checked')).map(input => input.value),
+            keepExisting: form.elements['keep-existing'].checked
+          });
+          message = `${result.assigned.toLocaleString('pt-BR')} médicos distribuídos` +
+            (result.unassigned ? `; ${result.unassigned.toLocaleString('pt-BR')} ficaram sem representante por falta de capacidade ou território.` : '.');
+        } else {
+          ExcelLoader.territory.apply(medicalData.doctors);
+        }
+      } catch (error) {
+        utils.log(`Erro ao atualizar representantes: ${error.message}`, 'error');
+        initModule.showErrorMessage(`Não foi possível atualizar os representantes: ${error.message}`);
+        return;
+      }
+      
+      this.onAssignmentsChanged();
+      await this.open(message);
+    },
+
+    readReps(form) {
+      return Array.from(form.querySelectorAll('[data-reps] tr')).map(row => {
+        const capacity = utils.query('[name="rep-capacity"]', row).value.trim();
+        return {
+          id: row.dataset.rep || undefined,
+          name: utils.query('[name="rep-name"]', row).value,
+          capacity: capacity === '' ? NaN : Number(capacity),
+          territory: utils.query('[name="rep-territory"]', row).value
+        };
+      });
+    },
+
+    // Drawer select: assign a single doctor
+    assignDoctor(doctor, repId) {
+      ExcelLoader.territory.assign([doctor], repId || null);
+      this.onAssignmentsChanged();
+    },
+
+    // The rep filter lists the assigned reps; the open views follow the new values
+    onAssignmentsChanged() {
+      filtersModule.renderDimensionFilters();
+      filtersModule.applyFilters();
+    },
+
+    // One row per loaded doctor, keyed like the saved assignments
+    exportAssignments() {
+      const rows = medicalData.doctors.map(doctor => [
+        ExcelLoader.territory.keyOf(doctor),
+        doctor.id,
+        doctor.name,
+        doctor.crm || '',
+        doctor.uf || '',
+        doctor.city || '',
+        exportModule.capitalize(doctor.segment),
+        doctor.assignedRep || '',
+        exportModule.formatNumber(ExcelLoader.territory.workload(doctor))
+      ]);
+      const csv = utils.toCSV(['Chave', 'ID', 'Nome', 'CRM', 'UF', 'Cidade', 'Segmento', 'Representante atribuído', 'Carga'], rows);
+      const baseName = (medicalData.source || 'medicos').replace(/\.[^.]+$/, '');
+      
+      utils.downloadFile(csv, `${baseName}-atribuicoes.csv`);
+      utils.log(`${rows.length} atribuições exportadas`);
+    }
+  };
+
+  // Monthly visit plan per rep, shown as a calendar and exported as CSV or ICS
+  const plannerModule = {
+    maxVisitsPerCell: 6, // Names listed in a calendar day; the rest are counted
+    weekdays: ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'],
+    plan: null,
+
+    init() {
+      const plannerBtn = utils.query('#visit-planner');
+      if (plannerBtn) {
+        plannerBtn.addEventListener('click', () => this.open());
+      }
+    },
+
+    monthLabel(year, month) {
+      return new Date(year, month - 1, 1).toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' });
+    },
+
+    formatDate(date) {
+      return new Date(`${date}T00:00:00`).toLocaleDateString('pt-BR');
+    },
+
+    repLabel(rep) {
+      return rep || 'Sem representante';
+    },
+
+    // Frequencies, team calendar and month of the plan
+    async open() {
+      const settings = ExcelLoader.visits.get();
+      const priorities = ExcelLoader.priorities.get();
+      const today = new Date();
+      const defaultMonth = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+      const month = this.plan ? `${this.plan.year}-${String(this.plan.month).padStart(2, '0')}` : defaultMonth;
+      
+      const segmentInputs = ExcelLoader.snapshots.segments.map(segment => `
+        <label>${utils.escapeHTML(detailModule.segmentLabels[segment] || segment)}
+          <input type="number" class="filter-select" name="segment-${segment}" min="0" step="any" value="${settings.frequency.segments[segment]}">
+        </label>
+      `).join('');
+      
+      const priorityInputs = priorities.priorities.filter(priority => priority.key !== priorities.default).map(priority => `
+        <label>${utils.escapeHTML(priority.label || priority.key)}
+          <input type="number" class="filter-select" name="priority-${utils.escapeHTML(priority.key)}" min="0" step="any" placeholder="Do segmento"
+            value="${Number.isFinite(settings.frequency.priorities[priority.key]) ? settings.frequency.priorities[priority.key] : ''}">
+        </label>
+      `).join('');
+      
+      const weekdayChecks = [1, 2, 3, 4, 5, 6, 0].map(day => `
+        <label class="modal-checkbox">
+          <input type="checkbox" name="weekday" value="${day}"${settings.calendar.workingDays.includes(day) ? ' checked' : ''}>
+          ${this.weekdays[day]}
+        </label>
+      `).join('');
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Plano de visitas',
+        size: 'wide',
+        content: `
+          <p class="modal-text">
+            O plano distribui as visitas dos ${filtersModule.filteredDoctors.length.toLocaleString('pt-BR')} médicos filtrados pelos dias úteis do mês,
+            por representante (o atribuído ou o da planilha). Frequências abaixo de 1 são visitas a cada alguns meses (0,5 = a cada dois meses).
+          </p>
+          <div class="snapshot-fields">
+            <label>Mês <input type="month" class="filter-select" name="month" value="${month}"></label>
+          </div>
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Visitas por mês por segmento</legend>
+            <div class="snapshot-fields">${segmentInputs}</div>
+          </fieldset>
+          ${priorityInputs ? `
+            <fieldset class="validation-policy">
+              <legend class="mapping-header">Visitas por mês por prioridade (vazio usa o segmento)</legend>
+              <div class="snapshot-fields">${priorityInputs}</div>
+            </fieldset>
+          ` : ''}
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Calendário da equipe</legend>
+            ${weekdayChecks}
+            <div class="snapshot-fields">
+              <label>Visitas por dia <input type="number" class="filter-select" name="visits-per-day" min="1" step="1" value="${settings.calendar.visitsPerDay}"></label>
+              <label>Feriados (AAAA-MM-DD, separados por vírgula)
+                <input type="text" class="filter-select" name="holidays" value="${utils.escapeHTML(settings.calendar.holidays.join(', '))}">
+              </label>
+            </div>
+          </fieldset>
+          <div>
+            <button type="button" class="filter-btn filter-btn--secondary" data-reset>Restaurar padrões</button>
+          </div>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Cancelar', variant: 'secondary' },
+          { value: 'generate', label: 'Gerar plano' }
+        ],
+        onRender: (dialogForm) => {
+          utils.query('[data-reset]', dialogForm).addEventListener('click', () => {
+            this.fill(dialogForm, ExcelLoader.visits.getDefaults());
+          });
+        },
+        validate: (_, dialogForm) => {
+          if (!/^\d{4}-\d{2}$/.test(dialogForm.elements.month.value)) return 'Escolha o mês do plano.';
+          if (filtersModule.filteredDoctors.length === 0) return 'Nenhum médico filtrado para planejar.';
+          return ExcelLoader.visits.validate(this.read(dialogForm)).join(' ');
+        }
+      });
+      
+      if (action !== 'generate') return;
+      
+      ExcelLoader.visits.set(this.read(form));
+      const [year, monthNumber] = form.elements.month.value.split('-').map(Number);
+      this.plan = ExcelLoader.visits.generate(filtersModule.filteredDoctors, year, monthNumber);
+      utils.log(`Plano de visitas gerado: ${this.monthLabel(year, monthNumber)}`);
+      await this.showPlan();
+    },
+
+    // Put settings in the form
+    fill(form, settings) {
+      ExcelLoader.snapshots.segments.forEach(segment => {
+        form.elements[`segment-${segment}`].value = settings.frequency.segments[segment];
+      });
+      Array.from(form.querySelectorAll('input[name^="priority-"]')).forEach(input => {
+        const value = settings.frequency.priorities[input.name.slice('priority-'.length)];
+        input.value = Number.isFinite(value) ? value : '';
+      });
+      Array.from(form.querySelectorAll('input[name="weekday"]')).forEach(input => {
+        input.checked = settings.calendar.workingDays.includes(Number(input.value));
+      });
+      form.elements['visits-per-day'].value = settings.calendar.visitsPerDay;
+      form.elements.holidays.value = settings.calendar.holidays.join(', ');
+    },
+
+    // Settings from the form
+    read(form) {
+      const number = input => (input.value.trim() === '' ? NaN : Number(input.value));
+      const settings = {
+        frequency: { segments: {}, priorities: {} },
+        calendar: {
+          workingDays: Array.from(form.querySelectorAll('input[name="weekday"]:checked')).map(input => Number(input.value)),
+          visitsPerDay: number(form.elements['visits-per-day']),
+          holidays: form.elements.holidays.value.split(/[,;\s]+/).filter(Boolean)
+        }
+      };
+      
+      ExcelLoader.snapshots.segments.forEach(segment => {
+        settings.frequency.segments[segment] = number(form.elements[`segment-${segment}`]);
+      });
+      Array.from(form.querySelectorAll('input[name^="priority-"]')).forEach(input => {
+        if (input.value.trim() !== '') settings.frequency.priorities[input.name.slice('priority-'.length)] = number(input);
+      });
+      
+      return settings;
+    },
+
+    async showPlan() {
+      const plan = this.plan;
+      const options = plan.reps.map((entry, index) => `<option value="${index}">${utils.escapeHTML(this.repLabel(entry.rep))}</option>`).join('');
+      
+      const { action } = await dialogModule.open({
+        title: `Plano de visitas — ${this.monthLabel(plan.year, plan.month)}`,
+        size: 'wide',
+        content: `
+          <div class="snapshot-fields">
+            <label>Representante <select class="filter-select" name="rep">${options}</select></label>
+          </div>
+          <div data-plan>${this.renderRep(plan.reps[0])}</div>
+          <div>
+            <button type="button" class="filter-btn filter-btn--secondary" data-export="csv">Exportar plano (CSV)</button>
+            <button type="button" class="filter-btn filter-btn--secondary" data-export="ics">Exportar agenda do representante (ICS)</button>
+          </div>
+        `,
+        actions: [
+          { value: 'back', label: 'Alterar parâmetros', variant: 'secondary' },
+          { value: 'cancel', label: 'Fechar' }
+        ],
+        onRender: (dialogForm) => {
+          const select = dialogForm.elements.rep;
+          select.addEventListener('change', () => {
+            utils.query('[data-plan]', dialogForm).innerHTML = this.renderRep(plan.reps[Number(select.value)]);
+          });
+          dialogForm.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-export]');
+            if (!button) return;
+            if (button.dataset.export === 'csv') this.exportCSV(plan);
+            else this.exportICS(plan, plan.reps[Number(select.value)]);
+          });
+        }
+      });
+      
+      if (action === 'back') await this.open();
+    },
+
+    // Summary and calendar of one rep
+    renderRep(entry) {
+      const format = value => value.toLocaleString('pt-BR');
+      const perDay = ExcelLoader.visits.get().calendar.visitsPerDay;
+      const missing = entry.unscheduled.reduce((sum, item) => sum + item.missing, 0);
+      
+      return `
+        <p class="modal-text">
+          ${format(entry.visits.length)} de ${format(entry.required)} visitas agendadas ·
+          capacidade de ${format(entry.capacity)} (${format(this.plan.days.length)} dias úteis × ${format(perDay)} por dia)
+        </p>
+        ${this.renderCalendar(entry)}
+        ${missing ? `
+          <p class="modal-text">
+            Sem data por falta de capacidade (${format(missing)} visitas):
+            ${entry.unscheduled.map(item => `${utils.escapeHTML(item.doctor.name)} (${format(item.missing)})`).join(', ')}
+          </p>
+        ` : ''}
+      `;
+    },
+
+    // Month grid from Monday to Sunday
+    renderCalendar(entry) {
+      const { year, month, days } = this.plan;
+      const byDate = new Map();
+      entry.visits.forEach(visit => {
+        if (!byDate.has(visit.date)) byDate.set(visit.date, []);
+        byDate.get(visit.date).push(visit);
+      });
+      
+      const first = new Date(year, month - 1, 1);
+      const length = new Date(year, month, 0).getDate();
+      const cells = Array((first.getDay() + 6) % 7).fill('<td class="planner-day planner-day--empty"></td>');
+      for (let day = 1; day <= length; day++) {
+        const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        const visits = byDate.get(date) || [];
+        const listed = visits.slice(0, this.maxVisitsPerCell).map(visit => `
+          <li class="planner-visit planner-visit--${utils.escapeHTML(visit.doctor.segment)}" title="${utils.escapeHTML(`${visit.doctor.name} · visita ${visit.number} de ${visit.of}`)}">${utils.escapeHTML(visit.doctor.name)}</li>
+        `).join('');
+        const more = visits.length > this.maxVisitsPerCell ? `<li class="planner-more">+${visits.length - this.maxVisitsPerCell}</li>` : '';
+        
+        cells.push(`
+          <td class="planner-day${days.includes(date) ? '' : ' planner-day--off'}">
+            <span class="planner-date">${day}</span>
+            ${visits.length ? `<ul class="planner-visits">${listed}${more}</ul>` : ''}
+          </td>
+        `);
+      }
+      while (cells.length % 7 !== 0) cells.push('<td class="planner-day planner-day--empty"></td>');
+      
+      const weeks = [];
+      for (let index = 0; index < cells.length; index += 7) {
+        weeks.push(`<tr>${cells.slice(index, index + 7).join('')}</tr>`);
+      }
+      
+      return `
+        <div class="modal-table-wrapper">
+          <table class="planner-calendar">
+            <caption class="sr-only">Visitas de ${utils.escapeHTML(this.repLabel(entry.rep))} em ${this.monthLabel(year, month)}</caption>
+            <thead><tr>${[1, 2, 3, 4, 5, 6, 0].map(day => `<th scope="col">${this.weekdays[day]}</th>`).join('')}</tr></thead>
+            <tbody>${weeks.join('')}</tbody>
+          </table>
+        </div>
+      `;
+    },
+
+    fileName(plan, extension, rep) {
+      const suffix = rep === undefined ? '' : `-${this.repLabel(rep).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w]+/g, '-').toLowerCase()}`;
+      return `visitas-${plan.year}-${String(plan.month).padStart(2, '0')}${suffix}.${extension}`;
+    },
+
+    // All reps, one row per visit
+    exportCSV(plan) {
+      const rows = plan.reps.flatMap(entry => entry.visits.map(visit => [
+        this.formatDate(visit.date),
+        this.repLabel(entry.rep),
+        visit.doctor.name,
+        visit.doctor.crm || '',
+        visit.doctor.uf || '',
+        visit.doctor.city || '',
+        visit.doctor.institution || '',
+        exportModule.capitalize(visit.doctor.segment),
+        exportModule.priorityLabel(visit.doctor.priority),
+        `${visit.number} de ${visit.of}`
+      ]));
+      const csv = utils.toCSV(['Data', 'Representante', 'Médico', 'CRM', 'UF', 'Cidade', 'Instituição', 'Segmento', 'Prioridade', 'Visita'], rows);
+      
+      utils.downloadFile(csv, this.fileName(plan, 'csv'));
+      utils.log(`${rows.length} visitas exportadas`);
+    },
+
+    // iCalendar text value: backslash, semicolon, comma and newlines escaped
+    icsText(value) {
+      return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    },
+
+    // Lines longer than 75 bytes continue on the next one after a space
+    icsLine(line) {
+      const encoder = new TextEncoder();
+      const parts = [''];
+      let size = 0;
+      Array.from(line).forEach(char => {
+        const bytes = encoder.encode(char).length;
+        if (size + bytes > (parts.length === 1 ? 75 : 74)) {
+          parts.push('');
+          size = 0;
+        }
+        parts[parts.length - 1] += char;
+        size += bytes;
+      });
+      return parts.join('\r\n ');
+    },
+
+    // All-day events of one rep, importable in any calendar app
+    exportICS(plan, entry) {
+      const compact = date => date.replace(/-/g, '');
+      const nextDay = date => {
+        const next = new Date(`${date}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        return next.toISOString().slice(0, 10);
+      };
+      const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+      
+      const events = entry.visits.flatMap(visit => {
+        const doctor = visit.doctor;
+        const details = [
+          `${exportModule.capitalize(doctor.segment)} · visita ${visit.number} de ${visit.of}`,
+          doctor.crm ? `CRM ${doctor.crm}${doctor.uf ? `/${doctor.uf}` : ''}` : '',
+          doctor.phone || ''
+        ].filter(Boolean).join('\n');
+        const location = [doctor.institution, doctor.city, doctor.uf].filter(Boolean).join(', ');
+        
+        return [
+          'BEGIN:VEVENT',
+          `UID:${compact(visit.date)}-${this.icsText(doctor.id)}-${visit.number}@mecobe`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${compact(visit.date)}`,
+          `DTEND;VALUE=DATE:${compact(nextDay(visit.date))}`,
+          `SUMMARY:${this.icsText(`Visita: ${doctor.name}`)}`,
+          `DESCRIPTION:${this.icsText(details)}`,
+          ...(location ? [`LOCATION:${this.icsText(location)}`] : []),
+          'END:VEVENT'
+        ];
+      });
+      
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//MECOBE//Plano de visitas//PT',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${this.icsText(`Visitas ${this.repLabel(entry.rep)} - ${this.monthLabel(plan.year, plan.month)}`)}`,
+        ...events,
+        'END:VCALENDAR'
+      ].map(line => this.icsLine(line)).join('\r\n');
+      
+      utils.downloadFile(`${ics}\r\n`, this.fileName(plan, 'ics', entry.rep), 'text/calendar;charset=utf-8');
+      utils.log(`${entry.visits.length} visitas exportadas em ICS`);
+    }
+  };
+
+  // Notes and interaction log: drawer section, "no recent interaction" filter and JSON transfer
+  const interactionsModule = {
+    typeLabels: {
+      note: 'Anotação',
+      visit: 'Visita',
+      call: 'Ligação',
+      event: 'Evento'
+    },
+
+    async init() {
+      const select = utils.query('#interaction-select');
+      if (select) {
+        utils.query('option[value="stale"]', select).textContent = `Sem interação há ${CONFIG.staleInteractionDays} dias ou mais`;
+        select.addEventListener('change', (e) => {
+          filtersModule.updateInteractionFilter(e.target.value);
+        });
+      }
+      
+      const transferBtn = utils.query('#interactions-transfer');
+      if (transferBtn) {
+        transferBtn.hidden = !ExcelLoader.interactions.isAvailable();
+        transferBtn.addEventListener('click', () => this.openTransfer());
+      }
+      
+      try {
+        const count = await ExcelLoader.interactions.load();
+        utils.log(`${count} interações carregadas`);
+      } catch (error) {
+        utils.log(`Erro ao carregar interações: ${error.message}`, 'warn');
+        return;
+      }
+      this.refresh();
+    },
+
+    // Recompute the interaction fields of the loaded doctors and redraw
+    refresh() {
+      ExcelLoader.interactions.apply(medicalData.doctors);
+      filtersModule.applyFilters();
+    },
+
+    today() {
+      const today = new Date();
+      return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    },
+
+    daysSince(date) {
+      return Math.round((new Date(`${this.today()}T00:00:00`) - new Date(`${date}T00:00:00`)) / 86400000);
+    },
+
+    formatDate(date) {
+      return new Date(`${date}T00:00:00`).toLocaleDateString('pt-BR');
+    },
+
+    /**
+     * Interaction filter of the panel
+     * @param {Object} doctor - Doctor with lastInteraction/followUp (see ExcelLoader.interactions.apply)
+     * @param {string} filter - 'stale' (none in CONFIG.staleInteractionDays) or 'due' (follow-up today or late)
+     */
+    matches(doctor, filter) {
+      if (filter === 'stale') {
+        return !doctor.lastInteraction || this.daysSince(doctor.lastInteraction) >= CONFIG.staleInteractionDays;
+      }
+      if (filter === 'due') {
+        return !!doctor.followUp && doctor.followUp <= this.today();
+      }
+      return true;
+    },
+
+    // Drawer section: summary, form to log a new entry and the entries, newest first
+    renderSection(doctor) {
+      if (!ExcelLoader.interactions.isAvailable()) {
+        return `
+          <h3 class="drawer-section-title">Interações</h3>
+          <p class="drawer-empty">O registro de interações precisa do IndexedDB, indisponível neste navegador.</p>
+        `;
+      }
+      
+      const entries = ExcelLoader.interactions.list(doctor);
+      const types = ExcelLoader.interactions.types.map(type => `<option value="${type}">${this.typeLabels[type] || type}</option>`).join('');
+      const items = entries.map(entry => `
+        <li class="interaction-item">
+          <div class="interaction-meta">
+            <span>${this.formatDate(entry.date)} · ${utils.escapeHTML(this.typeLabels[entry.type] || entry.type)}</span>
+            <button type="button" class="recent-file-remove" data-interaction-remove="${utils.escapeHTML(entry.id)}" aria-label="Excluir registro de ${this.formatDate(entry.date)}">&times;</button>
+          </div>
+          ${entry.text ? `<p class="interaction-text">${utils.escapeHTML(entry.text)}</p>` : ''}
+          ${entry.followUp ? `<p class="interaction-follow-up">Retorno em ${this.formatDate(entry.followUp)}</p>` : ''}
+        </li>
+      `).join('');
+      
+      return `
+        <h3 class="drawer-section-title">Interações</h3>
+        ${detailModule.renderList([
+          ['Última interação', doctor.lastInteraction ? `${this.formatDate(doctor.lastInteraction)} (há ${this.daysSince(doctor.lastInteraction)} dias)` : 'Nenhuma'],
+          ['Próximo retorno', doctor.followUp ? this.formatDate(doctor.followUp) : '']
+        ])}
+        <div class="interaction-form">
+          <label>Tipo <select class="filter-select" data-interaction-field="type">${types}</select></label>
+          <label>Data <input type="date" class="filter-select" data-interaction-field="date" value="${this.today()}"></label>
+          <label>Retorno <input type="date" class="filter-select" data-interaction-field="followUp"></label>
+          <label class="interaction-form-text">Anotação <textarea class="filter-select" rows="2" data-interaction-field="text"></textarea></label>
+          <p class="interaction-error" role="alert" hidden></p>
+          <button type="button" class="filter-btn" data-interaction-add>Registrar</button>
+        </div>
+        ${items ? `<ul class="interaction-list">${items}</ul>` : '<p class="drawer-empty">Nenhuma interação registrada.</p>'}
+      `;
+    },
+
+    // Log or delete an entry from the drawer
+    async handleDrawerClick(e, doctor) {
+      const addBtn = e.target.closest('[data-interaction-add]');
+      const removeBtn = e.target.closest('[data-interaction-remove]');
+      if (!addBtn && !removeBtn) return;
+      
+      const drawer = e.currentTarget;
+      try {
+        if (addBtn) {
+          const field = name => utils.query(`[data-interaction-field="${name}"]`, drawer).value;
+          await ExcelLoader.interactions.add(doctor, {
+            type: field('type'),
+            date: field('date'),
+            text: field('text'),
+            followUp: field('followUp')
+          });
+        } else {
+          await ExcelLoader.interactions.remove(removeBtn.dataset.interactionRemove);
+        }
+      } catch (error) {
+        const message = utils.query('.interaction-error', drawer);
+        message.textContent = error.message;
+        message.hidden = false;
+        return;
+      }
+      
+      this.refresh();
+      // The drawer was re-rendered; keep focus in the section
+      const target = utils.query(addBtn ? '[data-interaction-add]' : '[data-interaction-field="type"]', drawer);
+      if (target) target.focus();
+    },
+
+    readText(file) {
+      if (typeof file.text === 'function') return file.text();
+      
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error('Falha ao ler o arquivo'));
+        reader.readAsText(file);
+      });
+    },
+
+    /**
+     * Export the log or import one exported on another machine
+     * @param {string} [notice] - Result of the previous import, shown on top
+     */
+    async openTransfer(notice = '') {
+      const count = ExcelLoader.interactions.export().entries.length;
+      
+      const { action, form } = await dialogModule.open({
+        title: 'Interações',
+        content: `
+          ${notice ? `<p class="modal-text" role="status">${utils.escapeHTML(notice)}</p>` : ''}
+          <p class="modal-text">
+            ${count.toLocaleString('pt-BR')} registros salvos neste navegador. Exporte em JSON para levar a outro computador e importe o arquivo lá;
+            registros que já existem são atualizados, não duplicados.
+          </p>
+          <div>
+            <button type="button" class="filter-btn filter-btn--secondary" data-export>Exportar interações (JSON)</button>
+          </div>
+          <div class="snapshot-fields">
+            <label>Arquivo para importar <input type="file" class="filter-select" name="file" accept=".json,application/json"></label>
+          </div>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Fechar', variant: 'secondary' },
+          { value: 'import', label: 'Importar' }
+        ],
+        onRender: (dialogForm) => {
+          utils.query('[data-export]', dialogForm).addEventListener('click', () => this.exportLog());
+        },
+        validate: (dialogAction, dialogForm) => (
+          dialogAction === 'import' && dialogForm.elements.file.files.length === 0 ? 'Escolha um arquivo JSON exportado pelo dashboard.' : ''
+        )
+      });
+      
+      if (action !== 'import') return;
+      
+      let message;
+      try {
+        let data;
+        try {
+          data = JSON.parse(await this.readText(form.elements.file.files[0]));
+        } catch (error) {
+          throw new Error('o arquivo não é um JSON válido.');
+        }
+        const result = await ExcelLoader.interactions.import(data);
+        message = `${result.imported.toLocaleString('pt-BR')} registros importados` +
+          (result.skipped ? `; ${result.skipped.toLocaleString('pt-BR')} inválidos ignorados.` : '.');
+        this.refresh();
+      } catch (error) {
+        utils.log(`Erro ao importar interações: ${error.message}`, 'error');
+        message = `Não foi possível importar: ${error.message}`;
+      }
+      await this.openTransfer(message);
+    },
+
+    exportLog() {
+      const data = ExcelLoader.interactions.export();
+      utils.downloadFile(JSON.stringify(data, null, 2), `interacoes-${this.today()}.json`, 'application/json');
+      utils.log(`${data.entries.length} interações exportadas`);
+    }
+  };
+
+  /**
+   * Doctor search: accent-insensitive, tolerant to small typos and spread
+   * over name, specialty, CRM, city and institution. Every word typed must
+   * match some field; results are ranked by how well they match
+   */
+  const searchModule = {
+    // `values` are searched; only the first one is shown (and highlighted) in the lists
+    fields: [
+      { key: 'name', weight: 3, fuzzy: true, values: doctor => [doctor.name] },
+      {
+        key: 'specialty',
+        weight: 2,
+        fuzzy: true,
+        values: doctor => [
+          filtersModule.getSpecialtyDisplayName(doctor.subspecialty || doctor.specialty),
+          doctor.subspecialty ? filtersModule.getSpecialtyDisplayName(doctor.specialty) : ''
+        ]
+      },
+      { key: 'crm', weight: 2, fuzzy: false, values: doctor => [doctor.crm] },
+      { key: 'city', weight: 1, fuzzy: true, values: doctor => [doctor.city] },
+      { key: 'institution', weight: 1, fuzzy: true, values: doctor => [doctor.institution] }
+    ],
+
+    indexCache: new Map(),
+
+    last: { query: null, matches: new Map() }, // Matches of the last search, for highlighting
+
+    // Words of the query, folded
+    tokens(query) {
+      return utils.fold(query).match(/[a-z0-9]+/g) || [];
+    },
+
+    // Typos allowed for a word: none for short ones, where they match almost anything
+    maxEdits(token) {
+      if (token.length < 4) return 0;
+      return token.length < 7 ? 1 : 2;
+    },
+
+    /**
+     * Folded text with the position of each folded character in the original,
+     * so matches can be highlighted in the text as shown
+     * @param {string} text - Field value
+     * @returns {{folded: string, map: Array<number>, words: Array}}
+     */
+    index(text) {
+      let entry = this.indexCache.get(text);
+      if (entry) return entry;
+      
+      let folded = '';
+      const map = [];
+      for (let i = 0; i < text.length; i++) {
+        const char = utils.fold(text[i]);
+        folded += char;
+        for (let j = 0; j < char.length; j++) map.push(i);
+      }
+      map.push(text.length);
+      
+      const words = [];
+      const pattern = /[a-z0-9]+/g;
+      let found;
+      while ((found = pattern.exec(folded)) !== null) {
+        words.push({ start: found.index, end: found.index + found[0].length, text: found[0] });
+      }
+      
+      if (this.indexCache.size > 10000) this.indexCache.clear();
+      entry = { folded, map, words };
+      this.indexCache.set(text, entry);
+      return entry;
+    },
+
+    /**
+     * Edit distance with adjacent transpositions ("joao" / "jaoo" = 1),
+     * stopping once it exceeds `max`
+     * @returns {number} The distance, or max + 1 when larger
+     */
+    distance(a, b, max) {
+      if (Math.abs(a.length - b.length) > max) return max + 1;
+      
+      let before = null;
+      let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+      for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+          let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+          if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+            value = Math.min(value, before[j - 2] + 1);
+          }
+          row[j] = value;
+          rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        before = previous;
+        previous = row;
+      }
+      return previous[b.length];
+    },
+
+    /**
+     * Best match of one query word in a field value: substring at a word
+     * start, anywhere, or a word (or word start) within the allowed typos
+     * @returns {{score: number, start: number, end: number}|null} Range in the folded text
+     */
+    matchToken(token, entry, fuzzy) {
+      const position = entry.folded.indexOf(token);
+      if (position > -1) {
+        const atWordStart = entry.words.some(word => word.start === position);
+        return { score: atWordStart ? 1 : 0.7, start: position, end: position + token.length };
+      }
+      
+      const max = fuzzy ? this.maxEdits(token) : 0;
+      if (max === 0) return null;
+      
+      let best = null;
+      entry.words.forEach(word => {
+        const prefix = word.text.slice(0, token.length);
+        const whole = this.distance(token, word.text, max);
+        const partial = prefix.length < word.text.length ? this.distance(token, prefix, max) : whole;
+        const edits = Math.min(whole, partial);
+        if (edits > max) return;
+        const score = 0.5 - (edits - 1) * 0.1;
+        if (!best || score > best.score) {
+          best = { score, start: word.start, end: edits === whole ? word.end : word.start + prefix.length };
+        }
+      });
+      return best;
+    },
+
+    /**
+     * Score a doctor against the query words
+     * @param {Object} doctor - Doctor
+     * @param {Array<string>} tokens - Folded query words
+     * @returns {{score: number, ranges: Object}|null} null when a word matches
+     *   no field; `ranges` maps a field key to highlight ranges in its shown value
+     */
+    match(doctor, tokens) {
+      const entries = this.fields.map(field => ({
+        field,
+        values: field.values(doctor).map(value =>
+          (value === undefined || value === null || value === '' ? null : this.index(String(value))))
+      }));
+      
+      let score = 0;
+      const ranges = {};
+      for (const token of tokens) {
+        let best = null;
+        entries.forEach(({ field, values }) => {
+          values.forEach((entry, valueIndex) => {
+            if (!entry) return;
+            const found = this.matchToken(token, entry, field.fuzzy);
+            if (found && (!best || found.score * field.weight > best.score)) {
+              best = { score: found.score * field.weight, field, entry, valueIndex, found };
+            }
+          });
+        });
+        if (!best) return null;
+        
+        score += best.score;
+        if (best.valueIndex === 0) {
+          const { map } = best.entry;
+          (ranges[best.field.key] = ranges[best.field.key] || []).push([map[best.found.start], map[best.found.end - 1] + 1]);
+        }
+      }
+      return { score, ranges };
+    },
+
+    /**
+     * Doctors matching a query, best first (ties keep their order)
+     * @param {Array} doctors - Doctors to search
+     * @param {string} query - Text typed by the user
+     * @returns {Array}
+     */
+    search(doctors, query) {
+      const tokens = this.tokens(query);
+      if (tokens.length === 0) return [...doctors];
+      
+      const matches = new Map();
+      doctors.forEach(doctor => {
+        const result = this.match(doctor, tokens);
+        if (result) matches.set(doctor, result);
+      });
+      this.last = { query, matches };
+      
+      return doctors
+        .filter(doctor => matches.has(doctor))
+        .sort((a, b) => matches.get(b).score - matches.get(a).score);
+    },
+
+    /**
+     * HTML of a field value with the parts matching the current search marked
+     * @param {Object} doctor - Doctor
+     * @param {string} key - Field key ('name', 'specialty', ...)
+     * @param {string} text - Value as shown (the field's first value)
+     * @returns {string}
+     */
+    highlight(doctor, key, text) {
+      const query = filtersModule.currentFilters.search;
+      if (!query) return utils.escapeHTML(text);
+      
+      const result = this.last.query === query && this.last.matches.has(doctor) ?
+        this.last.matches.get(doctor) :
+        this.match(doctor, this.tokens(query));
+      const ranges = ((result && result.ranges[key]) || [])
+        .slice()
+        .sort((a, b) => a[0] - b[0]);
+      
+      let html = '';
+      let cursor = 0;
+      ranges.forEach(([start, end]) => {
+        if (end <= cursor) return;
+        start = Math.max(start, cursor);
+        html += `${utils.escapeHTML(text.slice(cursor, start))}<mark class="search-highlight">${utils.escapeHTML(text.slice(start, end))}</mark>`;
+        cursor = end;
+      });
+      return html + utils.escapeHTML(text.slice(cursor));
+    }
+  };
+
+  /**
+   * Advanced filter: a boolean query over any doctor field, written as text
+   * (`specialty:(cardio|neuro) volume>70 -segment:blindar`) or built in a
+   * dialog. Both are the same tree:
+   *   group     { type: 'group', op: 'and'|'or', not, children: [] }
+   *   condition { type: 'condition', field, operator, values: [], not }
+   * Extra spreadsheet columns are fields named `extra:<column>`.
+   */
+  const queryModule = {
+    operators: [':', '=', '!=', '>', '>=', '<', '<='],
+
+    operatorLabels: {
+      ':': 'contém',
+      '=': 'igual a',
+      '!=': 'diferente de',
+      '>': 'maior que',
+      '>=': 'maior ou igual a',
+      '<': 'menor que',
+      '<=': 'menor ou igual a'
+    },
+
+    // `values` lists what a condition is tested against (default: the field itself)
+    fields: [
+      { key: 'name', label: 'Nome', aliases: ['nome'] },
+      {
+        key: 'specialty',
+        label: 'Especialidade',
+        aliases: ['especialidade'],
+        values: doctor => [
+          doctor.specialty,
+          doctor.subspecialty,
+          doctor.specialtyRaw,
+          filtersModule.getSpecialtyDisplayName(doctor.specialty),
+          doctor.subspecialty ? filtersModule.getSpecialtyDisplayName(doctor.subspecialty) : ''
+        ]
+      },
+      { key: 'segment', label: 'Segmento', aliases: ['segmento'], values: doctor => [doctor.segment, detailModule.segmentLabels[doctor.segment]] },
+      { key: 'priority', label: 'Prioridade', aliases: ['prioridade'], values: doctor => [doctor.priority, exportModule.priorityLabel(doctor.priority)] },
+      { key: 'volume', label: 'Volume', numeric: true },
+      { key: 'affinity', label: 'Afinidade', aliases: ['afinidade'], numeric: true },
+      { key: 'revenue', label: 'Receita potencial', aliases: ['receita'], numeric: true, values: doctor => [ExcelLoader.revenue.estimate(doctor)] },
+      { key: 'crm', label: 'CRM' },
+      { key: 'uf', label: 'UF', aliases: ['estado'] },
+      { key: 'city', label: 'Cidade', aliases: ['cidade'] },
+      { key: 'institution', label: 'Instituição', aliases: ['instituicao'] },
+      { key: 'rep', label: 'Representante', aliases: ['representante'] },
+      { key: 'assignedRep', label: 'Representante atribuído', aliases: ['atribuido'] },
+      { key: 'sheet', label: 'Planilha', aliases: ['planilha'] },
+      { key: 'email', label: 'E-mail' },
+      { key: 'phone', label: 'Telefone', aliases: ['telefone'] },
+      { key: 'lastInteraction', label: 'Última interação', aliases: ['interacao'] },
+      { key: 'followUp', label: 'Próximo retorno', aliases: ['retorno'] }
+    ],
+
+    cache: { text: null, doctors: null, predicate: null },
+
+    tree: null, // Root group edited by the builder dialog
+
+    init() {
+      const input = utils.query('#query-input');
+      if (input) {
+        input.addEventListener('change', (e) => this.submit(e.target.value));
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            this.submit(e.target.value);
+          }
+        });
+      }
+      
+      const help = utils.query('#query-help');
+      if (help) help.dataset.default = help.textContent;
+      
+      const builderBtn = utils.query('#open-query-builder');
+      if (builderBtn) {
+        builderBtn.addEventListener('click', () => this.openBuilder());
+      }
+    },
+
+    /**
+     * Field key for a name typed in a query: a key, a Portuguese alias or an
+     * extra column, compared without case or accents
+     * @param {string} name - Field name
+     * @returns {string|null}
+     */
+    resolveField(name) {
+      const folded = utils.fold(name);
+      const field = this.fields.find(item => utils.fold(item.key) === folded || (item.aliases || []).includes(folded));
+      if (field) return field.key;
+      const column = medicalData.getExtraColumns().find(item => utils.fold(item) === folded);
+      return column === undefined ? null : `extra:${column}`;
+    },
+
+    fieldLabel(key) {
+      if (key.startsWith('extra:')) return key.slice(6);
+      const field = this.fields.find(item => item.key === key);
+      return field ? field.label : key;
+    },
+
+    /**
+     * Parse the text syntax. Terms separated by spaces are ANDed; `OR`,
+     * `AND`, `NOT`/`-` and parentheses combine them; `field:(a|b)` lists
+     * alternatives; a term without an operator searches the name
+     * @param {string} text - Query text
+     * @returns {Object|null} Tree, null for an empty query
+     * @throws {Error} With the position of the problem
+     */
+    parse(text) {
+      const source = String(text || '');
+      let pos = 0;
+      
+      const fail = (message, at = pos) => {
+        throw new Error(`${message} (posição ${at + 1})`);
+      };
+      const skip = () => {
+        while (pos < source.length && /\s/.test(source[pos])) pos++;
+      };
+      const isKeyword = word => source.startsWith(word, pos) &&
+        (pos + word.length === source.length || /[\s()]/.test(source[pos + word.length]));
+      const keyword = word => {
+        skip();
+        if (!isKeyword(word)) return false;
+        pos += word.length;
+        return true;
+      };
+      const negate = node => ({ ...node, not: !node.not });
+      
+      // A quoted string or a bare word; field names also stop at operators
+      const readWord = (isField) => {
+        if (source[pos] === '"') {
+          const start = pos++;
+          let value = '';
+          while (pos < source.length && source[pos] !== '"') {
+            if (source[pos] === '\\' && pos + 1 < source.length) pos++;
+            value += source[pos++];
+          }
+          if (pos >= source.length) fail('Aspas não fechadas', start);
+          pos++;
+          return { value, quoted: true };
+        }
+        const stop = isField ? /[\s()|"!:=<>]/ : /[\s()|"]/;
+        const start = pos;
+        while (pos < source.length && !stop.test(source[pos])) pos++;
+        return { value: source.slice(start, pos), quoted: false };
+      };
+      
+      const readOperator = () => {
+        const operator = ['!=', '>=', '<=', ':', '=', '>', '<'].find(op => source.startsWith(op, pos));
+        if (operator) pos += operator.length;
+        return operator || null;
+      };
+      
+      const readValues = () => {
+        if (source[pos] !== '(') {
+          const word = readWord(false);
+          if (!word.value && !word.quoted) fail('Valor ausente');
+          return [word.value];
+        }
+        const start = pos++;
+        const values = [];
+        for (;;) {
+          skip();
+          values.push(readWord(false).value);
+          skip();
+          if (source[pos] !== '|') break;
+          pos++;
+        }
+        if (source[pos] !== ')') fail('Lista de valores sem ")"', start);
+        pos++;
+        return values;
+      };
+      
+      const term = () => {
+        const start = pos;
+        const word = readWord(true);
+        const operator = readOperator();
+        if (!operator) {
+          if (!word.value && !word.quoted) fail('Termo inesperado');
+          return { type: 'condition', field: 'name', operator: ':', values: [word.value], not: false };
+        }
+        if (!word.value) fail('Campo ausente antes do operador', start);
+        const field = this.resolveField(word.value);
+        if (!field) fail(`Campo desconhecido: ${word.value}`, start);
+        return { type: 'condition', field, operator, values: readValues(), not: false };
+      };
+      
+      let orGroup;
+      const unary = () => {
+        skip();
+        if (source[pos] === '-') {
+          pos++;
+          return negate(unary());
+        }
+        if (keyword('NOT')) return negate(unary());
+        if (source[pos] === '(') {
+          const start = pos++;
+          const node = orGroup();
+          skip();
+          if (source[pos] !== ')') fail('Parêntese não fechado', start);
+          pos++;
+          return node;
+        }
+        return term();
+      };
+      
+      const andGroup = () => {
+        const children = [unary()];
+        for (;;) {
+          skip();
+          if (pos >= source.length || source[pos] === ')' || isKeyword('OR')) break;
+          keyword('AND');
+          children.push(unary());
+        }
+        return children.length === 1 ? children[0] : { type: 'group', op: 'and', not: false, children };
+      };
+      
+      orGroup = () => {
+        const children = [andGroup()];
+        while (keyword('OR')) children.push(andGroup());
+        return children.length === 1 ? children[0] : { type: 'group', op: 'or', not: false, children };
+      };
+      
+      skip();
+      if (pos >= source.length) return null;
+      const tree = orGroup();
+      skip();
+      if (pos < source.length) fail(source[pos] === ')' ? 'Parêntese fechado sem abertura' : 'Termo inesperado');
+      return tree;
+    },
+
+    // Bare when the parser reads it back unchanged, quoted otherwise
+    quote(value, isField = false) {
+      const text = String(value);
+      const bare = isField ? /^[^\s()|"!:=<>-][^\s()|"!:=<>]*$/ : /^[^\s()|"]+$/;
+      return bare.test(text) && !/^(AND|OR|NOT)$/.test(text) ? text : `"${text.replace(/["\\]/g, '\\$&')}"`;
+    },
+
+    // Conditions without a value (and groups of them) are left out while editing
+    isEmpty(node) {
+      if (!node) return true;
+      if (node.type === 'condition') return node.values.every(value => value === '');
+      return node.children.every(child => this.isEmpty(child));
+    },
+
+    /**
+     * Text form of a tree, parsed back to the same predicate
+     * @param {Object|null} node - Group or condition
+     * @param {boolean} [nested] - Inside another group (adds parentheses)
+     * @returns {string}
+     */
+    stringify(node, nested = false) {
+      if (this.isEmpty(node)) return '';
+      const prefix = node.not ? '-' : '';
+      
+      if (node.type === 'condition') {
+        const field = node.field.startsWith('extra:') ? this.quote(node.field.slice(6), true) : node.field;
+        const filled = node.values.filter(value => value !== '');
+        const values = filled.length === 1 ?
+          this.quote(filled[0]) :
+          `(${filled.map(value => this.quote(value)).join('|')})`;
+        return `${prefix}${field}${node.operator}${values}`;
+      }
+      
+      const parts = node.children.map(child => this.stringify(child, true)).filter(Boolean);
+      if (parts.length === 0) return '';
+      const text = parts.join(node.op === 'or' ? ' OR ' : ' ');
+      return node.not || (nested && parts.length > 1) ? `${prefix}(${text})` : text;
+    },
+
+    // Numbers as typed in the sheets ("72,5"); ISO dates compare as text
+    toNumber(value) {
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return NaN;
+      return ExcelLoader.parseNumber(value);
+    },
+
+    /**
+     * Predicate for a tree; an empty one matches every doctor
+     * @param {Object|null} node - Group or condition
+     * @returns {Function} doctor => boolean
+     */
+    compile(node) {
+      if (this.isEmpty(node)) return () => true;
+      
+      let test;
+      if (node.type === 'group') {
+        const tests = node.children.filter(child => !this.isEmpty(child)).map(child => this.compile(child));
+        test = node.op === 'or' ?
+          doctor => tests.some(fn => fn(doctor)) :
+          doctor => tests.every(fn => fn(doctor));
+      } else {
+        test = this.compileCondition(node);
+      }
+      return node.not ? doctor => !test(doctor) : test;
+    },
+
+    // ':' is "contains" for text and equality for numeric fields; a doctor
+    // with several values (specialty, sub-specialty...) matches on any of them
+    compileCondition({ field, operator, values }) {
+      let read;
+      let numeric = false;
+      if (field.startsWith('extra:')) {
+        const column = field.slice(6);
+        read = doctor => [doctor.extra ? doctor.extra[column] : undefined];
+      } else {
+        const definition = this.fields.find(item => item.key === field) || {};
+        numeric = !!definition.numeric;
+        read = definition.values || (doctor => [doctor[field]]);
+      }
+      
+      const targets = values.filter(value => value !== '').map(value => ({ text: utils.fold(value).trim(), number: this.toNumber(value) }));
+      const compare = (candidate, target) => {
+        const number = this.toNumber(candidate);
+        if (Number.isFinite(number) && Number.isFinite(target.number)) return Math.sign(number - target.number);
+        const text = utils.fold(candidate);
+        if (text === target.text) return 0;
+        return text < target.text ? -1 : 1;
+      };
+      const matches = (candidate, target) => {
+        switch (operator) {
+          case ':': return numeric ? compare(candidate, target) === 0 : utils.fold(candidate).includes(target.text);
+          case '>': return compare(candidate, target) > 0;
+          case '>=': return compare(candidate, target) >= 0;
+          case '<': return compare(candidate, target) < 0;
+          case '<=': return compare(candidate, target) <= 0;
+          default: return compare(candidate, target) === 0;
+        }
+      };
+      
+      return doctor => {
+        const hit = read(doctor)
+          .filter(value => value !== undefined && value !== null && value !== '' && !Number.isNaN(value))
+          .some(candidate => targets.some(target => matches(candidate, target)));
+        return operator === '!=' ? !hit : hit;
+      };
+    },
+
+    /**
+     * Compiled predicate of a query text, cached while the data is the same;
+     * an invalid query matches every doctor
+     * @param {string} text - Query text
+     * @returns {Function} doctor => boolean
+     */
+    predicate(text) {
+      if (this.cache.text !== text || this.cache.doctors !== medicalData.doctors) {
+        let predicate;
+        try {
+          predicate = this.compile(this.parse(text));
+        } catch (error) {
+          utils.log(`Consulta inválida ignorada: ${error.message}`, 'warn');
+          predicate = () => true;
+        }
+        this.cache = { text, doctors: medicalData.doctors, predicate };
+      }
+      return this.cache.predicate;
+    },
+
+    // Apply the query typed in the panel, or show why it cannot be read
+    submit(text) {
+      const input = utils.query('#query-input');
+      const help = utils.query('#query-help');
+      
+      let error = '';
+      try {
+        this.parse(text);
+      } catch (parseError) {
+        error = parseError.message;
+      }
+      
+      if (input) input.setAttribute('aria-invalid', error ? 'true' : 'false');
+      if (help) {
+        help.textContent = error || help.dataset.default;
+        help.classList.toggle('filter-help--error', !!error);
+      }
+      if (error) return false;
+      
+      if (text.trim() !== filtersModule.currentFilters.query) {
+        filtersModule.updateQueryFilter(text.trim());
+      }
+      return true;
+    },
+
+    // Root of the builder: always a group, so conditions can be added next to it
+    asGroup(node) {
+      if (node && node.type === 'group') return node;
+      return { type: 'group', op: 'and', not: false, children: node ? [node] : [] };
+    },
+
+    nodeAt(path) {
+      return path.reduce((node, index) => node.children[index], this.tree);
+    },
+
+    pathOf(element) {
+      const holder = element.closest('[data-path]');
+      return holder && holder.dataset.path ? holder.dataset.path.split('.').map(Number) : [];
+    },
+
+    fieldOptions(selected) {
+      const option = (key, label) => `<option value="${utils.escapeHTML(key)}"${key === selected ? ' selected' : ''}>${utils.escapeHTML(label)}</option>`;
+      const extras = medicalData.getExtraColumns();
+      return this.fields.map(field => option(field.key, field.label)).join('') +
+        (extras.length ? `<optgroup label="Colunas extras">${extras.map(column => option(`extra:${column}`, column)).join('')}</optgroup>` : '');
+    },
+
+    renderCondition(node, path) {
+      return `
+        <div class="query-condition" data-path="${path.join('.')}">
+          <label class="modal-checkbox"><input type="checkbox" data-prop="not"${node.not ? ' checked' : ''}> Não</label>
+          <select class="filter-select" data-prop="field" aria-label="Campo">${this.fieldOptions(node.field)}</select>
+          <select class="filter-select" data-prop="operator" aria-label="Operador">
+            ${this.operators.map(op => `<option value="${utils.escapeHTML(op)}"${op === node.operator ? ' selected' : ''}>${utils.escapeHTML(this.operatorLabels[op])}</option>`).join('')}
+          </select>
+          <input type="text" class="filter-select" data-prop="values" value="${utils.escapeHTML(node.values.join('|'))}" placeholder="valor ou a|b" aria-label="Valor; separe alternativas com |">
+          <button type="button" class="recent-file-remove" data-remove aria-label="Remover condição">&times;</button>
+        </div>
+      `;
+    },
+
+    renderGroup(node, path) {
+      return `
+        <div class="query-group" data-path="${path.join('.')}" role="group" aria-label="${path.length ? 'Subgrupo' : 'Grupo principal'}">
+          <div class="query-group-header">
+            <select class="filter-select" data-prop="op" aria-label="Combinação das condições">
+              <option value="and"${node.op === 'and' ? ' selected' : ''}>Todas as condições (E)</option>
+              <option value="or"${node.op === 'or' ? ' selected' : ''}>Qualquer condição (OU)</option>
+            </select>
+            <label class="modal-checkbox"><input type="checkbox" data-prop="not"${node.not ? ' checked' : ''}> Não</label>
+            ${path.length ? '<button type="button" class="recent-file-remove" data-remove aria-label="Remover grupo">&times;</button>' : ''}
+          </div>
+          <ul class="query-children">
+            ${node.children.map((child, index) => `
+              <li>${child.type === 'group' ? this.renderGroup(child, path.concat(index)) : this.renderCondition(child, path.concat(index))}</li>
+            `).join('')}
+          </ul>
+          <div class="query-group-actions">
+            <button type="button" class="filter-btn filter-btn--secondary" data-add="condition">Adicionar condição</button>
+            <button type="button" class="filter-btn filter-btn--secondary" data-add="group">Adicionar grupo</button>
+          </div>
+        </div>
+      `;
+    },
+
+    // Redraw the editor from this.tree; the text box follows unless it is the source
+    renderBuilder(form, { updateText = true } = {}) {
+      utils.query('[data-builder]', form).innerHTML = this.renderGroup(this.tree, []);
+      if (updateText) form.elements.query.value = this.stringify(this.tree);
+      this.renderStatus(form);
+    },
+
+    renderStatus(form, error = '') {
+      const status = utils.query('[data-query-status]', form);
+      if (error) {
+        status.textContent = error;
+        return;
+      }
+      const predicate = this.compile(this.tree);
+      const count = medicalData.doctors.filter(doctor => predicate(doctor)).length;
+      status.textContent = `${count.toLocaleString('pt-BR')} de ${medicalData.doctors.length.toLocaleString('pt-BR')} médicos atendem à consulta, antes dos demais filtros.`;
     },
 
-    updateUI(filteredDoctors) {
-      // Group doctors by segment
-      const segments = {
-        blindar: filteredDoctors.filter(d => d.segment === 'blindar'),
-        incentivar: filteredDoctors.filter(d => d.segment === 'incentivar'),
-        avaliar: filteredDoctors.filter(d => d.segment === 'avaliar'),
-        conquistar: filteredDoctors.filter(d => d.segment === 'conquistar')
+    bindBuilder(form) {
+      const builder = utils.query('[data-builder]', form);
+      
+      const edit = (e) => {
+        const prop = e.target.dataset.prop;
+        if (!prop) return;
+        const node = this.nodeAt(this.pathOf(e.target));
+        if (prop === 'not') node.not = e.target.checked;
+        else if (prop === 'values') node.values = e.target.value.split('|').map(value => value.trim());
+        else node[prop] = e.target.value;
+        form.elements.query.value = this.stringify(this.tree);
+        this.renderStatus(form);
       };
+      builder.addEventListener('change', edit);
+      builder.addEventListener('input', edit);
       
-      // Update each quadrant
-      Object.keys(segments).forEach(segment => {
-        this.updateQuadrant(segment, segments[segment]);
+      builder.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-add], [data-remove]');
+        if (!button) return;
+        const path = this.pathOf(button);
+        let focusPath;
+        
+        if (button.dataset.add) {
+          const group = this.nodeAt(path);
+          group.children.push(button.dataset.add === 'group' ?
+            { type: 'group', op: 'and', not: false, children: [{ type: 'condition', field: 'specialty', operator: ':', values: [''], not: false }] } :
+            { type: 'condition', field: 'specialty', operator: ':', values: [''], not: false });
+          focusPath = path.concat(group.children.length - 1).join('.');
+        } else {
+          this.nodeAt(path.slice(0, -1)).children.splice(path[path.length - 1], 1);
+          focusPath = path.slice(0, -1).join('.');
+        }
+        
+        this.renderBuilder(form);
+        const target = utils.query(`[data-path="${focusPath}"] select, [data-path="${focusPath}"] button`, builder);
+        if (target) target.focus();
       });
       
-      // Update KPIs
-      this.updateKPIs(filteredDoctors);
+      form.elements.query.addEventListener('input', utils.debounce(() => {
+        try {
+          this.tree = this.asGroup(this.parse(form.elements.query.value));
+          this.renderBuilder(form, { updateText: false });
+        } catch (error) {
+          this.renderStatus(form, error.message);
+        }
+      }, 300));
     },
 
-    updateQuadrant(segmentKey, doctors) {
-      const segmentMap = {
-        blindar: 'q1',
-        incentivar: 'q2', 
-        avaliar: 'q3',
-        conquistar: 'q4'
-      };
+    /**
+     * Edit the query as conditions and groups; applying it replaces the
+     * text typed in the panel
+     */
+    async openBuilder() {
+      try {
+        this.tree = this.asGroup(this.parse(filtersModule.currentFilters.query));
+      } catch (error) {
+        this.tree = this.asGroup(null);
+      }
       
-      const quadrantId = segmentMap[segmentKey];
-      const cardBody = utils.query(`[aria-labelledby="${quadrantId}-title"] .card-body`);
-      const cardFooter = utils.query(`[aria-labelledby="${quadrantId}-title"] .card-footer`);
+      const { action, form } = await dialogModule.open({
+        title: 'Filtro avançado',
+        size: 'wide',
+        content: `
+          <p class="modal-text">
+            Combine condições em grupos E/OU e marque "Não" para excluir quem as atende.
+            Várias alternativas no mesmo valor são separadas por | (cardio|neuro).
+          </p>
+          <div class="query-builder" data-builder></div>
+          <label class="query-text">Consulta em texto
+            <input type="text" class="filter-select" name="query" spellcheck="false" autocomplete="off">
+          </label>
+          <p class="modal-text query-status" data-query-status role="status"></p>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Cancelar', variant: 'secondary' },
+          { value: 'clear', label: 'Remover consulta', variant: 'secondary' },
+          { value: 'apply', label: 'Aplicar' }
+        ],
+        onRender: (dialogForm) => {
+          this.renderBuilder(dialogForm);
+          this.bindBuilder(dialogForm);
+        },
+        validate: (dialogAction, dialogForm) => {
+          if (dialogAction !== 'apply') return '';
+          try {
+            this.parse(dialogForm.elements.query.value);
+            return '';
+          } catch (error) {
+            return error.message;
+          }
+        }
+      });
       
-      if (!cardBody || !cardFooter) return;
+      if (action === 'cancel') return;
       
-      if (doctors.length === 0) {
-        cardBody.innerHTML = '<div class="empty-state">Nenhum médico encontrado com os filtros aplicados</div>';
-        cardFooter.textContent = '0 médicos neste segmento';
-      } else {
-        const doctorsList = doctors.map(doctor => {
-          const specialtyText = this.getSpecialtyDisplayName(doctor.specialty);
-          return `<li data-doctor-id="${doctor.id}">${doctor.name} - ${specialtyText}</li>`;
-        }).join('');
-        
-        cardBody.innerHTML = `<ul class="medical-list" aria-label="Lista de médicos do quadrante ${segmentKey}">${doctorsList}</ul>`;
-        cardFooter.textContent = `${doctors.length} médicos neste segmento`;
-      }
-    },
+      const text = action === 'apply' ? form.elements.query.value.trim() : '';
+      const input = utils.query('#query-input');
+      if (input) input.value = text;
+      this.submit(text);
+    }
+  };
 
-    updateKPIs(filteredDoctors) {
-      const totalMedicos = utils.query('.kpi-card:nth-child(1) .kpi-value');
-      const segmentados = utils.query('.kpi-card:nth-child(2) .kpi-value');
-      const oportunidades = utils.query('.kpi-card:nth-child(4) .kpi-value');
-      
-      if (totalMedicos) {
-        totalMedicos.textContent = filteredDoctors.length.toLocaleString();
+  // Saved views: the current filters, thresholds and matrix view under a name
+  const viewsModule = {
+    activeId: null, // View last applied or saved, shown in the panel select
+
+    init() {
+      const select = utils.query('#view-select');
+      if (select) {
+        select.addEventListener('change', (e) => {
+          const view = e.target.value ? ExcelLoader.views.get(e.target.value) : null;
+          if (view) {
+            this.apply(view);
+          } else {
+            this.activeId = null;
+            urlModule.update();
+          }
+        });
       }
       
-      if (segmentados) {
-        const percentage = filteredDoctors.length > 0 ? 
-          ((filteredDoctors.length / medicalData.doctors.length) * 100).toFixed(1) : 0;
-        segmentados.textContent = filteredDoctors.length.toLocaleString();
-        
-        const segmentadosDesc = utils.query('.kpi-card:nth-child(2) .kpi-sub');
-        if (segmentadosDesc) {
-          segmentadosDesc.textContent = `${percentage}% da base total`;
-        }
+      const manageBtn = utils.query('#saved-views');
+      if (manageBtn) {
+        manageBtn.addEventListener('click', () => this.open());
       }
       
-      if (oportunidades) {
-        const highPriority = filteredDoctors.filter(d => 
-          d.priority === 'high' || d.priority === 'new-opportunities'
-        ).length;
-        oportunidades.textContent = highPriority.toLocaleString();
-      }
+      this.renderOptions();
+      
+      // A link with filters wins over the default view
+      const view = ExcelLoader.views.getDefault();
+      if (view && !urlModule.hasState()) this.apply(view);
     },
 
-    updateFilterCount() {
-      let activeCount = 0;
-      
-      // Count active filters
-      if (this.currentFilters.search) activeCount++;
-      activeCount += this.currentFilters.segments.length;
-      if (this.currentFilters.specialty) activeCount++;
-      if (this.currentFilters.volume.min > 0) activeCount++;
-      if (this.currentFilters.affinity.min > 0) activeCount++;
-      activeCount += this.currentFilters.quickFilters.length;
+    renderOptions() {
+      const select = utils.query('#view-select');
+      if (!select) return;
       
-      const countElement = utils.query('#active-filters-count .count');
-      if (countElement) {
-        countElement.textContent = activeCount;
-      }
+      const views = ExcelLoader.views.list();
+      select.innerHTML = '<option value="">Nenhuma visão</option>' + views.map(view => `
+        <option value="${utils.escapeHTML(view.id)}">${utils.escapeHTML(view.name)}${view.isDefault ? ' (padrão)' : ''}</option>
+      `).join('');
+      if (!views.some(view => view.id === this.activeId)) this.activeId = null;
+      select.value = this.activeId || '';
     },
 
-    updateResultsSummary(filteredDoctors) {
-      const summaryText = utils.query('.summary-text');
-      const filteredCount = utils.query('#filtered-count');
-      
-      if (summaryText && filteredCount) {
-        const total = medicalData.doctors.length;
-        const filtered = filteredDoctors.length;
-        
-        if (filtered === total) {
-          summaryText.textContent = 'Mostrando todos os médicos';
-        } else {
-          summaryText.textContent = `Mostrando médicos filtrados`;
-        }
-        
-        filteredCount.textContent = filtered.toLocaleString();
-      }
+    // Mark a view as the one on screen without applying it
+    select(id) {
+      this.activeId = id;
+      const select = utils.query('#view-select');
+      if (select) select.value = id || '';
     },
 
-    clearAllFilters() {
-      // Reset all filters
-      this.currentFilters = {
-        search: '',
-        segments: [],
-        specialty: '',
-        volume: { min: 0, max: 100 },
-        affinity: { min: 0, max: 100 },
-        quickFilters: []
+    // What a view stores
+    capture() {
+      return {
+        filters: JSON.parse(JSON.stringify(filtersModule.currentFilters)),
+        thresholds: ExcelLoader.segmentation.getSettings(),
+        view: scatterModule.isVisible() ? 'scatter' : 'quadrants'
       };
+    },
+
+    /**
+     * Restore a view; filters that do not fit the current data or rules are dropped
+     * @param {Object} view - Saved view (see ExcelLoader.views)
+     */
+    apply(view) {
+      filtersModule.currentFilters = filtersModule.normalizeFilters(view.filters);
+      filtersModule.syncControls();
+      scatterModule.setView(view.view || 'quadrants');
+      if (view.thresholds) thresholdsModule.set(view.thresholds);
+      else filtersModule.applyFilters();
       
-      // Reset UI elements
-      const searchInput = utils.query('#search-input');
-      if (searchInput) searchInput.value = '';
+      this.select(view.id);
+      utils.log(`Visão aplicada: ${view.name}`);
+    },
+
+    /**
+     * Save the current screen, apply, remove or share views
+     * @param {string} [notice] - Result of the previous action, shown on top
+     */
+    async open(notice = '') {
+      const views = ExcelLoader.views.list();
+      const active = views.find(view => view.id === this.activeId);
+      const formatDate = date => new Date(date).toLocaleDateString('pt-BR');
       
-      const segmentFilters = utils.queryAll('.segment-filter');
-      segmentFilters.forEach(checkbox => checkbox.checked = false);
+      const { action, form } = await dialogModule.open({
+        title: 'Visões salvas',
+        size: 'wide',
+        content: `
+          ${notice ? `<p class="modal-text" role="status">${utils.escapeHTML(notice)}</p>` : ''}
+          <p class="modal-text">
+            Uma visão guarda os filtros, os limiares de segmentação e o modo de exibição (quadrantes ou dispersão).
+            A visão padrão é aplicada ao abrir o dashboard.
+          </p>
+          <fieldset class="validation-policy">
+            <legend class="mapping-header">Salvar a tela atual</legend>
+            <div class="snapshot-fields">
+              <label>Nome <input type="text" class="filter-select" name="view-name" value="${utils.escapeHTML(active ? active.name : '')}" placeholder="Ex.: Incentivar + Pediatria"></label>
+            </div>
+            <label class="modal-checkbox">
+              <input type="checkbox" name="make-default"${active && active.isDefault ? ' checked' : ''}>
+              Abrir esta visão ao iniciar
+            </label>
+          </fieldset>
+          ${views.length ? `
+            <fieldset class="validation-policy">
+              <legend class="mapping-header">Visões</legend>
+              <div class="modal-table-wrapper">
+                <table class="modal-table">
+                  <thead><tr><th scope="col">Nome</th><th scope="col">Padrão</th><th scope="col">Salva em</th><th scope="col"><span class="sr-only">Ações</span></th></tr></thead>
+                  <tbody>
+                    ${views.map(view => `
+                      <tr>
+                        <th scope="row">${utils.escapeHTML(view.name)}</th>
+                        <td><input type="radio" name="default-view" value="${utils.escapeHTML(view.id)}"${view.isDefault ? ' checked' : ''} aria-label="Abrir ${utils.escapeHTML(view.name)} ao iniciar"></td>
+                        <td>${formatDate(view.savedAt)}</td>
+                        <td class="view-actions">
+                          <button type="button" class="filter-btn filter-btn--secondary" data-action="apply:${utils.escapeHTML(view.id)}">Aplicar</button>
+                          <button type="button" class="recent-file-remove" data-action="remove:${utils.escapeHTML(view.id)}" aria-label="Excluir a visão ${utils.escapeHTML(view.name)}">&times;</button>
+                        </td>
+                      </tr>
+                    `).join('')}
+                    <tr>
+                      <th scope="row">Nenhuma</th>
+                      <td><input type="radio" name="default-view" value=""${views.some(view => view.isDefault) ? '' : ' checked'} aria-label="Abrir sem visão padrão"></td>
+                      <td></td>
+                      <td></td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+              <button type="button" class="filter-btn filter-btn--secondary" data-export>Exportar visões (JSON)</button>
+            </fieldset>
+          ` : ''}
+          <div class="snapshot-fields">
+            <label>Importar visões <input type="file" class="filter-select" name="file" accept=".json,application/json"></label>
+          </div>
+        `,
+        actions: [
+          { value: 'cancel', label: 'Fechar', variant: 'secondary' },
+          { value: 'import', label: 'Importar', variant: 'secondary' },
+          { value: 'save', label: 'Salvar visão atual' }
+        ],
+        onRender: (dialogForm) => {
+          utils.queryAll('input[name="default-view"]', dialogForm).forEach(radio => {
+            radio.addEventListener('change', () => {
+              ExcelLoader.views.setDefault(radio.value || null);
+              this.renderOptions();
+            });
+          });
+          const exportBtn = utils.query('[data-export]', dialogForm);
+          if (exportBtn) exportBtn.addEventListener('click', () => this.exportViews());
+        },
+        validate: (dialogAction, dialogForm) => {
+          if (dialogAction === 'save') {
+            return ExcelLoader.views.validate({ name: dialogForm.elements['view-name'].value, ...this.capture() }).join(' ');
+          }
+          if (dialogAction === 'import' && dialogForm.elements.file.files.length === 0) {
+            return 'Escolha um arquivo JSON exportado pelo dashboard.';
+          }
+          return '';
+        }
+      });
       
-      const specialtySelect = utils.query('#specialty-select');
-      if (specialtySelect) specialtySelect.value = '';
+      const [command, id] = [action.split(':')[0], action.slice(action.indexOf(':') + 1)];
+      if (command === 'cancel') return;
       
-      const volumeRange = utils.query('#volume-range');
-      const affinityRange = utils.query('#affinity-range');
-      if (volumeRange) {
-        volumeRange.value = 50;
-        this.updateVolumeRange(50);
+      if (command === 'apply') {
+        const view = ExcelLoader.views.get(id);
+        if (view) this.apply(view);
+        return;
       }
-      if (affinityRange) {
-        affinityRange.value = 50;
-        this.updateAffinityRange(50);
+      
+      let message;
+      try {
+        if (command === 'remove') {
+          const view = ExcelLoader.views.get(id);
+          ExcelLoader.views.remove(id);
+          message = `Visão "${view ? view.name : id}" excluída.`;
+        } else if (command === 'save') {
+          const view = ExcelLoader.views.save({ name: form.elements['view-name'].value, ...this.capture() }, form.elements['make-default'].checked);
+          this.activeId = view.id;
+          message = `Visão "${view.name}" salva.`;
+        } else {
+          let data;
+          try {
+            data = JSON.parse(await interactionsModule.readText(form.elements.file.files[0]));
+          } catch (error) {
+            throw new Error('o arquivo não é um JSON válido.');
+          }
+          const result = ExcelLoader.views.import(data);
+          message = `${result.imported.toLocaleString('pt-BR')} visões importadas` +
+            (result.skipped ? `; ${result.skipped.toLocaleString('pt-BR')} inválidas ignoradas.` : '.');
+        }
+      } catch (error) {
+        utils.log(`Erro nas visões salvas: ${error.message}`, 'error');
+        message = `Não foi possível concluir: ${error.message}`;
       }
       
-      const quickFilterBtns = utils.queryAll('.quick-filter-btn');
-      quickFilterBtns.forEach(btn => btn.classList.remove('active'));
+      this.renderOptions();
+      await this.open(message);
+    },
+
+    exportViews() {
+      const data = ExcelLoader.views.export();
+      utils.downloadFile(JSON.stringify(data, null, 2), `visoes-${interactionsModule.today()}.json`, 'application/json');
+      utils.log(`${data.views.length} visões exportadas`);
+    }
+  };
+
+  /**
+   * Filters, matrix view and saved view in the query string, so a link
+   * reproduces the screen and back/forward walk through filter changes.
+   * The open doctor stays in the hash (#medico=<id>, see detailModule).
+   */
+  const urlModule = {
+    // currentFilters key (or 'mode'/'view') -> query parameter; dimensions use their own key
+    params: {
+      search: 'busca',
+      segments: 'segmento',
+      specialty: 'especialidade',
+      volume: 'volume',
+      affinity: 'afinidade',
+      quickFilters: 'prioridade',
+      interaction: 'interacao',
+      query: 'consulta',
+      region: 'regiao',
+      mode: 'exibicao',
+      view: 'visao'
+    },
+
+    delay: 400, // Changes within this time (typing, dragging a slider) make one history entry
+    timer: null,
+    isInitialized: false,
+
+    init() {
+      if (this.isInitialized) return;
       
-      // Apply filters (will show all doctors)
-      this.applyFilters();
+      if (this.hasState()) this.restore();
+      window.addEventListener('popstate', () => this.restore());
       
-      utils.log('Todos os filtros foram limpos');
+      this.isInitialized = true;
+      this.write('replace');
     },
 
-    setupRangeSliders() {
-      const volumeRange = utils.query('#volume-range');
-      const affinityRange = utils.query('#affinity-range');
-      
-      if (volumeRange) {
-        this.updateVolumeRange(parseInt(volumeRange.value));
-      }
+    knownParams() {
+      return Object.values(this.params).concat(CONFIG.dimensionFilters.map(dimension => dimension.key));
+    },
+
+    // Whether the address carries dashboard state
+    hasState() {
+      const params = new URLSearchParams(window.location.search);
+      return this.knownParams().some(name => params.has(name));
+    },
+
+    /**
+     * Query parameters for the current screen; filters left at their
+     * default are omitted
+     * @returns {URLSearchParams}
+     */
+    serialize() {
+      const filters = filtersModule.currentFilters;
+      const params = new URLSearchParams();
+      const round = value => Math.round(value * 10) / 10;
+      const range = ({ min, max }) => `${round(min)}-${round(max)}`;
       
-      if (affinityRange) {
-        this.updateAffinityRange(parseInt(affinityRange.value));
-      }
+      if (filters.search) params.set(this.params.search, filters.search);
+      if (filters.segments.length > 0) params.set(this.params.segments, filters.segments.join(','));
+      if (filters.specialty) params.set(this.params.specialty, filters.specialty);
+      ['volume', 'affinity'].forEach(axis => {
+        if (filters[axis].min > 0 || filters[axis].max < 100) params.set(this.params[axis], range(filters[axis]));
+      });
+      if (filters.quickFilters.length > 0) params.set(this.params.quickFilters, filters.quickFilters.join(','));
+      Object.entries(filters.dimensions).forEach(([key, value]) => params.set(key, value));
+      if (filters.interaction) params.set(this.params.interaction, filters.interaction);
+      if (filters.query) params.set(this.params.query, filters.query);
+      if (filters.region) params.set(this.params.region, `${range(filters.region.volume)},${range(filters.region.affinity)}`);
+      if (scatterModule.isVisible()) params.set(this.params.mode, 'dispersao');
+      if (viewsModule.activeId) params.set(this.params.view, viewsModule.activeId);
+      return params;
     },
 
-    getSpecialtyDisplayName(specialty) {
-      const specialtyMap = {
-        'cardiologia': 'Cardiologia',
-        'neurologia': 'Neurologia',
-        'ortopedia': 'Ortopedia',
-        'ginecologia': 'Ginecologia',
-        'urologia': 'Urologia',
-        'dermatologia': 'Dermatologia',
-        'gastroenterologia': 'Gastroenterologia',
-        'endocrinologia': 'Endocrinologia',
-        'pneumologia': 'Pneumologia',
-        'reumatologia': 'Reumatologia',
-        'oncologia': 'Oncologia',
-        'pediatria': 'Pediatria',
-        'psiquiatria': 'Psiquiatria',
-        'oftalmologia': 'Oftalmologia',
-        'nefrologia': 'Nefrologia',
-        'infectologia': 'Infectologia',
-        'hematologia': 'Hematologia',
-        'geriatria': 'Geriatria',
-        'anestesiologia': 'Anestesiologia',
-        'radiologia': 'Radiologia',
-        'patologia': 'Patologia',
-        'cirurgia-geral': 'Cirurgia Geral',
-        'medicina-interna': 'Medicina Interna',
-        'outras': 'Outras Especialidades'
+    /**
+     * Filters read from query parameters, before normalizeFilters checks them
+     * @param {URLSearchParams} params
+     * @returns {Object}
+     */
+    parse(params) {
+      const text = name => params.get(this.params[name]) || '';
+      const list = name => text(name).split(',').map(item => item.trim()).filter(Boolean);
+      const range = value => {
+        const match = /^\s*(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)\s*$/.exec(value || '');
+        return match ? { min: Number(match[1]), max: Number(match[2]) } : undefined;
       };
       
-      return specialtyMap[specialty] || specialty;
+      const dimensions = {};
+      CONFIG.dimensionFilters.forEach(({ key }) => {
+        if (params.get(key)) dimensions[key] = params.get(key);
+      });
+      const region = text('region').split(',');
+      
+      return {
+        search: text('search'),
+        segments: list('segments'),
+        specialty: text('specialty'),
+        volume: range(text('volume')),
+        affinity: range(text('affinity')),
+        quickFilters: list('quickFilters'),
+        dimensions,
+        interaction: text('interaction'),
+        query: text('query'),
+        region: region.length === 2 ? { volume: range(region[0]), affinity: range(region[1]) } : null
+      };
     },
 
-    async reloadData() {
-      try {
-        utils.log('Recarregando dados da planilha...');
-        this.updateDataStatus('loading', 'Recarregando dados...');
-        
-        // Reload data from Excel
-        await medicalData.loadFromExcel();
-        
-        // Clear and reapply filters
-        this.clearAllFilters();
-        this.applyFilters();
-        
-        this.updateDataStatus('success', `${medicalData.doctors.length} médicos carregados`);
-        utils.log('Dados recarregados com sucesso');
-        
-      } catch (error) {
-        utils.log(`Erro ao recarregar dados: ${error.message}`, 'error');
-        this.updateDataStatus('error', 'Erro ao recarregar dados');
+    // Show the state of the address; what is unknown or invalid is left out
+    restore() {
+      clearTimeout(this.timer);
+      const params = new URLSearchParams(window.location.search);
+      const known = this.knownParams();
+      const unknown = Array.from(params.keys()).filter(name => !known.includes(name));
+      if (unknown.length > 0) {
+        utils.log(`Parâmetros ignorados no endereço: ${unknown.join(', ')}`, 'warn');
       }
-    },
-
-    updateDataStatus(status, message) {
-      const statusDot = utils.query('#status-dot');
-      const statusText = utils.query('#status-text');
-      const statusDetails = utils.query('#status-details');
       
-      if (statusDot) {
-        statusDot.className = `status-dot ${status}`;
+      // A link to a saved view alone applies it, thresholds included
+      const view = params.get(this.params.view) ? ExcelLoader.views.get(params.get(this.params.view)) : null;
+      const hasFilters = known.some(name => name !== this.params.view && name !== this.params.mode && params.has(name));
+      if (view && !hasFilters) {
+        viewsModule.apply(view);
+      } else {
+        filtersModule.currentFilters = filtersModule.normalizeFilters(this.parse(params));
+        filtersModule.syncControls();
+        viewsModule.select(view ? view.id : null);
+        scatterModule.setView(params.get(this.params.mode) === 'dispersao' ? 'scatter' : 'quadrants');
+        filtersModule.applyFilters();
       }
       
-      if (statusText) {
-        statusText.textContent = message;
-      }
+      if (this.isInitialized) this.write('replace');
+    },
+
+    // Record the screen in the history once the changes settle
+    update() {
+      if (!this.isInitialized) return;
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.write('push'), this.delay);
+    },
+
+    /**
+     * Put the current state in the address
+     * @param {string} method - 'push' adds a history entry, 'replace' rewrites the current one
+     */
+    write(method) {
+      clearTimeout(this.timer);
+      const query = this.serialize().toString().replace(/%2C/g, ',');
+      const search = query ? `?${query}` : '';
+      if (search === window.location.search) return;
       
-      if (statusDetails) {
-        const timestamp = new Date().toLocaleTimeString('pt-BR');
-        switch (status) {
-          case 'loading':
-            statusDetails.textContent = 'Carregando planilha Excel...';
-            break;
-          case 'success':
-            statusDetails.textContent = `Dados atualizados às ${timestamp} - Fonte: Planilha Excel`;
-            break;
-          case 'error':
-            statusDetails.textContent = `Erro às ${timestamp} - Usando dados de fallback`;
-            break;
-          default:
-            statusDetails.textContent = 'Fonte: Planilha Excel';
-        }
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      if (method === 'push') window.history.pushState(null, '', url);
+      else window.history.replaceState(null, '', url);
+    }
+  };
+
+  // CSV export of the filtered doctors
+  const exportModule = {
+    // Export columns; "planilha" values are the raw numbers before normalization
+    columns: [
+      { label: 'ID', value: doctor => doctor.id },
+      { label: 'Nome', value: doctor => doctor.name },
+      { label: 'Especialidade', value: doctor => filtersModule.getSpecialtyDisplayName(doctor.specialty) },
+      { label: 'Subespecialidade', value: doctor => (doctor.subspecialty ? filtersModule.getSpecialtyDisplayName(doctor.subspecialty) : '') },
+      { label: 'Especialidade (planilha)', value: doctor => doctor.specialtyRaw || '' },
+      { label: 'CRM', value: doctor => doctor.crm || '' },
+      { label: 'UF', value: doctor => doctor.uf || '' },
+      { label: 'Cidade', value: doctor => doctor.city || '' },
+      { label: 'Instituição', value: doctor => doctor.institution || '' },
+      { label: 'E-mail', value: doctor => doctor.email || '' },
+      { label: 'Telefone', value: doctor => doctor.phone || '' },
+      { label: 'Representante', value: doctor => doctor.rep || '' },
+      { label: 'Representante atribuído', value: doctor => doctor.assignedRep || '' },
+      { label: 'Última interação', value: doctor => (doctor.lastInteraction ? interactionsModule.formatDate(doctor.lastInteraction) : '') },
+      { label: 'Próximo retorno', value: doctor => (doctor.followUp ? interactionsModule.formatDate(doctor.followUp) : '') },
+      { label: 'Planilha', value: doctor => doctor.sheet || '' },
+      { label: 'Segmento', value: doctor => exportModule.capitalize(doctor.segment) },
+      { label: 'Prioridade', value: doctor => exportModule.priorityLabel(doctor.priority) },
+      { label: 'Volume (planilha)', value: doctor => exportModule.formatNumber(exportModule.rawValue(doctor, 'volume')) },
+      { label: 'Volume (0-100)', value: doctor => exportModule.formatNumber(doctor.volume) },
+      { label: 'Afinidade (planilha)', value: doctor => exportModule.formatNumber(exportModule.rawValue(doctor, 'affinity')) },
+      { label: 'Afinidade (0-100)', value: doctor => exportModule.formatNumber(doctor.affinity) },
+      { label: 'Receita (planilha)', value: doctor => (Number.isFinite(doctor.revenue) ? exportModule.formatNumber(doctor.revenue) : '') },
+      { label: 'Receita potencial', value: doctor => exportModule.formatRevenue(doctor) },
+      { label: 'Valores imputados', value: doctor => (doctor.imputed || []).join(', ') },
+      { label: 'Linhas combinadas', value: doctor => (doctor.mergedFrom || []).map(duplicatesModule.rowLabel).join('; ') }
+    ],
+
+    init() {
+      const exportBtn = utils.query('#export-doctors');
+      if (exportBtn) {
+        exportBtn.addEventListener('click', () => this.exportDoctors());
       }
+    },
+
+    rawValue(doctor, axis) {
+      return doctor.raw && doctor.raw[axis] !== undefined ? doctor.raw[axis] : doctor[axis];
+    },
+
+    // Decimal comma so Excel pt-BR reads the numbers
+    formatNumber(value) {
+      return typeof value === 'number' ? String(value).replace('.', ',') : value;
+    },
+
+    formatRevenue(doctor) {
+      const value = ExcelLoader.revenue.estimate(doctor);
+      return Number.isFinite(value) ? exportModule.formatNumber(Math.round(value * 100) / 100) : '';
+    },
+
+    capitalize(text) {
+      return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+    },
+
+    priorityLabel(key) {
+      const priority = ExcelLoader.priorities.get().priorities.find(item => item.key === key);
+      return priority ? priority.label || priority.key : key || '';
+    },
+
+    /**
+     * Download doctors as CSV; extra spreadsheet columns follow the fixed ones
+     * @param {Array} [doctors] - Doctors to export, the filtered ones by default
+     */
+    exportDoctors(doctors = filtersModule.filteredDoctors) {
+      const columns = this.columns.concat(medicalData.getExtraColumns(doctors).map(name => ({
+        label: name,
+        value: doctor => (doctor.extra && doctor.extra[name] !== undefined ? this.formatNumber(doctor.extra[name]) : '')
+      })));
+      const rows = doctors.map(doctor => columns.map(column => column.value(doctor)));
+      const csv = utils.toCSV(columns.map(column => column.label), rows);
+      const baseName = (medicalData.source || 'medicos').replace(/\.[^.]+$/, '');
+      
+      utils.downloadFile(csv, `${baseName}-medicos.csv`);
+      utils.log(`${rows.length} médicos exportados`);
     }
   };
 
@@ -1254,6 +6692,27 @@ const MecobeDashboard = (function() {
         
         // Initialize filters system
         filtersModule.init();
+        uploadModule.init();
+        mappingModule.init();
+        sheetModule.init();
+        validationModule.init();
+        duplicatesModule.init();
+        thresholdsModule.init();
+        priorityModule.init();
+        revenueModule.init();
+        taxonomyModule.init();
+        exportModule.init();
+        detailModule.init();
+        scatterModule.init();
+        geoModule.init();
+        analyticsModule.init();
+        snapshotsModule.init();
+        territoryModule.init();
+        plannerModule.init();
+        interactionsModule.init();
+        queryModule.init();
+        viewsModule.init();
+        urlModule.init();
         
         // Update status based on data load result
         if (medicalData.isLoaded) {
@@ -1267,6 +6726,7 @@ const MecobeDashboard = (function() {
         
         // Hide loading indicator
         this.showLoadingIndicator(false);
+        validationModule.notifyIfEmpty();
         
         if (button) {
           utils.log('Dashboard inicializado com sucesso');
@@ -1359,17 +6819,65 @@ const MecobeDashboard = (function() {
       setSpecialty: filtersModule.updateSpecialtyFilter.bind(filtersModule),
       setVolumeMin: filtersModule.updateVolumeRange.bind(filtersModule),
       setAffinityMin: filtersModule.updateAffinityRange.bind(filtersModule),
+      setRange: filtersModule.setRange.bind(filtersModule),
+      setDimension: filtersModule.updateDimensionFilter.bind(filtersModule),
+      setRegion: filtersModule.setRegion.bind(filtersModule),
       getCurrentFilters: () => filtersModule.currentFilters,
       apply: filtersModule.applyFilters.bind(filtersModule)
     },
     
+    // Matrix view: 'quadrants' or 'scatter'
+    setView: scatterModule.setView.bind(scatterModule),
+    
+    // Doctor detail drawer
+    details: {
+      open: detailModule.open.bind(detailModule),
+      close: () => detailModule.close()
+    },
+    
+    // Specialty taxonomy
+    taxonomy: {
+      get: () => ExcelLoader.taxonomy.get(),
+      set: (taxonomy) => taxonomyModule.save(taxonomy),
+      getUnmapped: () => ExcelLoader.taxonomy.findUnmapped(medicalData.doctors)
+    },
+    
+    // Priority rules
+    priorities: {
+      getRules: () => ExcelLoader.priorities.get(),
+      setRules: (ruleSet) => priorityModule.save(ruleSet),
+      preview: (ruleSet) => ExcelLoader.priorities.preview(medicalData.doctors, ruleSet)
+    },
+    
+    // Score scale and segmentation thresholds
+    segmentation: {
+      getScales: () => ExcelLoader.normalization.getSettings(),
+      setScales: (scales) => {
+        ExcelLoader.normalization.apply(medicalData.doctors, scales);
+        thresholdsModule.set(ExcelLoader.segmentation.getSettings());
+      },
+      getSettings: () => ExcelLoader.segmentation.getSettings(),
+      getCutoffs: () => ExcelLoader.segmentation.getCutoffs(),
+      setThresholds: (settings) => thresholdsModule.set(settings)
+    },
+    
     // Data API
     data: {
       getAllDoctors: () => medicalData.doctors,
       getBySegment: medicalData.getBySegment.bind(medicalData),
       getBySpecialty: medicalData.getBySpecialty.bind(medicalData),
+      getDistinctValues: medicalData.getDistinctValues.bind(medicalData),
+      getFields: () => ExcelLoader.columnFields.map(({ key, label }) => ({ key, label })),
+      getExtraColumns: () => medicalData.getExtraColumns(),
+      findByCRM: medicalData.findByCRM.bind(medicalData),
+      getLoadedSheets: () => ExcelLoader.getLoadedSheets(),
       search: medicalData.search.bind(medicalData),
-      filterByPriority: medicalData.filterByPriority.bind(medicalData)
+      filterByPriority: medicalData.filterByPriority.bind(medicalData),
+      loadFile: (file) => uploadModule.loadFile(file),
+      getSource: () => medicalData.source,
+      getValidationReport: () => ExcelLoader.getValidationReport(),
+      getFiltered: () => filtersModule.filteredDoctors.slice(),
+      exportCSV: (doctors) => exportModule.exportDoctors(doctors)
     },
     
     config: CONFIG,
@@ -1382,6 +6890,29 @@ const MecobeDashboard = (function() {
       printModule,
       uiModule,
       filtersModule,
+      uploadModule,
+      dialogModule,
+      mappingModule,
+      sheetModule,
+      validationModule,
+      duplicatesModule,
+      detailModule,
+      scatterModule,
+      geoModule,
+      analyticsModule,
+      snapshotsModule,
+      territoryModule,
+      plannerModule,
+      interactionsModule,
+      searchModule,
+      queryModule,
+      viewsModule,
+      urlModule,
+      thresholdsModule,
+      priorityModule,
+      revenueModule,
+      taxonomyModule,
+      exportModule,
       medicalData
     }
   };
@@ -11,6 +11,120 @@ const ExcelLoader = (function() {
   const CONFIG = {
     excelFilePath: './data/Segmentação Karine Lopes 2 .xlsx',
     sheetName: null, // Will auto-detect first sheet
+    maxRecentFiles: 5,
+    missingValuePolicy: 'exclude', // 'exclude' rows or 'impute' the column median
+    neutralScore: 50, // Imputed when a column has no valid value at all
+    // Segment cutoffs per axis; mode is 'fixed' (value), 'median', 'mean' or 'percentile'
+    thresholds: {
+      volume: { mode: 'fixed', value: 60, percentile: 75 },
+      affinity: { mode: 'fixed', value: 60, percentile: 75 }
+    },
+    // Scale of the raw score columns: 'none' (already 0-100), 'minmax', 'percentile', 'zscore' or 'log'
+    normalization: { volume: 'none', affinity: 'none' },
+    zScoreClip: 3, // z-scores beyond ±3 land on 0 or 100
+    /**
+     * Default specialty taxonomy (see taxonomy). Synonyms are matched without
+     * accents at the start of a word; those of up to 3 letters (spreadsheet
+     * codes such as "CRD") only match a whole word. The longest match wins.
+     */
+    specialtyTaxonomy: {
+      specialties: [
+        { key: 'cardiologia', label: 'Cardiologia', synonyms: ['cardiologia', 'cardiologista', 'cardio', 'crd'],
+          subspecialties: [{ key: 'cardiologia-pediatrica', label: 'Cardiologia Pediátrica', synonyms: ['cardiologia pediatrica', 'cardiopediatria'] }] },
+        { key: 'neurologia', label: 'Neurologia', synonyms: ['neurologia', 'neurologista', 'neuro', 'neu'] },
+        { key: 'ortopedia', label: 'Ortopedia', synonyms: ['ortopedia', 'ortopedista', 'orto', 'ort'],
+          subspecialties: [{ key: 'traumatologia', label: 'Traumatologia', synonyms: ['traumatologia', 'traumatologista'] }] },
+        { key: 'ginecologia', label: 'Ginecologia', synonyms: ['ginecologia', 'ginecologista', 'gineco', 'gob'],
+          subspecialties: [{ key: 'obstetricia', label: 'Obstetrícia', synonyms: ['obstetricia', 'obstetra'] }] },
+        { key: 'urologia', label: 'Urologia', synonyms: ['urologia', 'urologista', 'uro'] },
+        { key: 'dermatologia', label: 'Dermatologia', synonyms: ['dermatologia', 'dermatologista', 'derma', 'drm'] },
+        { key: 'gastroenterologia', label: 'Gastroenterologia', synonyms: ['gastroenterologia', 'gastroenterologista', 'gastro', 'gas'] },
+        { key: 'endocrinologia', label: 'Endocrinologia', synonyms: ['endocrinologia', 'endocrinologista', 'endocrino', 'end'] },
+        { key: 'pneumologia', label: 'Pneumologia', synonyms: ['pneumologia', 'pneumologista', 'pneumo', 'pne'] },
+        { key: 'reumatologia', label: 'Reumatologia', synonyms: ['reumatologia', 'reumatologista', 'reuma', 'rmt'] },
+        { key: 'oncologia', label: 'Oncologia', synonyms: ['oncologia', 'oncologista', 'onco', 'onc'] },
+        { key: 'pediatria', label: 'Pediatria', synonyms: ['pediatria', 'pediatra', 'ped'],
+          subspecialties: [{ key: 'neonatologia', label: 'Neonatologia', synonyms: ['neonatologia', 'neonatologista'] }] },
+        { key: 'psiquiatria', label: 'Psiquiatria', synonyms: ['psiquiatria', 'psiquiatra', 'psq'] },
+        { key: 'oftalmologia', label: 'Oftalmologia', synonyms: ['oftalmologia', 'oftalmologista', 'oftalmo', 'oft'] },
+        { key: 'otorrinolaringologia', label: 'Otorrinolaringologia', synonyms: ['otorrinolaringologia', 'otorrino', 'orl'] },
+        { key: 'nefrologia', label: 'Nefrologia', synonyms: ['nefrologia', 'nefrologista', 'nefro', 'nef'] },
+        { key: 'infectologia', label: 'Infectologia', synonyms: ['infectologia', 'infectologista', 'inf'] },
+        { key: 'hematologia', label: 'Hematologia', synonyms: ['hematologia', 'hematologista', 'hemato', 'hem'] },
+        { key: 'geriatria', label: 'Geriatria', synonyms: ['geriatria', 'geriatra', 'ger'] },
+        { key: 'alergologia', label: 'Alergia e Imunologia', synonyms: ['alergologia', 'alergista', 'alergia', 'imunologia', 'ale'] },
+        { key: 'angiologia', label: 'Angiologia e Cirurgia Vascular', synonyms: ['angiologia', 'angiologista', 'cirurgia vascular', 'cirurgiao vascular', 'ang'] },
+        { key: 'nutrologia', label: 'Nutrologia', synonyms: ['nutrologia', 'nutrologo', 'nut'] },
+        { key: 'anestesiologia', label: 'Anestesiologia', synonyms: ['anestesiologia', 'anestesista', 'anestesiologista', 'ane'] },
+        { key: 'radiologia', label: 'Radiologia', synonyms: ['radiologia', 'radiologista', 'radiologo'] },
+        { key: 'patologia', label: 'Patologia', synonyms: ['patologia', 'patologista', 'patologo'] },
+        { key: 'cirurgia-geral', label: 'Cirurgia Geral', synonyms: ['cirurgia', 'cirurgiao', 'cirurgia geral', 'cir'],
+          subspecialties: [{ key: 'cirurgia-plastica', label: 'Cirurgia Plástica', synonyms: ['cirurgia plastica', 'cirurgiao plastico', 'cpl'] }] },
+        { key: 'clinica-medica', label: 'Clínica Médica', synonyms: ['clinica medica', 'clinica geral', 'clinico geral', 'clinico', 'clg'] },
+        { key: 'medicina-interna', label: 'Medicina Interna', synonyms: ['medicina interna', 'internista', 'int'] },
+        { key: 'outras', label: 'Outras Especialidades', synonyms: ['outras', 'outra', 'out'] }
+      ],
+      fallback: 'outras' // Specialty of values that match nothing
+    },
+    // Default priority rule set (see priorityRules); the first matching rule wins.
+    // Priorities flagged `opportunity` are counted by the "Oportunidades" KPI.
+    priorityRules: {
+      priorities: [
+        { key: 'strategic', label: 'Estratégicos' },
+        { key: 'high', label: 'Alta Prioridade', opportunity: true },
+        { key: 'new-opportunities', label: 'Novas Oportunidades', opportunity: true },
+        { key: 'standard', label: 'Sem prioridade' }
+      ],
+      rules: [
+        { priority: 'strategic', when: { segment: 'blindar' } },
+        { priority: 'high', when: { volume: { gt: 80 } } },
+        { priority: 'high', when: { affinity: { gt: 80 } } },
+        { priority: 'new-opportunities', when: { volume: { lt: 40 }, affinity: { lt: 40 } } }
+      ],
+      default: 'standard'
+    },
+    /**
+     * Potential revenue (see revenueModel): `source` 'ticket' multiplies the
+     * sheet volume by the ticket (R$ per volume point) of the specialty,
+     * 'column' reads the revenue column; either way the result is weighted
+     * by the conversion rate (0-1) of the segment.
+     */
+    revenueModel: {
+      source: 'ticket',
+      ticket: { default: 500, specialties: {} },
+      conversion: { blindar: 0.8, incentivar: 0.5, avaliar: 0.3, conquistar: 0.1 }
+    },
+    /**
+     * Rep territories (see territory): each doctor weighs `weights[segment]`
+     * workload points against the capacity of the rep; the balancer spreads
+     * the doctors of `balanceSegments` only.
+     */
+    territory: {
+      weights: { blindar: 3, incentivar: 2, avaliar: 1, conquistar: 0.5 },
+      balanceSegments: ['blindar', 'incentivar'],
+      defaultCapacity: 60
+    },
+    /**
+     * Visit planner (see visitPlan): visits per month by segment, optionally
+     * replaced by the one of the priority; fractions mean one visit every few
+     * months (0.5 = every other month). The team calendar lists the working
+     * weekdays (0 = Sunday), visits per rep a day and holidays (YYYY-MM-DD).
+     */
+    visitPlan: {
+      frequency: {
+        segments: { blindar: 4, incentivar: 2, avaliar: 1, conquistar: 0.5 },
+        priorities: {}
+      },
+      calendar: { workingDays: [1, 2, 3, 4, 5], visitsPerDay: 8, holidays: [] }
+    },
+    /**
+     * Duplicate records: same CRM (and UF), or names at least `nameSimilarity`
+     * alike (0-1) among the `window` nearest names in alphabetical order.
+     * `policy` combines the scores: 'max', 'average' or 'latest' row.
+     */
+    duplicates: { policy: 'max', nameSimilarity: 0.9, window: 5 },
+    ufs: ['AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA', 'PB',
+      'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'],
     debug: true
   };
 
@@ -28,91 +142,293 @@ const ExcelLoader = (function() {
       return str.toString().trim().toLowerCase();
     },
 
-    // Parse specialty from text
-    parseSpecialty(text) {
-      if (!text) return 'outras';
-      
-      const specialtyMap = {
-        'cardiologia': 'cardiologia',
-        'cardio': 'cardiologia',
-        'neurologia': 'neurologia',
-        'neuro': 'neurologia',
-        'ortopedia': 'ortopedia',
-        'orto': 'ortopedia',
-        'ginecologia': 'ginecologia',
-        'gineco': 'ginecologia',
-        'urologia': 'urologia',
-        'uro': 'urologia',
-        'dermatologia': 'dermatologia',
-        'derma': 'dermatologia',
-        'gastroenterologia': 'gastroenterologia',
-        'gastro': 'gastroenterologia',
-        'endocrinologia': 'endocrinologia',
-        'endocrino': 'endocrinologia',
-        'pneumologia': 'pneumologia',
-        'pneumo': 'pneumologia',
-        'reumatologia': 'reumatologia',
-        'reuma': 'reumatologia',
-        'oncologia': 'oncologia',
-        'onco': 'oncologia',
-        'pediatria': 'pediatria',
-        'pediatra': 'pediatria',
-        'psiquiatria': 'psiquiatria',
-        'psiquiatra': 'psiquiatria',
-        'oftalmologia': 'oftalmologia',
-        'oftalmo': 'oftalmologia',
-        'nefrologia': 'nefrologia',
-        'nefro': 'nefrologia',
-        'infectologia': 'infectologia',
-        'infectologista': 'infectologia',
-        'hematologia': 'hematologia',
-        'hemato': 'hematologia',
-        'geriatria': 'geriatria',
-        'geriatra': 'geriatria',
-        'anestesiologia': 'anestesiologia',
-        'anestesista': 'anestesiologia',
-        'radiologia': 'radiologia',
-        'radiologo': 'radiologia',
-        'patologia': 'patologia',
-        'patologo': 'patologia',
-        'cirurgia': 'cirurgia-geral',
-        'cirurgiao': 'cirurgia-geral',
-        'medicina interna': 'medicina-interna',
-        'clinica': 'medicina-interna',
-        'clinico': 'medicina-interna'
-      };
+    // Normalize and strip diacritics ("Área" -> "area")
+    foldString(str) {
+      return this.normalizeString(str)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ');
+    },
 
-      const normalized = this.normalizeString(text);
+    /**
+     * Parse numbers written in Brazilian or international notation:
+     * "72,5", "1.234", "1.234,5", "1,234.5", "R$ 150,00", "85%"
+     * @param {*} value - Cell value
+     * @returns {number} NaN when the value is not numeric or its separators
+     *   don't form a valid number ("1,5,", "12.34.56")
+     */
+    parseNumber(value) {
+      if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+      if (value === null || value === undefined) return NaN;
       
-      for (const [key, value] of Object.entries(specialtyMap)) {
-        if (normalized.includes(key)) {
-          return value;
-        }
+      const text = String(value).replace(/R\$|%|\s|\u00a0/g, '');
+      const sign = /^[+-]/.test(text) ? text[0] : '';
+      const digits = text.slice(sign.length);
+      let plain;
+      
+      if (/^[1-9]\d{0,2}(\.\d{3})+(,\d+)?$/.test(digits)) {
+        // Dots grouping thousands: "1.234", "1.234.567,5"
+        plain = digits.replace(/\./g, '').replace(',', '.');
+      } else if (/^[1-9]\d{0,2}((,\d{3})+\.\d+|(,\d{3}){2,})$/.test(digits)) {
+        // Commas grouping thousands: "1,234.5", "1,234,567"
+        plain = digits.replace(/,/g, '');
+      } else if (/^(\d+([.,]\d*)?|[.,]\d+)$/.test(digits)) {
+        // A lone separator is the decimal one: "72,5", "72.5", "0.500"
+        plain = digits.replace(',', '.');
+      } else {
+        return NaN;
       }
       
-      return 'outras';
+      const number = Number(sign + plain);
+      return Number.isFinite(number) ? number : NaN;
+    },
+
+    /**
+     * Parse a CRM registration: "MG0018561", "CRM/SP 123.456", "123456-SP"
+     * @param {*} value - Cell value
+     * @returns {{number: string, uf: string}} Digits without leading zeros
+     *   and the state found next to them ('' when absent)
+     */
+    parseCRM(value) {
+      const text = String(value === null || value === undefined ? '' : value).toUpperCase();
+      const number = text.replace(/\D/g, '').replace(/^0+/, '');
+      const uf = (text.replace(/CRM/g, ' ').match(/[A-Z]{2,}/g) || []).find(token => CONFIG.ufs.includes(token));
+      return { number, uf: uf || '' };
+    },
+
+    // Two-letter state code, or '' when the value is not a Brazilian UF
+    parseUF(value) {
+      const uf = this.normalizeString(value).toUpperCase();
+      return CONFIG.ufs.includes(uf) ? uf : '';
+    },
+
+    // Parse specialty from text using the active taxonomy
+    parseSpecialty(text) {
+      return taxonomy.classify(text).specialty;
+    },
+
+    // Linear interpolation percentile (p in 0-100) of a list of numbers
+    percentile(values, p) {
+      if (values.length === 0) return NaN;
+      const sorted = values.slice().sort((a, b) => a - b);
+      const position = (sorted.length - 1) * Math.min(Math.max(p, 0), 100) / 100;
+      const lower = Math.floor(position);
+      const upper = Math.ceil(position);
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
     },
 
     // Parse segment from volume and affinity values
-    parseSegment(volume, affinity) {
+    parseSegment(volume, affinity, cutoffs = segmentation.cutoffs) {
       const vol = parseFloat(volume) || 0;
       const aff = parseFloat(affinity) || 0;
+      const highVolume = vol >= cutoffs.volume;
+      const highAffinity = aff >= cutoffs.affinity;
       
-      if (vol >= 60 && aff >= 60) return 'blindar';      // High Volume, High Affinity
-      if (vol < 60 && aff >= 60) return 'incentivar';    // Low Volume, High Affinity
-      if (vol >= 60 && aff < 60) return 'avaliar';       // High Volume, Low Affinity
+      if (highVolume && highAffinity) return 'blindar';   // High Volume, High Affinity
+      if (!highVolume && highAffinity) return 'incentivar'; // Low Volume, High Affinity
+      if (highVolume && !highAffinity) return 'avaliar';  // High Volume, Low Affinity
       return 'conquistar';                                // Low Volume, Low Affinity
     },
 
-    // Parse priority from values
-    parsePriority(volume, affinity, segment) {
-      const vol = parseFloat(volume) || 0;
-      const aff = parseFloat(affinity) || 0;
+    // Parse priority from values using the active rule set
+    parsePriority(volume, affinity, segment, doctor = {}) {
+      return priorityRules.evaluate({ ...doctor, volume, affinity, segment });
+    }
+  };
+
+  // Specialty taxonomy: canonical specialties, synonyms and sub-specialties
+  const taxonomy = {
+    storageKey: 'specialtyTaxonomy',
+    current: null,
+    index: null, // Match terms, longest first
+    cache: new Map(), // Folded text -> classification
+
+    defaults() {
+      return JSON.parse(JSON.stringify(CONFIG.specialtyTaxonomy));
+    },
+
+    get() {
+      if (!this.current) {
+        const saved = typeof MecobeStorage !== 'undefined' ? MecobeStorage.local.get(this.storageKey) : null;
+        this.use(saved && this.validate(saved).length === 0 ? saved : this.defaults());
+      }
+      return JSON.parse(JSON.stringify(this.current));
+    },
+
+    /**
+     * Replace the active taxonomy
+     * @param {Object|null} value - New taxonomy, or null to restore the defaults
+     */
+    set(value) {
+      if (value === null) {
+        this.use(this.defaults());
+        if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.remove(this.storageKey);
+        return;
+      }
+      
+      const errors = this.validate(value);
+      if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+      }
+      
+      this.use(JSON.parse(JSON.stringify(value)));
+      if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.set(this.storageKey, this.current);
+    },
+
+    use(value) {
+      this.current = value;
+      this.index = null;
+      this.cache.clear();
+    },
+
+    /**
+     * Check a taxonomy
+     * @param {Object} value - { specialties: [{ key, label, synonyms, subspecialties }], fallback }
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validate(value) {
+      const errors = [];
+      const keys = [];
+      
+      if (!value || typeof value !== 'object' || !Array.isArray(value.specialties) || value.specialties.length === 0) {
+        return ['Defina ao menos uma especialidade em "specialties".'];
+      }
+      
+      const checkEntry = (entry, label) => {
+        if (!entry || typeof entry.key !== 'string' || !entry.key.trim()) {
+          errors.push(`${label}: informe "key".`);
+          return;
+        }
+        if (keys.includes(entry.key)) {
+          errors.push(`Especialidade "${entry.key}" repetida.`);
+        }
+        keys.push(entry.key);
+        if (entry.synonyms !== undefined && (!Array.isArray(entry.synonyms) || entry.synonyms.some(synonym => typeof synonym !== 'string'))) {
+          errors.push(`"${entry.key}": "synonyms" deve ser uma lista de textos.`);
+        }
+      };
+      
+      value.specialties.forEach((specialty, index) => {
+        checkEntry(specialty, `Especialidade ${index + 1}`);
+        if (specialty && specialty.subspecialties !== undefined) {
+          if (!Array.isArray(specialty.subspecialties)) {
+            errors.push(`"${specialty.key}": "subspecialties" deve ser uma lista.`);
+          } else {
+            specialty.subspecialties.forEach((sub, subIndex) => checkEntry(sub, `Subespecialidade ${subIndex + 1} de "${specialty.key}"`));
+          }
+        }
+      });
+      
+      if (!value.specialties.some(specialty => specialty && specialty.key === value.fallback)) {
+        errors.push('"fallback" deve ser uma das especialidades definidas.');
+      }
+      
+      return errors;
+    },
+
+    // Accent-free lowercase words separated by single spaces
+    fold(text) {
+      return utils.foldString(text).replace(/[^a-z0-9]+/g, ' ').trim();
+    },
+
+    // Every synonym, label and key becomes a match term
+    buildIndex() {
+      const index = [];
+      const addTerms = (entry, specialty, subspecialty) => {
+        const terms = new Set([entry.key.replace(/-/g, ' '), entry.label || '', ...(entry.synonyms || [])].map(term => this.fold(term)));
+        terms.forEach(term => {
+          if (term) index.push({ term, specialty, subspecialty });
+        });
+      };
+      
+      this.get();
+      this.current.specialties.forEach(specialty => {
+        addTerms(specialty, specialty.key, null);
+        (specialty.subspecialties || []).forEach(sub => addTerms(sub, specialty.key, sub.key));
+      });
+      
+      this.index = index.sort((a, b) => b.term.length - a.term.length);
+    },
+
+    /**
+     * Classify a specialty as written in the sheet
+     * @param {string} text - Raw specialty
+     * @returns {{specialty: string, subspecialty: string|null, matched: boolean}}
+     */
+    classify(text) {
+      if (!this.index) this.buildIndex();
       
-      if (segment === 'blindar') return 'strategic';
-      if (vol > 80 || aff > 80) return 'high';
-      if (vol < 40 && aff < 40) return 'new-opportunities';
-      return 'strategic';
+      const folded = this.fold(text);
+      if (this.cache.has(folded)) return this.cache.get(folded);
+      
+      const padded = ` ${folded} `;
+      const match = folded ? this.index.find(entry =>
+        padded.includes(entry.term.length <= 3 ? ` ${entry.term} ` : ` ${entry.term}`)
+      ) : null;
+      
+      const result = match ?
+        { specialty: match.specialty, subspecialty: match.subspecialty, matched: true } :
+        { specialty: this.current.fallback, subspecialty: null, matched: false };
+      
+      this.cache.set(folded, result);
+      return result;
+    },
+
+    getLabel(key) {
+      const taxonomyValue = this.current || this.get();
+      for (const specialty of taxonomyValue.specialties) {
+        if (specialty.key === key) return specialty.label || key;
+        const sub = (specialty.subspecialties || []).find(item => item.key === key);
+        if (sub) return sub.label || key;
+      }
+      return key;
+    },
+
+    // Reclassify doctors in place from the specialty read from the sheet
+    apply(doctors) {
+      doctors.forEach(doctor => {
+        if (doctor.specialtyRaw === undefined) return;
+        const result = this.classify(doctor.specialtyRaw);
+        doctor.specialty = result.specialty;
+        doctor.subspecialty = result.subspecialty;
+      });
+    },
+
+    /**
+     * Specialty values found in the data that match no taxonomy entry
+     * @param {Array} doctors - Loaded doctors
+     * @returns {Array<{value: string, count: number}>} Most frequent first
+     */
+    findUnmapped(doctors) {
+      const unmapped = new Map();
+      doctors.forEach(doctor => {
+        const value = String(doctor.specialtyRaw || '').trim();
+        if (!value || this.classify(value).matched) return;
+        
+        const folded = this.fold(value);
+        const entry = unmapped.get(folded) || { value, count: 0 };
+        entry.count++;
+        unmapped.set(folded, entry);
+      });
+      return Array.from(unmapped.values()).sort((a, b) => b.count - a.count);
+    },
+
+    /**
+     * Add a synonym to a specialty or sub-specialty of a taxonomy
+     * @param {Object} value - Taxonomy to change (modified in place)
+     * @param {string} key - Specialty or sub-specialty key
+     * @param {string} synonym - Value to recognize
+     * @returns {Object} The taxonomy
+     */
+    addSynonym(value, key, synonym) {
+      value.specialties.forEach(specialty => {
+        [specialty, ...(specialty.subspecialties || [])].forEach(entry => {
+          if (entry.key !== key) return;
+          entry.synonyms = entry.synonyms || [];
+          if (!entry.synonyms.includes(synonym)) entry.synonyms.push(synonym);
+        });
+      });
+      return value;
     }
   };
 
@@ -136,6 +452,87 @@ const ExcelLoader = (function() {
         utils.log(`Erro ao carregar arquivo: ${error.message}`, 'error');
         throw error;
       }
+    },
+
+    // Read a File/Blob picked or dropped by the user
+    async readFile(file) {
+      utils.log(`Lendo arquivo local: ${file.name}`);
+
+      if (typeof file.arrayBuffer === 'function') {
+        return file.arrayBuffer();
+      }
+
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error('Falha ao ler o arquivo'));
+        reader.readAsArrayBuffer(file);
+      });
+    }
+  };
+
+  // Recently loaded files, kept in IndexedDB so a dataset can be reopened
+  const recentFiles = {
+    storeName: 'recentFiles',
+
+    isAvailable() {
+      return typeof MecobeStorage !== 'undefined' && MecobeStorage.db.isAvailable();
+    },
+
+    async add(file, arrayBuffer) {
+      if (!this.isAvailable()) return;
+
+      try {
+        const id = `${file.name}|${file.size}|${file.lastModified || 0}`;
+        await MecobeStorage.db.put(this.storeName, {
+          id,
+          name: file.name,
+          size: file.size,
+          lastModified: file.lastModified || null,
+          loadedAt: Date.now(),
+          buffer: arrayBuffer
+        });
+        await this.prune();
+      } catch (error) {
+        utils.log(`Não foi possível salvar arquivo recente: ${error.message}`, 'warn');
+      }
+    },
+
+    // Metadata only, most recent first
+    async list() {
+      if (!this.isAvailable()) return [];
+
+      try {
+        const entries = await MecobeStorage.db.getAll(this.storeName);
+        return entries
+          .sort((a, b) => b.loadedAt - a.loadedAt)
+          .map(({ buffer, ...meta }) => meta);
+      } catch (error) {
+        utils.log(`Não foi possível listar arquivos recentes: ${error.message}`, 'warn');
+        return [];
+      }
+    },
+
+    async get(id) {
+      const entry = await MecobeStorage.db.get(this.storeName, id);
+      if (!entry) {
+        throw new Error('Arquivo recente não encontrado');
+      }
+
+      entry.loadedAt = Date.now();
+      await MecobeStorage.db.put(this.storeName, entry);
+      return entry;
+    },
+
+    async remove(id) {
+      if (!this.isAvailable()) return;
+      await MecobeStorage.db.delete(this.storeName, id);
+    },
+
+    async prune() {
+      const entries = await this.list();
+      const stale = entries.slice(CONFIG.maxRecentFiles);
+      await Promise.all(stale.map(entry => this.remove(entry.id)));
     }
   };
 
@@ -184,12 +581,473 @@ const ExcelLoader = (function() {
         utils.log(`Erro ao extrair dados: ${error.message}`, 'error');
         throw error;
       }
+    },
+
+    // Approximate data row count of a sheet, read from the sheet range
+    getRowCount(workbook, sheetName) {
+      const ref = workbook.Sheets[sheetName] && workbook.Sheets[sheetName]['!ref'];
+      return ref ? XLSX.utils.decode_range(ref).e.r : 0;
+    }
+  };
+
+  // Text decoding with UTF-8 / Windows-1252 detection
+  const textDecoder = {
+    /**
+     * Decode a text file, honouring a BOM and falling back to Windows-1252
+     * when the bytes are not valid UTF-8 (Excel "CSV" exports on Windows)
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @returns {{text: string, encoding: string}}
+     */
+    decode(arrayBuffer) {
+      const bytes = new Uint8Array(arrayBuffer);
+      
+      if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+      }
+      if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+      }
+      if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+      }
+      
+      try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+      } catch (error) {
+        return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+      }
+    }
+  };
+
+  /**
+   * Format parsers. Each one turns a file buffer into the same
+   * workbook-like shape consumed by the processing pipeline:
+   * { format, SheetNames, getRows(sheetName), getRowCount(sheetName) }
+   * where getRows returns string rows, header row first.
+   */
+  const formatParsers = {
+    registry: [],
+
+    /**
+     * Register a parser; later registrations take precedence
+     * @param {Object} parser - { format, extensions, detect(bytes, fileName), parse(arrayBuffer, fileName) }
+     */
+    register(parser) {
+      if (!parser || !parser.format || typeof parser.parse !== 'function') {
+        throw new Error('Parser inválido: informe format e parse()');
+      }
+      
+      this.registry = this.registry.filter(existing => existing.format !== parser.format);
+      this.registry.unshift(parser);
+    },
+
+    getExtensions() {
+      return [...new Set(this.registry.flatMap(parser => parser.extensions || []))];
+    },
+
+    detect(arrayBuffer, fileName = '') {
+      const name = utils.normalizeString(fileName);
+      const byExtension = this.registry.find(parser =>
+        (parser.extensions || []).some(ext => name.endsWith(ext))
+      );
+      if (byExtension) return byExtension;
+      
+      const bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 512));
+      const bySignature = this.registry.find(parser => parser.detect && parser.detect(bytes, name));
+      if (bySignature) return bySignature;
+      
+      throw new Error(`Formato de arquivo não reconhecido: ${fileName || 'sem nome'}`);
+    },
+
+    parse(arrayBuffer, fileName = '') {
+      const parser = this.detect(arrayBuffer, fileName);
+      utils.log(`Formato detectado: ${parser.format}`);
+      return parser.parse(arrayBuffer, fileName);
+    },
+
+    // Single-sheet source for parsers that produce rows directly
+    fromRows(format, sheetRows) {
+      const SheetNames = Object.keys(sheetRows);
+      return {
+        format,
+        SheetNames,
+        getRows: name => {
+          if (!sheetRows[name]) throw new Error(`Planilha "${name}" não encontrada`);
+          return sheetRows[name];
+        },
+        getRowCount: name => Math.max(0, (sheetRows[name] || []).length - 1)
+      };
+    },
+
+    toCell(value) {
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'object') return JSON.stringify(value);
+      return String(value);
+    }
+  };
+
+  // XLSX / XLS / ODS through SheetJS
+  const xlsxParser = {
+    format: 'xlsx',
+    extensions: ['.xlsx', '.xlsm', '.xls', '.ods'],
+
+    // ZIP (xlsx/ods) or OLE2 (xls) signatures
+    detect(bytes) {
+      return (bytes[0] === 0x50 && bytes[1] === 0x4B) ||
+        (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0);
+    },
+
+    parse(arrayBuffer) {
+      const workbook = excelParser.parseWorkbook(arrayBuffer);
+      return {
+        format: this.format,
+        SheetNames: workbook.SheetNames,
+        getRows: name => excelParser.extractSheetData(workbook, name),
+        getRowCount: name => excelParser.getRowCount(workbook, name)
+      };
+    }
+  };
+
+  // CSV / TSV / semicolon-separated text
+  const delimitedParser = {
+    format: 'csv',
+    extensions: ['.csv', '.tsv', '.tab', '.txt'],
+    delimiters: [';', ',', '\t', '|'],
+
+    detect() {
+      return true; // Last resort: any text file
+    },
+
+    parse(arrayBuffer, fileName = '') {
+      const { text, encoding } = textDecoder.decode(arrayBuffer);
+      const delimiter = utils.normalizeString(fileName).match(/\.(tsv|tab)$/) ? '\t' : this.detectDelimiter(text);
+      utils.log(`Texto delimitado: codificação ${encoding}, separador ${delimiter === '\t' ? 'TAB' : delimiter}`);
+      
+      // Blank lines above the header are dropped, as SheetJS starts at the first used row
+      const rows = this.parseText(text, delimiter);
+      rows.splice(0, Math.max(rows.findIndex(cells => cells.some(cell => cell !== '')), 0));
+      return formatParsers.fromRows(delimiter === '\t' ? 'tsv' : 'csv', { [this.sheetName(fileName)]: rows });
+    },
+
+    sheetName(fileName) {
+      const base = String(fileName || '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+      return base || 'Dados';
+    },
+
+    // Pick the delimiter that splits the first lines into the most, consistent columns
+    detectDelimiter(text) {
+      const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+      let best = { delimiter: ',', score: 0 };
+      
+      this.delimiters.forEach(delimiter => {
+        const counts = lines.map(line => this.parseText(line, delimiter)[0].length - 1);
+        const consistent = counts.every(count => count === counts[0]);
+        const score = counts[0] > 0 ? counts[0] * (consistent ? 2 : 1) : 0;
+        if (score > best.score) best = { delimiter, score };
+      });
+      
+      return best.delimiter;
+    },
+
+    // RFC 4180 parsing: quoted fields, doubled quotes, newlines inside quotes.
+    // Empty lines stay as empty rows so row numbers match the file, like
+    // SheetJS blank rows; processRawData skips them.
+    parseText(text, delimiter) {
+      const rows = [];
+      let row = [];
+      let field = '';
+      let inQuotes = false;
+      
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+          if (char === '"' && text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (char === '"') {
+            inQuotes = false;
+          } else {
+            field += char;
+          }
+        } else if (char === '"' && field === '') {
+          inQuotes = true;
+        } else if (char === delimiter) {
+          row.push(field);
+          field = '';
+        } else if (char === '\n' || char === '\r') {
+          if (char === '\r' && text[i + 1] === '\n') i++;
+          row.push(field);
+          rows.push(row);
+          row = [];
+          field = '';
+        } else {
+          field += char;
+        }
+      }
+      
+      if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+      }
+      
+      return rows.map(cells => cells.map(cell => cell.trim()));
+    }
+  };
+
+  // JSON: array of objects, array of arrays, or an object of such arrays (one sheet each)
+  const jsonParser = {
+    format: 'json',
+    extensions: ['.json'],
+
+    detect(bytes) {
+      const first = Array.from(bytes).find(byte => byte > 0x20 && byte !== 0xEF && byte !== 0xBB && byte !== 0xBF);
+      return first === 0x5B || first === 0x7B; // [ or {
+    },
+
+    parse(arrayBuffer) {
+      const { text } = textDecoder.decode(arrayBuffer);
+      let data;
+      
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`JSON inválido: ${error.message}`);
+      }
+      
+      const sheets = {};
+      if (Array.isArray(data)) {
+        sheets.Dados = this.toRows(data);
+      } else if (data && typeof data === 'object') {
+        Object.entries(data).forEach(([key, value]) => {
+          if (Array.isArray(value)) sheets[key] = this.toRows(value);
+        });
+      }
+      
+      if (Object.keys(sheets).length === 0) {
+        throw new Error('JSON sem lista de registros');
+      }
+      
+      return formatParsers.fromRows(this.format, sheets);
+    },
+
+    toRows(records) {
+      if (records.length === 0) return [];
+      
+      if (records.every(Array.isArray)) {
+        return records.map(record => record.map(formatParsers.toCell));
+      }
+      
+      const headers = [];
+      records.forEach(record => {
+        if (record && typeof record === 'object') {
+          Object.keys(record).forEach(key => {
+            if (!headers.includes(key)) headers.push(key);
+          });
+        }
+      });
+      
+      return [headers].concat(records.map(record =>
+        headers.map(key => formatParsers.toCell(record && record[key]))
+      ));
     }
   };
 
+  // Detection order: explicit formats first, delimited text as last resort
+  [delimitedParser, jsonParser, xlsxParser].forEach(parser => formatParsers.register(parser));
+
   // Data processor module
   const dataProcessor = {
-    processRawData(rawData) {
+    /**
+     * Recognized doctor fields and the header patterns that identify them.
+     * `patterns` score by exact (3), prefix (2) or substring (1) match;
+     * `weak` patterns only produce a suggestion that must be confirmed;
+     * headers containing an `exclude` term never match the field.
+     */
+    columnFields: [
+      {
+        key: 'name',
+        label: 'Nome',
+        required: true,
+        patterns: ['nome', 'medico', 'nome do medico', 'nome da conta', 'doutor', 'profissional'],
+        weak: [],
+        exclude: ['hospital', 'setor', 'distrito', 'regional', 'clinica', 'instituicao', 'empresa', 'cidade', 'municipio', 'especialidade', 'representante', 'gerente']
+      },
+      {
+        key: 'specialty',
+        label: 'Especialidade',
+        patterns: ['especialidade', 'especializacao'],
+        weak: ['area'],
+        exclude: []
+      },
+      {
+        key: 'volume',
+        label: 'Volume',
+        patterns: ['volume', 'consultas', 'atendimentos'],
+        weak: [],
+        exclude: []
+      },
+      {
+        key: 'affinity',
+        label: 'Afinidade',
+        patterns: ['afinidade', 'relacionamento', 'engajamento'],
+        weak: [],
+        exclude: []
+      },
+      // Optional fields are never reported as missing or ambiguous
+      // and are left unmapped unless a pattern matches
+      {
+        key: 'uf',
+        label: 'UF',
+        optional: true,
+        patterns: ['uf', 'estado', 'uf crm', 'uf do crm'],
+        weak: [],
+        exclude: []
+      },
+      {
+        key: 'crm',
+        label: 'CRM',
+        optional: true,
+        patterns: ['crm', 'numero do crm', 'registro crm'],
+        weak: [],
+        exclude: []
+      },
+      {
+        key: 'city',
+        label: 'Cidade',
+        optional: true,
+        patterns: ['cidade', 'municipio', 'localidade'],
+        weak: [],
+        exclude: []
+      },
+      {
+        key: 'institution',
+        label: 'Instituição',
+        optional: true,
+        patterns: ['instituicao', 'hospital', 'clinica', 'estabelecimento', 'local de atendimento', 'empresa'],
+        weak: [],
+        exclude: []
+      },
+      {
+        key: 'email',
+        label: 'E-mail',
+        optional: true,
+        patterns: ['email', 'e-mail', 'e mail'],
+        weak: [],
+        exclude: []
+      },
+      {
+        key: 'phone',
+        label: 'Telefone',
+        optional: true,
+        patterns: ['telefone', 'celular', 'fone', 'whatsapp'],
+        weak: [],
+        exclude: []
+      },
+      {
+        key: 'rep',
+        label: 'Representante',
+        optional: true,
+        patterns: ['representante', 'propagandista', 'consultor', 'responsavel', 'vendedor'],
+        weak: [],
+        exclude: ['gerente']
+      },
+      {
+        key: 'revenue',
+        label: 'Receita',
+        optional: true,
+        patterns: ['receita', 'faturamento', 'receita potencial', 'r$'],
+        weak: [],
+        exclude: []
+      }
+    ],
+
+    // Optional fields read as plain text ('' when the column is not mapped)
+    textFields: ['city', 'institution', 'email', 'phone', 'rep'],
+
+    /**
+     * Rescale volume and affinity to 0-100. The values read from the sheet
+     * are kept in `doctor.raw` so the scale can change without reloading.
+     * @param {Array} doctors - Doctors to update in place
+     * @param {Object} modes - Mode per column, see CONFIG.normalization
+     */
+    normalizeScores(doctors, modes) {
+      ['volume', 'affinity'].forEach(axis => {
+        doctors.forEach(doctor => {
+          if (!doctor.raw) doctor.raw = {};
+          if (doctor.raw[axis] === undefined) doctor.raw[axis] = doctor[axis];
+        });
+        
+        const scale = this.scaler(doctors.map(doctor => doctor.raw[axis]), modes[axis]);
+        doctors.forEach(doctor => {
+          doctor[axis] = Math.round(scale(doctor.raw[axis]));
+        });
+      });
+    },
+
+    // Build value -> 0-100 function for one column
+    scaler(values, mode) {
+      if (values.length === 0 || mode === 'none') return value => value;
+      
+      const min = values.reduce((a, b) => Math.min(a, b), Infinity);
+      const max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+      const range = max - min;
+      
+      switch (mode) {
+        case 'minmax':
+          return value => (range ? (value - min) / range * 100 : 50);
+        
+        case 'percentile': {
+          // Mid-rank percent: ties share the middle of their span
+          const sorted = values.slice().sort((a, b) => a - b);
+          const countBelow = (value, inclusive) => {
+            let low = 0;
+            let high = sorted.length;
+            while (low < high) {
+              const middle = (low + high) >> 1;
+              if (sorted[middle] < value || (inclusive && sorted[middle] === value)) low = middle + 1;
+              else high = middle;
+            }
+            return low;
+          };
+          return value => {
+            const below = countBelow(value, false);
+            const equal = countBelow(value, true) - below;
+            return (below + equal / 2) / sorted.length * 100;
+          };
+        }
+        
+        case 'zscore': {
+          const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+          const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+          const clip = CONFIG.zScoreClip;
+          return value => {
+            if (!deviation) return 50;
+            const z = Math.min(Math.max((value - mean) / deviation, -clip), clip);
+            return 50 + z * 50 / clip;
+          };
+        }
+        
+        case 'log': {
+          // Shift so the minimum is 0; works for negative scales like NPS
+          const top = Math.log1p(range);
+          return value => (top ? Math.log1p(value - min) / top * 100 : 50);
+        }
+        
+        default:
+          return value => value;
+      }
+    },
+
+    /**
+     * Turn sheet rows into doctor records
+     * @param {Array} rawData - Rows including the header row
+     * @param {Object} [columnMap] - Column map, detected when omitted
+     * @param {Object} [sheet] - Provenance: { name, qualifyIds } where
+     *   qualifyIds prefixes ids with the sheet name for merged workbooks
+     * @returns {Array} Doctors
+     */
+    processRawData(rawData, columnMap = null, sheet = {}, report = null) {
       try {
         utils.log('Processando dados brutos...');
         
@@ -199,21 +1057,50 @@ const ExcelLoader = (function() {
         
         const headers = rawData[0];
         const dataRows = rawData.slice(1);
+        const map = columnMap || this.identifyColumns(headers);
         
         utils.log(`Headers encontrados: ${headers.join(', ')}`);
         
+        if (map.name === null || map.name === undefined) {
+          throw new Error('Coluna de nome não identificada');
+        }
+        
+        // Unmapped score columns are reported once instead of on every row
+        if (report) {
+          ['volume', 'affinity'].forEach(field => {
+            if (map[field] === null || map[field] === undefined) {
+              validator.addIssue(report, {
+                row: null,
+                sheet: sheet.name || null,
+                field,
+                type: 'unmapped-column',
+                message: 'Coluna não mapeada: nenhuma linha tem este valor'
+              });
+            }
+          });
+        }
+        
         const processedDoctors = [];
         let validRowCount = 0;
         
         dataRows.forEach((row, index) => {
+          const rowNumber = index + 2; // +2 because header is row 1, and index starts at 0
+          const onIssue = report ?
+            issue => validator.addIssue(report, { row: rowNumber, sheet: sheet.name || null, ...issue }) :
+            () => {};
+          
           try {
-            const doctor = this.processRow(row, headers, index + 2); // +2 because header is row 1, and index starts at 0
+            const doctor = this.processRow(row, headers, rowNumber, map, onIssue);
             if (doctor) {
+              if (sheet.name) {
+                doctor.sheet = sheet.name;
+                if (sheet.qualifyIds) doctor.id = `${sheet.name}!${doctor.originalRow}`;
+              }
               processedDoctors.push(doctor);
               validRowCount++;
             }
           } catch (error) {
-            utils.log(`Erro na linha ${index + 2}: ${error.message}`, 'warn');
+            utils.log(`Erro na linha ${rowNumber}: ${error.message}`, 'warn');
           }
         });
         
@@ -226,93 +1113,2046 @@ const ExcelLoader = (function() {
       }
     },
 
-    processRow(row, headers, rowNumber) {
-      // Try to identify columns by common names
-      const columnMap = this.identifyColumns(headers);
-      
-      if (!columnMap.name) {
-        utils.log(`Linha ${rowNumber}: Coluna de nome não identificada`, 'warn');
-        return null;
-      }
-      
-      const name = row[columnMap.name];
-      if (!name || utils.normalizeString(name).length === 0) {
+    /**
+     * Read one row. Scores that are missing or not numeric stay NaN and are
+     * reported through `onIssue`; validator.finalize excludes or imputes them
+     * and classifies the doctor afterwards.
+     * @returns {Object|null} Doctor, or null for rows without a name
+     */
+    processRow(row, headers, rowNumber, columnMap = this.identifyColumns(headers), onIssue = () => {}) {
+      const name = this.cell(row, columnMap.name);
+      if (utils.normalizeString(name).length === 0) {
+        if (row.some(value => utils.normalizeString(value))) {
+          onIssue({ field: 'name', type: 'missing-name', message: 'Linha sem nome de médico' });
+        }
         return null; // Skip empty names
       }
       
-      // Extract values with fallbacks
-      const specialty = row[columnMap.specialty] || '';
-      const volume = row[columnMap.volume] || Math.random() * 100; // Fallback to random if not found
-      const affinity = row[columnMap.affinity] || Math.random() * 100; // Fallback to random if not found
-      
-      // Process values
-      const processedSpecialty = utils.parseSpecialty(specialty);
-      const processedVolume = parseFloat(volume) || Math.random() * 100;
-      const processedAffinity = parseFloat(affinity) || Math.random() * 100;
-      const segment = utils.parseSegment(processedVolume, processedAffinity);
-      const priority = utils.parsePriority(processedVolume, processedAffinity, segment);
+      const specialty = this.cell(row, columnMap.specialty);
+      const hasSpecialtyColumn = columnMap.specialty !== null && columnMap.specialty !== undefined;
+      if (hasSpecialtyColumn && utils.normalizeString(specialty).length === 0) {
+        onIssue({ field: 'specialty', type: 'missing-specialty', message: 'Especialidade vazia' });
+      }
       
-      return {
+      const specialtyMatch = taxonomy.classify(specialty);
+      const crm = utils.parseCRM(this.cell(row, columnMap.crm));
+      const doctor = {
         id: rowNumber,
         name: name.toString().trim(),
-        specialty: processedSpecialty,
-        segment: segment,
-        volume: Math.round(processedVolume),
-        affinity: Math.round(processedAffinity),
-        priority: priority,
+        specialty: specialtyMatch.specialty,
+        subspecialty: specialtyMatch.subspecialty,
+        specialtyRaw: String(specialty).trim(),
+        crm: crm.number,
+        uf: utils.parseUF(this.cell(row, columnMap.uf)) || crm.uf,
+        volume: this.parseScore(row, columnMap.volume, 'volume', onIssue),
+        affinity: this.parseScore(row, columnMap.affinity, 'affinity', onIssue),
+        revenue: this.parseRevenue(row, columnMap.revenue),
         originalRow: rowNumber
       };
-    },
 
-    identifyColumns(headers) {
-      const columnMap = {
-        name: null,
-        specialty: null,
-        volume: null,
-        affinity: null
-      };
-      
-      headers.forEach((header, index) => {
-        const normalizedHeader = utils.normalizeString(header);
-        
-        // Name column patterns
-        if (normalizedHeader.includes('nome') || 
-            normalizedHeader.includes('medico') || 
-            normalizedHeader.includes('doutor') || 
-            normalizedHeader.includes('profissional')) {
-          columnMap.name = index;
-        }
-        
-        // Specialty column patterns
-        if (normalizedHeader.includes('especialidade') || 
-            normalizedHeader.includes('area') || 
-            normalizedHeader.includes('especialização')) {
-          columnMap.specialty = index;
-        }
-        
-        // Volume column patterns
-        if (normalizedHeader.includes('volume') || 
-            normalizedHeader.includes('consultas') || 
-            normalizedHeader.includes('atendimentos')) {
-          columnMap.volume = index;
-        }
-        
-        // Affinity column patterns
-        if (normalizedHeader.includes('afinidade') || 
-            normalizedHeader.includes('relacionamento') || 
-            normalizedHeader.includes('engajamento')) {
-          columnMap.affinity = index;
-        }
+      this.textFields.forEach(key => {
+        doctor[key] = String(this.cell(row, columnMap[key])).trim();
       });
+      if (doctor.email) doctor.email = doctor.email.toLowerCase();
+
+      // Columns that are not doctor fields are kept under their header
+      if (columnMap.extras && columnMap.extras.length > 0) {
+        doctor.extra = {};
+        columnMap.extras.forEach(index => {
+          doctor.extra[String(headers[index]).trim()] = this.cell(row, index);
+        });
+      }
       
-      utils.log(`Mapeamento de colunas: ${JSON.stringify(columnMap)}`);
-      return columnMap;
-    }
-  };
+      return doctor;
+    },
+
+    // Numeric score or NaN; unmapped columns are reported per sheet, not here
+    parseScore(row, index, field, onIssue) {
+      if (index === null || index === undefined) return NaN;
+      
+      const value = this.cell(row, index);
+      if (utils.normalizeString(value).length === 0) {
+        onIssue({ field, type: 'missing-score', message: 'Valor ausente' });
+        return NaN;
+      }
+      
+      const number = utils.parseNumber(value);
+      if (Number.isNaN(number)) {
+        onIssue({ field, type: 'invalid-number', message: 'Valor não numérico', value: String(value) });
+      }
+      return number;
+    },
+
+    // Optional revenue column; null when empty or not a number
+    parseRevenue(row, index) {
+      const value = utils.parseNumber(this.cell(row, index));
+      return Number.isFinite(value) ? value : null;
+    },
+
+    cell(row, index) {
+      if (index === null || index === undefined) return '';
+      const value = row[index];
+      return value === null || value === undefined ? '' : value;
+    },
+
+    /**
+     * Score every header against every known field
+     * @param {Array} headers - Header row
+     * @returns {{columnMap: Object, candidates: Object, ambiguous: Array, missing: Array}}
+     */
+    analyzeColumns(headers) {
+      const columnMap = { extras: [] };
+      const candidates = {};
+      const ambiguous = [];
+      const missing = [];
+      const used = new Set();
+      
+      this.columnFields.forEach(field => {
+        const scored = [];
+        
+        headers.forEach((header, index) => {
+          const score = this.scoreHeader(utils.foldString(header), field);
+          if (score > 0) scored.push({ index, score });
+        });
+        
+        scored.sort((a, b) => b.score - a.score || a.index - b.index);
+        candidates[field.key] = scored;
+        
+        const available = scored.filter(candidate => !used.has(candidate.index));
+        const best = available[0];
+        
+        if (!best) {
+          columnMap[field.key] = null;
+          if (!field.optional) missing.push(field.key);
+          return;
+        }
+        
+        columnMap[field.key] = best.index;
+        used.add(best.index);
+        
+        const tied = available.length > 1 && available[1].score === best.score;
+        if (!field.optional && (tied || best.score < 1)) {
+          ambiguous.push(field.key);
+        }
+      });
+      
+      // Every other named column is kept as an extra field
+      headers.forEach((header, index) => {
+        if (!used.has(index) && utils.normalizeString(header)) columnMap.extras.push(index);
+      });
+      
+      utils.log(`Mapeamento de colunas: ${JSON.stringify(columnMap)}`);
+      if (ambiguous.length) utils.log(`Colunas ambíguas: ${ambiguous.join(', ')}`, 'warn');
+      if (missing.length) utils.log(`Colunas não encontradas: ${missing.join(', ')}`, 'warn');
+      
+      return { columnMap, candidates, ambiguous, missing };
+    },
+
+    // 3 = exact, 2 = prefix, 1 = substring, 0.5 = weak, 0 = no match
+    scoreHeader(header, field) {
+      if (!header) return 0;
+      if (field.exclude.some(term => header.includes(term))) return 0;
+      
+      let score = 0;
+      field.patterns.forEach(pattern => {
+        if (header === pattern) score = Math.max(score, 3);
+        else if (header.startsWith(pattern)) score = Math.max(score, 2);
+        else if (header.includes(pattern)) score = Math.max(score, 1);
+      });
+      
+      if (score === 0 && field.weak.some(pattern => header.includes(pattern))) {
+        score = 0.5;
+      }
+      
+      return score;
+    },
+
+    identifyColumns(headers) {
+      return this.analyzeColumns(headers).columnMap;
+    }
+  };
+
+  // Column mapping resolution and persistence per header signature
+  const columnMapper = {
+    storageKey: 'columnMappings',
+
+    signature(headers) {
+      return headers.map(header => utils.foldString(header)).join('|');
+    },
+
+    getSaved(headers) {
+      if (typeof MecobeStorage === 'undefined') return null;
+
+      const saved = MecobeStorage.local.get(this.storageKey, {});
+      const mapping = saved[this.signature(headers)];
+      return mapping && this.isValid(mapping, headers) ? mapping : null;
+    },
+
+    save(headers, mapping) {
+      if (typeof MecobeStorage === 'undefined') return;
+
+      const saved = MecobeStorage.local.get(this.storageKey, {});
+      saved[this.signature(headers)] = mapping;
+      MecobeStorage.local.set(this.storageKey, saved);
+      utils.log('Mapeamento de colunas salvo para este layout de planilha');
+    },
+
+    remove(headers) {
+      if (typeof MecobeStorage === 'undefined') return;
+
+      const saved = MecobeStorage.local.get(this.storageKey, {});
+      delete saved[this.signature(headers)];
+      MecobeStorage.local.set(this.storageKey, saved);
+    },
+
+    isValid(mapping, headers) {
+      const inRange = index => index === null || (Number.isInteger(index) && index >= 0 && index < headers.length);
+      return dataProcessor.columnFields.every(field => inRange(mapping[field.key] === undefined ? null : mapping[field.key])) &&
+        mapping.name !== null && mapping.name !== undefined &&
+        (mapping.extras || []).every(inRange);
+    },
+
+    /**
+     * Pick the column map for a sheet: saved mapping, automatic detection,
+     * or the `onMappingRequired` hook when detection is missing/ambiguous.
+     * @param {Array} rawData - Sheet rows including the header row
+     * @param {Object} options - Load options
+     * @returns {Promise<Object>} Column map
+     */
+    async resolve(rawData, options = {}) {
+      if (!rawData || rawData.length < 2) {
+        throw new Error('Dados insuficientes na planilha');
+      }
+
+      const headers = rawData[0];
+      const saved = this.getSaved(headers);
+
+      if (saved && !options.forceMapping) {
+        utils.log('Usando mapeamento de colunas salvo');
+        return saved;
+      }
+
+      const analysis = dataProcessor.analyzeColumns(headers);
+      const needsReview = options.forceMapping || analysis.ambiguous.length > 0 || analysis.missing.length > 0;
+
+      if (!needsReview || typeof options.onMappingRequired !== 'function') {
+        return analysis.columnMap;
+      }
+
+      const result = await options.onMappingRequired({
+        headers,
+        previewRows: rawData.slice(1, 6),
+        suggested: saved || analysis.columnMap,
+        candidates: analysis.candidates,
+        ambiguous: analysis.ambiguous,
+        missing: analysis.missing,
+        fields: dataProcessor.columnFields
+      });
+
+      if (!result) {
+        const error = new Error('Mapeamento de colunas cancelado');
+        error.cancelled = true;
+        throw error;
+      }
+
+      if (result.remember) {
+        this.save(headers, result.columnMap);
+      }
+
+      return result.columnMap;
+    }
+  };
+
+  // Settings saved per dataset (keyed by file name) in localStorage
+  const datasetSettings = {
+    currentKey: null,
+
+    use(datasetKey) {
+      this.currentKey = datasetKey || null;
+    },
+
+    read(storageKey) {
+      if (!this.currentKey || typeof MecobeStorage === 'undefined') return null;
+      return MecobeStorage.local.get(storageKey, {})[this.currentKey] || null;
+    },
+
+    write(storageKey, value) {
+      if (!this.currentKey || typeof MecobeStorage === 'undefined') return;
+      const saved = MecobeStorage.local.get(storageKey, {});
+      saved[this.currentKey] = value;
+      MecobeStorage.local.set(storageKey, saved);
+    }
+  };
+
+  // Normalization mode of each score column, saved per dataset
+  const normalization = {
+    modes: ['none', 'minmax', 'percentile', 'zscore', 'log'],
+    axes: ['volume', 'affinity'],
+    storageKey: 'scoreNormalization',
+    settings: null,
+
+    sanitize(settings = {}) {
+      const sanitized = {};
+      this.axes.forEach(axis => {
+        sanitized[axis] = this.modes.includes(settings[axis]) ? settings[axis] : CONFIG.normalization[axis];
+      });
+      return sanitized;
+    },
+
+    load() {
+      this.settings = this.sanitize(datasetSettings.read(this.storageKey) || {});
+    },
+
+    getSettings() {
+      return this.sanitize(this.settings || {});
+    },
+
+    setSettings(settings) {
+      this.settings = this.sanitize(settings);
+      datasetSettings.write(this.storageKey, this.settings);
+    },
+
+    /**
+     * Rescale the doctors' scores from their raw values
+     * @param {Array} doctors - Doctors to update in place
+     * @param {Object} [settings] - New modes { volume, affinity }, saved for the current dataset
+     */
+    apply(doctors, settings = null) {
+      if (settings) this.setSettings(settings);
+      dataProcessor.normalizeScores(doctors, this.getSettings());
+    }
+  };
+
+  // Segmentation thresholds: fixed or derived from the data, saved per dataset
+  const segmentation = {
+    modes: ['fixed', 'median', 'mean', 'percentile'],
+    axes: ['volume', 'affinity'],
+    storageKey: 'segmentationThresholds',
+    settings: null,
+    cutoffs: { volume: CONFIG.thresholds.volume.value, affinity: CONFIG.thresholds.affinity.value },
+
+    // Fill gaps and drop invalid values so stored settings can't break segmentation
+    normalize(settings = {}) {
+      const normalized = {};
+      this.axes.forEach(axis => {
+        const defaults = CONFIG.thresholds[axis];
+        const given = settings[axis] || {};
+        const number = (value, fallback) => (value === '' || value === null || !Number.isFinite(Number(value)) ? fallback : Number(value));
+        normalized[axis] = {
+          mode: this.modes.includes(given.mode) ? given.mode : defaults.mode,
+          value: number(given.value, defaults.value),
+          percentile: Math.min(Math.max(number(given.percentile, defaults.percentile), 0), 100)
+        };
+      });
+      return normalized;
+    },
+
+    // Restore the thresholds saved for the current dataset
+    load() {
+      this.settings = this.normalize(datasetSettings.read(this.storageKey) || {});
+    },
+
+    getSettings() {
+      return this.normalize(this.settings || {});
+    },
+
+    setSettings(settings) {
+      this.settings = this.normalize(settings);
+      datasetSettings.write(this.storageKey, this.settings);
+    },
+
+    /**
+     * Turn the settings into numeric cutoffs for a set of doctors
+     * @param {Array} doctors - Doctors with numeric volume/affinity
+     * @param {Object} [settings] - Thresholds, the current ones by default
+     * @returns {{volume: number, affinity: number}}
+     */
+    resolve(doctors, settings = this.getSettings()) {
+      const cutoffs = {};
+      this.axes.forEach(axis => {
+        const { mode, value, percentile } = settings[axis];
+        const values = doctors.map(doctor => doctor[axis]).filter(Number.isFinite);
+        let cutoff = value;
+        
+        if (mode !== 'fixed' && values.length > 0) {
+          cutoff = mode === 'mean' ?
+            values.reduce((sum, current) => sum + current, 0) / values.length :
+            utils.percentile(values, mode === 'median' ? 50 : percentile);
+        }
+        cutoffs[axis] = Math.round(cutoff * 10) / 10;
+      });
+      return cutoffs;
+    },
+
+    /**
+     * Recompute segment and priority in place
+     * @param {Array} doctors - Doctors to classify
+     * @param {Object} [settings] - New thresholds, saved for the current dataset
+     * @returns {{volume: number, affinity: number}} Cutoffs used
+     */
+    apply(doctors, settings = null) {
+      if (settings) this.setSettings(settings);
+      
+      this.cutoffs = this.resolve(doctors);
+      doctors.forEach(doctor => {
+        doctor.segment = utils.parseSegment(doctor.volume, doctor.affinity, this.cutoffs);
+        doctor.priority = utils.parsePriority(doctor.volume, doctor.affinity, doctor.segment, doctor);
+      });
+      
+      utils.log(`Cortes de segmentação: volume ${this.cutoffs.volume}, afinidade ${this.cutoffs.affinity}`);
+      return { ...this.cutoffs };
+    }
+  };
+
+  /**
+   * Priority rule engine. A rule set is plain JSON:
+   *   { priorities: [{ key, label }], rules: [{ priority, when }], default }
+   * Rules are checked in order and the first whose `when` matches wins.
+   * `when` maps doctor fields (segment, volume, affinity, specialty, sheet...)
+   * to a condition, and `extra` maps extra column names to conditions.
+   * A condition is a value, a list of values (any of them), or numeric
+   * bounds { gt, gte, lt, lte }. Text is compared without case or accents.
+   */
+  const priorityRules = {
+    storageKey: 'priorityRules',
+    numericOperators: ['gt', 'gte', 'lt', 'lte'],
+    ruleSet: null,
+
+    defaults() {
+      return JSON.parse(JSON.stringify(CONFIG.priorityRules));
+    },
+
+    get() {
+      if (!this.ruleSet) {
+        const saved = typeof MecobeStorage !== 'undefined' ? MecobeStorage.local.get(this.storageKey) : null;
+        this.ruleSet = saved && this.validate(saved).length === 0 ? saved : this.defaults();
+      }
+      return JSON.parse(JSON.stringify(this.ruleSet));
+    },
+
+    /**
+     * Replace the active rule set
+     * @param {Object|null} ruleSet - New rule set, or null to restore the defaults
+     */
+    set(ruleSet) {
+      if (ruleSet === null) {
+        this.ruleSet = this.defaults();
+        if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.remove(this.storageKey);
+        return;
+      }
+      
+      const errors = this.validate(ruleSet);
+      if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+      }
+      
+      this.ruleSet = JSON.parse(JSON.stringify(ruleSet));
+      if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.set(this.storageKey, this.ruleSet);
+    },
+
+    /**
+     * Check a rule set
+     * @param {Object} ruleSet - Rule set to check
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validate(ruleSet) {
+      const errors = [];
+      const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+      
+      if (!isObject(ruleSet)) return ['O conjunto de regras deve ser um objeto JSON.'];
+      
+      const priorities = Array.isArray(ruleSet.priorities) ? ruleSet.priorities : [];
+      if (priorities.length === 0) {
+        errors.push('Defina ao menos uma prioridade em "priorities".');
+      }
+      
+      const keys = [];
+      priorities.forEach((priority, index) => {
+        if (!isObject(priority) || typeof priority.key !== 'string' || !priority.key.trim()) {
+          errors.push(`Prioridade ${index + 1}: informe "key".`);
+        } else if (keys.includes(priority.key)) {
+          errors.push(`Prioridade "${priority.key}" repetida.`);
+        } else {
+          keys.push(priority.key);
+        }
+        if (isObject(priority) && priority.opportunity !== undefined && typeof priority.opportunity !== 'boolean') {
+          errors.push(`Prioridade ${index + 1}: "opportunity" deve ser true ou false.`);
+        }
+      });
+      
+      if (!keys.includes(ruleSet.default)) {
+        errors.push('"default" deve ser uma das prioridades definidas.');
+      }
+      
+      if (!Array.isArray(ruleSet.rules)) {
+        errors.push('"rules" deve ser uma lista.');
+        return errors;
+      }
+      
+      ruleSet.rules.forEach((rule, index) => {
+        const label = `Regra ${index + 1}`;
+        if (!isObject(rule)) {
+          errors.push(`${label}: deve ser um objeto.`);
+          return;
+        }
+        if (!keys.includes(rule.priority)) {
+          errors.push(`${label}: prioridade "${rule.priority}" não definida.`);
+        }
+        if (rule.when !== undefined && !isObject(rule.when)) {
+          errors.push(`${label}: "when" deve ser um objeto.`);
+          return;
+        }
+        
+        const when = rule.when || {};
+        Object.keys(when).forEach(field => {
+          if (field === 'extra') {
+            if (!isObject(when.extra)) {
+              errors.push(`${label}: "extra" deve mapear nomes de coluna para condições.`);
+              return;
+            }
+            Object.keys(when.extra).forEach(column => this.validateCondition(when.extra[column], `${label}, extra "${column}"`, errors));
+          } else {
+            this.validateCondition(when[field], `${label}, "${field}"`, errors);
+          }
+        });
+      });
+      
+      return errors;
+    },
+
+    /**
+     * Priorities counted as opportunities: the ones flagged `opportunity`,
+     * or those of the default rule set when no priority has the flag (rule
+     * sets saved before it existed)
+     * @param {Object} [ruleSet] - Rule set, the active one by default
+     * @returns {Array<string>} Priority keys
+     */
+    opportunityKeys(ruleSet = this.get()) {
+      const flagged = ruleSet.priorities.some(priority => priority.opportunity !== undefined);
+      const source = flagged ? ruleSet.priorities : this.defaults().priorities;
+      return source.filter(priority => priority.opportunity).map(priority => priority.key);
+    },
+
+    validateCondition(condition, label, errors) {
+      if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) return;
+      
+      const operators = Object.keys(condition);
+      if (operators.length === 0) {
+        errors.push(`${label}: condição vazia.`);
+      }
+      operators.forEach(operator => {
+        if (!this.numericOperators.includes(operator)) {
+          errors.push(`${label}: operador "${operator}" desconhecido (use gt, gte, lt ou lte).`);
+        } else if (!Number.isFinite(condition[operator])) {
+          errors.push(`${label}: "${operator}" deve ser um número.`);
+        }
+      });
+    },
+
+    matchesCondition(value, condition) {
+      if (Array.isArray(condition)) {
+        return condition.some(option => this.matchesCondition(value, option));
+      }
+      
+      if (condition !== null && typeof condition === 'object') {
+        const number = utils.parseNumber(value);
+        if (Number.isNaN(number)) return false;
+        return (condition.gt === undefined || number > condition.gt) &&
+          (condition.gte === undefined || number >= condition.gte) &&
+          (condition.lt === undefined || number < condition.lt) &&
+          (condition.lte === undefined || number <= condition.lte);
+      }
+      
+      if (typeof condition === 'number') {
+        return utils.parseNumber(value) === condition;
+      }
+      
+      return utils.foldString(value) === utils.foldString(condition);
+    },
+
+    matches(doctor, rule) {
+      const when = rule.when || {};
+      return Object.keys(when).every(field => {
+        if (field === 'extra') {
+          const extra = doctor.extra || {};
+          return Object.keys(when.extra).every(column => this.matchesCondition(extra[column], when.extra[column]));
+        }
+        return this.matchesCondition(doctor[field], when[field]);
+      });
+    },
+
+    // Index of the first matching rule, or -1 for the default priority
+    findRule(doctor, ruleSet) {
+      return ruleSet.rules.findIndex(rule => this.matches(doctor, rule));
+    },
+
+    evaluate(doctor, ruleSet = this.ruleSet || this.get()) {
+      const index = this.findRule(doctor, ruleSet);
+      return index === -1 ? ruleSet.default : ruleSet.rules[index].priority;
+    },
+
+    /**
+     * Count how many doctors each rule captures, without changing them
+     * @param {Array} doctors - Doctors with segment, volume and affinity
+     * @param {Object} [ruleSet] - Rule set to try, the active one by default
+     * @returns {{rules: Array<number>, unmatched: number, byPriority: Object}}
+     */
+    preview(doctors, ruleSet = this.get()) {
+      const result = { rules: ruleSet.rules.map(() => 0), unmatched: 0, byPriority: {} };
+      ruleSet.priorities.forEach(priority => {
+        result.byPriority[priority.key] = 0;
+      });
+      
+      doctors.forEach(doctor => {
+        const index = this.findRule(doctor, ruleSet);
+        if (index === -1) {
+          result.unmatched++;
+          result.byPriority[ruleSet.default]++;
+        } else {
+          result.rules[index]++;
+          result.byPriority[ruleSet.rules[index].priority]++;
+        }
+      });
+      
+      return result;
+    },
+
+    // Recompute priority in place with the active rule set
+    apply(doctors) {
+      const ruleSet = this.get();
+      doctors.forEach(doctor => {
+        doctor.priority = this.evaluate(doctor, ruleSet);
+      });
+    }
+  };
+
+  /**
+   * Potential revenue of a doctor: a base value times the conversion rate of
+   * the segment. The base is the sheet volume times the ticket of the
+   * specialty ('ticket') or the revenue column of the sheet ('column').
+   */
+  const revenueModel = {
+    storageKey: 'revenueModel',
+    sources: ['ticket', 'column'],
+    model: null,
+
+    defaults() {
+      return JSON.parse(JSON.stringify(CONFIG.revenueModel));
+    },
+
+    get() {
+      if (!this.model) {
+        const saved = typeof MecobeStorage !== 'undefined' ? MecobeStorage.local.get(this.storageKey) : null;
+        this.model = saved && this.validate(saved).length === 0 ? saved : this.defaults();
+      }
+      return JSON.parse(JSON.stringify(this.model));
+    },
+
+    /**
+     * Replace the active model
+     * @param {Object|null} model - New model, or null to restore the defaults
+     */
+    set(model) {
+      if (model === null) {
+        this.model = this.defaults();
+        if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.remove(this.storageKey);
+        return;
+      }
+      
+      const errors = this.validate(model);
+      if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+      }
+      
+      this.model = JSON.parse(JSON.stringify(model));
+      if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.set(this.storageKey, this.model);
+    },
+
+    /**
+     * Check a model
+     * @param {Object} model - Model to check
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validate(model) {
+      const errors = [];
+      if (!model || typeof model !== 'object') {
+        return ['O modelo de receita deve ser um objeto.'];
+      }
+      
+      if (!this.sources.includes(model.source)) {
+        errors.push(`"source" deve ser ${this.sources.join(' ou ')}.`);
+      }
+      
+      const ticket = model.ticket || {};
+      if (!Number.isFinite(ticket.default) || ticket.default < 0) {
+        errors.push('O ticket padrão deve ser um número maior ou igual a zero.');
+      }
+      Object.entries(ticket.specialties || {}).forEach(([key, value]) => {
+        if (!Number.isFinite(value) || value < 0) {
+          errors.push(`Ticket de "${key}" deve ser um número maior ou igual a zero.`);
+        }
+      });
+      
+      snapshots.segments.forEach(segment => {
+        const rate = (model.conversion || {})[segment];
+        if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+          errors.push(`Conversão de "${segment}" deve estar entre 0 e 1 (0% a 100%).`);
+        }
+      });
+      
+      return errors;
+    },
+
+    // Ticket of the subspecialty, then of the specialty, then the default one
+    ticketFor(doctor, model) {
+      const tickets = model.ticket.specialties || {};
+      if (doctor.subspecialty && Number.isFinite(tickets[doctor.subspecialty])) return tickets[doctor.subspecialty];
+      if (Number.isFinite(tickets[doctor.specialty])) return tickets[doctor.specialty];
+      return model.ticket.default;
+    },
+
+    // Revenue base before conversion; NaN when the doctor has none
+    base(doctor, model) {
+      if (model.source === 'column') {
+        return Number.isFinite(doctor.revenue) ? doctor.revenue : NaN;
+      }
+      const volume = doctor.raw && Number.isFinite(doctor.raw.volume) ? doctor.raw.volume : doctor.volume;
+      return Number.isFinite(volume) ? volume * this.ticketFor(doctor, model) : NaN;
+    },
+
+    estimate(doctor, model = this.get()) {
+      const base = this.base(doctor, model);
+      const rate = model.conversion[doctor.segment];
+      return Number.isFinite(base) && Number.isFinite(rate) ? base * rate : NaN;
+    },
+
+    /**
+     * Potential revenue of a list of doctors
+     * @param {Array} doctors - Doctors to add up
+     * @param {Object} [model] - Model to use, the active one by default
+     * @returns {{total: number, counted: number, bySegment: Object, bySpecialty: Object}}
+     *   `counted` doctors had a revenue base; the others add nothing
+     */
+    summarize(doctors, model = this.get()) {
+      const result = { source: model.source, total: 0, counted: 0, bySegment: {}, bySpecialty: {} };
+      snapshots.segments.forEach(segment => {
+        result.bySegment[segment] = 0;
+      });
+      
+      doctors.forEach(doctor => {
+        const value = this.estimate(doctor, model);
+        if (!Number.isFinite(value)) return;
+        
+        result.total += value;
+        result.counted++;
+        result.bySegment[doctor.segment] = (result.bySegment[doctor.segment] || 0) + value;
+        result.bySpecialty[doctor.specialty] = (result.bySpecialty[doctor.specialty] || 0) + value;
+      });
+      
+      return result;
+    }
+  };
+
+  /**
+   * Reps and the doctors assigned to them, kept in localStorage. Doctors are
+   * keyed by CRM and UF when they have a CRM and by normalized name and
+   * specialty otherwise, so the assignments survive reloads, re-sorted
+   * sheets and new periods of the same base.
+   */
+  const territory = {
+    storageKey: 'territory',
+    state: null, // { reps: [{ id, name, capacity, territory }], assignments: { doctorKey: repId } }
+
+    load() {
+      if (!this.state) {
+        const saved = typeof MecobeStorage !== 'undefined' ? MecobeStorage.local.get(this.storageKey) : null;
+        const valid = saved && this.validateReps(saved.reps).length === 0 &&
+          saved.assignments && typeof saved.assignments === 'object';
+        this.state = valid ? saved : { reps: [], assignments: {} };
+        
+        // Older versions keyed doctors without a CRM by row, which may now hold someone else
+        Object.keys(this.state.assignments)
+          .filter(key => key.startsWith('id:'))
+          .forEach(key => delete this.state.assignments[key]);
+      }
+      return this.state;
+    },
+
+    save() {
+      if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.set(this.storageKey, this.state);
+    },
+
+    getReps() {
+      return JSON.parse(JSON.stringify(this.load().reps));
+    },
+
+    /**
+     * Replace the rep list. Reps without an id are new ones; assignments to
+     * reps left out of the list are dropped.
+     * @param {Array<{id?: string, name: string, capacity: number, territory?: string}>} reps
+     */
+    setReps(reps) {
+      const errors = this.validateReps(reps);
+      if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+      }
+      
+      const state = this.load();
+      const stamp = Date.now().toString(36);
+      state.reps = reps.map((rep, index) => ({
+        id: rep.id || `rep-${stamp}-${index}`,
+        name: rep.name.trim(),
+        capacity: rep.capacity,
+        territory: (rep.territory || '').trim()
+      }));
+      
+      const ids = new Set(state.reps.map(rep => rep.id));
+      Object.keys(state.assignments).forEach(key => {
+        if (!ids.has(state.assignments[key])) delete state.assignments[key];
+      });
+      this.save();
+    },
+
+    /**
+     * Check a rep list
+     * @param {Array} reps - Reps to check
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validateReps(reps) {
+      if (!Array.isArray(reps)) {
+        return ['A lista de representantes deve ser um array.'];
+      }
+      
+      const errors = [];
+      const names = new Set();
+      reps.forEach((rep, index) => {
+        const name = rep && typeof rep.name === 'string' ? rep.name.trim() : '';
+        if (!name) {
+          errors.push(`Representante ${index + 1}: informe o nome.`);
+          return;
+        }
+        if (names.has(utils.foldString(name))) {
+          errors.push(`Representante "${name}" aparece mais de uma vez.`);
+        }
+        names.add(utils.foldString(name));
+        if (!Number.isFinite(rep.capacity) || rep.capacity <= 0) {
+          errors.push(`Capacidade de "${name}" deve ser um número maior que zero.`);
+        }
+      });
+      
+      return errors;
+    },
+
+    // Never the row id: it points at another doctor once the sheet changes
+    keyOf(doctor) {
+      return doctor.crm ?
+        `crm:${doctor.crm}/${doctor.uf || ''}` :
+        `nome:${duplicates.nameKey(doctor.name)}/${doctor.specialty || ''}`;
+    },
+
+    repOf(doctor) {
+      const state = this.load();
+      const repId = state.assignments[this.keyOf(doctor)];
+      return state.reps.find(rep => rep.id === repId) || null;
+    },
+
+    // Set `assignedRep` (rep name, '' when unassigned) on each doctor
+    apply(doctors) {
+      const state = this.load();
+      const names = new Map(state.reps.map(rep => [rep.id, rep.name]));
+      doctors.forEach(doctor => {
+        doctor.assignedRep = names.get(state.assignments[this.keyOf(doctor)]) || '';
+      });
+    },
+
+    /**
+     * Assign doctors to a rep
+     * @param {Array} doctors - Doctors to assign
+     * @param {string|null} repId - Rep id, or null to leave them unassigned
+     */
+    assign(doctors, repId) {
+      const state = this.load();
+      if (repId !== null && !state.reps.some(rep => rep.id === repId)) {
+        throw new Error(`Representante desconhecido: ${repId}`);
+      }
+      
+      doctors.forEach(doctor => {
+        const key = this.keyOf(doctor);
+        if (repId === null) delete state.assignments[key];
+        else state.assignments[key] = repId;
+      });
+      this.save();
+      this.apply(doctors);
+    },
+
+    // Territory is a list of UFs and cities ("SP, RJ; Campinas"); empty covers everything
+    covers(rep, doctor) {
+      const terms = (rep.territory || '').split(/[,;]/).map(term => utils.foldString(term)).filter(Boolean);
+      return terms.length === 0 ||
+        terms.includes(utils.foldString(doctor.uf)) ||
+        terms.includes(utils.foldString(doctor.city));
+    },
+
+    workload(doctor) {
+      const weight = CONFIG.territory.weights[doctor.segment];
+      return Number.isFinite(weight) ? weight : 1;
+    },
+
+    /**
+     * Workload per rep
+     * @param {Array} doctors - Loaded doctors
+     * @returns {{reps: Array<Object>, unassigned: Object}} Each rep with its
+     *   doctor count, count by segment, workload and utilization (workload / capacity)
+     */
+    summarize(doctors) {
+      const state = this.load();
+      const blank = () => ({
+        count: 0,
+        workload: 0,
+        bySegment: Object.fromEntries(snapshots.segments.map(segment => [segment, 0]))
+      });
+      const rows = new Map(state.reps.map(rep => [rep.id, { ...rep, ...blank() }]));
+      const unassigned = blank();
+      
+      doctors.forEach(doctor => {
+        const row = rows.get(state.assignments[this.keyOf(doctor)]) || unassigned;
+        row.count++;
+        row.workload += this.workload(doctor);
+        row.bySegment[doctor.segment] = (row.bySegment[doctor.segment] || 0) + 1;
+      });
+      
+      const reps = [...rows.values()];
+      reps.forEach(row => {
+        row.utilization = row.workload / row.capacity;
+      });
+      return { reps, unassigned };
+    },
+
+    /**
+     * Spread the doctors of some segments over the reps: heaviest doctors
+     * first, each one to the rep covering its UF or city with the lowest
+     * share of capacity in use that still has room for it.
+     * @param {Array} doctors - Loaded doctors
+     * @param {Object} [options]
+     * @param {Array<string>} [options.segments] - Segments to balance
+     * @param {boolean} [options.keepExisting=true] - Keep the current assignments of those segments
+     * @returns {{assigned: number, unassigned: number}} Doctors placed now, and left without a rep
+     */
+    balance(doctors, { segments = CONFIG.territory.balanceSegments, keepExisting = true } = {}) {
+      const state = this.load();
+      if (state.reps.length === 0) {
+        throw new Error('Cadastre ao menos um representante antes de distribuir os médicos.');
+      }
+      
+      const loads = new Map(state.reps.map(rep => [rep.id, 0]));
+      const pool = [];
+      doctors.forEach(doctor => {
+        const key = this.keyOf(doctor);
+        const balanced = segments.includes(doctor.segment);
+        if (balanced && !keepExisting) delete state.assignments[key];
+        
+        const repId = state.assignments[key];
+        if (loads.has(repId)) loads.set(repId, loads.get(repId) + this.workload(doctor));
+        else if (balanced) pool.push(doctor);
+      });
+      
+      pool.sort((a, b) => this.workload(b) - this.workload(a) || b.volume - a.volume);
+      
+      let assigned = 0;
+      pool.forEach(doctor => {
+        const weight = this.workload(doctor);
+        let best = null;
+        state.reps.forEach(rep => {
+          const load = loads.get(rep.id) + weight;
+          if (load > rep.capacity || !this.covers(rep, doctor)) return;
+          if (!best || load / rep.capacity < best.share) best = { rep, share: load / rep.capacity };
+        });
+        if (!best) return;
+        
+        state.assignments[this.keyOf(doctor)] = best.rep.id;
+        loads.set(best.rep.id, loads.get(best.rep.id) + weight);
+        assigned++;
+      });
+      
+      this.save();
+      this.apply(doctors);
+      utils.log(`Distribuição: ${assigned} atribuídos, ${pool.length - assigned} sem representante`);
+      return { assigned, unassigned: pool.length - assigned };
+    }
+  };
+
+  /**
+   * Monthly call plan per rep. Each doctor needs the visits of its segment
+   * (or priority) in the month; the visits are spread over the working days
+   * of the rep, most frequent doctors first, up to the visits per day.
+   */
+  const visitPlan = {
+    storageKey: 'visitPlan',
+    settings: null,
+
+    defaults() {
+      return JSON.parse(JSON.stringify(CONFIG.visitPlan));
+    },
+
+    get() {
+      if (!this.settings) {
+        const saved = typeof MecobeStorage !== 'undefined' ? MecobeStorage.local.get(this.storageKey) : null;
+        this.settings = saved && this.validate(saved).length === 0 ? saved : this.defaults();
+      }
+      return JSON.parse(JSON.stringify(this.settings));
+    },
+
+    /**
+     * Replace the planner settings
+     * @param {Object|null} settings - New settings, or null to restore the defaults
+     */
+    set(settings) {
+      if (settings === null) {
+        this.settings = this.defaults();
+        if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.remove(this.storageKey);
+        return;
+      }
+      
+      const errors = this.validate(settings);
+      if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+      }
+      
+      this.settings = JSON.parse(JSON.stringify(settings));
+      if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.set(this.storageKey, this.settings);
+    },
+
+    /**
+     * Check planner settings
+     * @param {Object} settings - Settings to check
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validate(settings) {
+      if (!settings || typeof settings !== 'object') {
+        return ['As configurações do planejador devem ser um objeto.'];
+      }
+      
+      const errors = [];
+      const frequency = settings.frequency || {};
+      snapshots.segments.forEach(segment => {
+        const value = (frequency.segments || {})[segment];
+        if (!Number.isFinite(value) || value < 0) {
+          errors.push(`Visitas por mês de "${segment}" devem ser um número maior ou igual a zero.`);
+        }
+      });
+      Object.entries(frequency.priorities || {}).forEach(([key, value]) => {
+        if (!Number.isFinite(value) || value < 0) {
+          errors.push(`Visitas por mês da prioridade "${key}" devem ser um número maior ou igual a zero.`);
+        }
+      });
+      
+      const calendar = settings.calendar || {};
+      const days = calendar.workingDays;
+      if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        errors.push('Escolha ao menos um dia útil na semana.');
+      }
+      if (!Number.isInteger(calendar.visitsPerDay) || calendar.visitsPerDay < 1) {
+        errors.push('Visitas por dia deve ser um número inteiro maior que zero.');
+      }
+      if (!Array.isArray(calendar.holidays) || calendar.holidays.some(date => !this.isDate(date))) {
+        errors.push('Feriados devem ser datas no formato AAAA-MM-DD.');
+      }
+      
+      return errors;
+    },
+
+    isDate(value) {
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+      const date = new Date(`${value}T00:00:00Z`);
+      return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    },
+
+    /**
+     * Working days of a month, holidays left out
+     * @param {number} year - Full year
+     * @param {number} month - Month, 1-12
+     * @param {Object} [calendar] - Team calendar, the saved one by default
+     * @returns {Array<string>} Dates as YYYY-MM-DD
+     */
+    workingDays(year, month, calendar = this.get().calendar) {
+      const days = [];
+      const date = new Date(Date.UTC(year, month - 1, 1));
+      while (date.getUTCMonth() === month - 1) {
+        const iso = date.toISOString().slice(0, 10);
+        if (calendar.workingDays.includes(date.getUTCDay()) && !calendar.holidays.includes(iso)) {
+          days.push(iso);
+        }
+        date.setUTCDate(date.getUTCDate() + 1);
+      }
+      return days;
+    },
+
+    // Visits per month of a doctor: the priority frequency when set, else the segment one
+    frequencyOf(doctor, settings) {
+      const byPriority = settings.frequency.priorities[doctor.priority];
+      const value = Number.isFinite(byPriority) ? byPriority : settings.frequency.segments[doctor.segment];
+      return Number.isFinite(value) ? value : 0;
+    },
+
+    /**
+     * Visits a doctor needs in a month. Below one a month the doctor is
+     * visited every round(1 / frequency) months, in a month picked from its
+     * name so doctors of the same segment do not all fall in the same month.
+     */
+    visitsInMonth(doctor, settings, year, month) {
+      const frequency = this.frequencyOf(doctor, settings);
+      if (frequency <= 0) return 0;
+      if (frequency >= 1) return Math.round(frequency);
+      
+      const period = Math.round(1 / frequency);
+      const key = duplicates.nameKey(doctor.name) || String(doctor.id);
+      const offset = Array.from(key).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 9973, 7);
+      return (year * 12 + month - 1 + offset) % period === 0 ? 1 : 0;
+    },
+
+    // Rep of the plan: the assigned one (see territory), else the one of the sheet
+    repOf(doctor) {
+      return doctor.assignedRep || doctor.rep || '';
+    },
+
+    /**
+     * Call plan of a month
+     * @param {Array} doctors - Doctors to visit
+     * @param {number} year - Full year
+     * @param {number} month - Month, 1-12
+     * @param {Object} [settings] - Planner settings, the saved ones by default
+     * @returns {{year: number, month: number, days: Array<string>, reps: Array<Object>}}
+     *   Per rep ('' for doctors without one): capacity, required visits,
+     *   visits ({ date, doctor, number, of }) by date and the doctors left
+     *   with `missing` visits when the days ran out
+     */
+    generate(doctors, year, month, settings = this.get()) {
+      const days = this.workingDays(year, month, settings.calendar);
+      const perDay = settings.calendar.visitsPerDay;
+      
+      const groups = new Map();
+      doctors.forEach(doctor => {
+        const rep = this.repOf(doctor);
+        if (!groups.has(rep)) groups.set(rep, []);
+        groups.get(rep).push(doctor);
+      });
+      const repNames = Array.from(groups.keys()).sort((a, b) => (a === '') - (b === '') || a.localeCompare(b, 'pt-BR'));
+      
+      const reps = repNames.map(rep => {
+        const requests = groups.get(rep)
+          .map(doctor => ({ doctor, count: this.visitsInMonth(doctor, settings, year, month) }))
+          .filter(request => request.count > 0)
+          .sort((a, b) => b.count - a.count || b.doctor.volume - a.doctor.volume);
+        
+        const load = days.map(() => 0);
+        const visits = [];
+        const unscheduled = [];
+        requests.forEach(({ doctor, count }) => {
+          const taken = new Set();
+          for (let number = 0; number < count; number++) {
+            const target = Math.floor((number + 0.5) * days.length / count);
+            const slot = this.nearestFreeDay(load, target, perDay, taken);
+            if (slot < 0) {
+              unscheduled.push({ doctor, missing: count - number });
+              return;
+            }
+            load[slot]++;
+            taken.add(slot);
+            visits.push({ date: days[slot], doctor, number: number + 1, of: count });
+          }
+        });
+        
+        visits.sort((a, b) => a.date.localeCompare(b.date) || a.doctor.name.localeCompare(b.doctor.name, 'pt-BR'));
+        return {
+          rep,
+          capacity: days.length * perDay,
+          required: requests.reduce((sum, request) => sum + request.count, 0),
+          visits,
+          unscheduled
+        };
+      });
+      
+      return { year, month, days, reps };
+    },
+
+    // Day closest to the target with room left that the doctor does not have yet; -1 when none
+    nearestFreeDay(load, target, limit, taken) {
+      for (let distance = 0; distance < load.length; distance++) {
+        for (const index of [target + distance, target - distance]) {
+          if (index >= 0 && index < load.length && load[index] < limit && !taken.has(index)) return index;
+        }
+      }
+      return -1;
+    }
+  };
+
+  /**
+   * Duplicate doctors. Records with the same CRM and UF are the same doctor;
+   * records without a CRM are compared by name (accents, titles and
+   * particles removed) against their nearest neighbours in alphabetical
+   * order, both by first and by last name.
+   */
+  const duplicates = {
+    storageKey: 'mergePolicy',
+    policies: ['max', 'average', 'latest'],
+    ignoredWords: ['dr', 'dra', 'doutor', 'doutora', 'prof', 'profa', 'da', 'de', 'do', 'das', 'dos', 'e'],
+
+    getPolicy() {
+      const stored = typeof MecobeStorage !== 'undefined' ? MecobeStorage.local.get(this.storageKey) : null;
+      return this.policies.includes(stored) ? stored : CONFIG.duplicates.policy;
+    },
+
+    setPolicy(policy) {
+      if (!this.policies.includes(policy)) {
+        throw new Error(`Política de combinação desconhecida: ${policy}`);
+      }
+      if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.set(this.storageKey, policy);
+    },
+
+    // "Dr. João da Silva" -> "joao silva"
+    nameKey(name) {
+      return utils.foldString(name)
+        .replace(/[^\w\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !this.ignoredWords.includes(word))
+        .join(' ');
+    },
+
+    // 1 - Levenshtein distance / length of the longer name
+    similarity(a, b) {
+      if (a === b) return 1;
+      const longest = Math.max(a.length, b.length);
+      if (Math.abs(a.length - b.length) > longest * (1 - CONFIG.duplicates.nameSimilarity)) return 0;
+      
+      let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+      for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+          current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+      }
+      return 1 - previous[b.length] / longest;
+    },
+
+    /**
+     * Group the records that look like the same doctor
+     * @param {Array} doctors - Doctors in load order
+     * @returns {Array<{key: string, reason: string, similarity: number, doctors: Array}>}
+     *   Groups of two or more doctors; `reason` is 'crm' or 'name' and
+     *   `similarity` the lowest name similarity that joined the group
+     */
+    find(doctors) {
+      const parent = doctors.map((_, index) => index);
+      const crmOf = doctors.map(doctor => (doctor.crm ? `${doctor.crm}/${doctor.uf || ''}` : ''));
+      const links = [];
+      const root = index => {
+        while (parent[index] !== index) {
+          parent[index] = parent[parent[index]];
+          index = parent[index];
+        }
+        return index;
+      };
+      const link = (a, b, reason, similarity) => {
+        const rootA = root(a);
+        const rootB = root(b);
+        if (rootA === rootB) return;
+        // A name match never joins two different CRMs
+        if (reason === 'name' && crmOf[rootA] && crmOf[rootB] && crmOf[rootA] !== crmOf[rootB]) return;
+        parent[rootA] = rootB;
+        crmOf[rootB] = crmOf[rootB] || crmOf[rootA];
+        links.push({ index: a, reason, similarity });
+      };
+      
+      const byCrm = new Map();
+      doctors.forEach((doctor, index) => {
+        if (!crmOf[index]) return;
+        if (byCrm.has(crmOf[index])) link(byCrm.get(crmOf[index]), index, 'crm', 1);
+        else byCrm.set(crmOf[index], index);
+      });
+      
+      const keys = doctors.map(doctor => this.nameKey(doctor.name));
+      const compareNeighbours = order => {
+        order.forEach((a, position) => {
+          for (let offset = 1; offset <= CONFIG.duplicates.window && position + offset < order.length; offset++) {
+            const b = order[position + offset];
+            const first = doctors[a];
+            const second = doctors[b];
+            if (first.crm && second.crm) continue; // The CRM already decided
+            if (first.uf && second.uf && first.uf !== second.uf) continue;
+            
+            const similarity = this.similarity(keys[a], keys[b]);
+            if (similarity >= CONFIG.duplicates.nameSimilarity) link(a, b, 'name', similarity);
+          }
+        });
+      };
+      const indexes = doctors.map((_, index) => index);
+      const reversed = keys.map(key => key.split(' ').reverse().join(' '));
+      compareNeighbours(indexes.slice().sort((a, b) => (keys[a] < keys[b] ? -1 : keys[a] > keys[b] ? 1 : a - b)));
+      compareNeighbours(indexes.slice().sort((a, b) => (reversed[a] < reversed[b] ? -1 : reversed[a] > reversed[b] ? 1 : a - b)));
+      
+      const groups = new Map();
+      indexes.forEach(index => {
+        const groupRoot = root(index);
+        if (!groups.has(groupRoot)) groups.set(groupRoot, { reason: 'name', similarity: 1, members: [] });
+        groups.get(groupRoot).members.push(index);
+      });
+      links.forEach(({ index, reason, similarity }) => {
+        const group = groups.get(root(index));
+        if (reason === 'crm') group.reason = 'crm';
+        group.similarity = Math.min(group.similarity, similarity);
+      });
+      
+      return Array.from(groups.values())
+        .filter(group => group.members.length > 1)
+        .map(group => ({
+          key: group.members.map(index => doctors[index].id).join('|'),
+          reason: group.reason,
+          similarity: group.similarity,
+          doctors: group.members.map(index => doctors[index])
+        }));
+    },
+
+    /**
+     * Replace each group by one merged doctor, kept at the position of its
+     * first record
+     * @param {Array} doctors - Doctors in load order
+     * @param {Array} groups - Groups from find() to merge
+     * @param {string} policy - 'max', 'average' or 'latest'
+     * @returns {Array} Doctors
+     */
+    merge(doctors, groups, policy = this.getPolicy()) {
+      const mergedByFirst = new Map();
+      const absorbed = new Set();
+      groups.forEach(group => {
+        mergedByFirst.set(group.doctors[0], this.combine(group.doctors, policy));
+        group.doctors.slice(1).forEach(doctor => absorbed.add(doctor));
+      });
+      
+      return doctors
+        .filter(doctor => !absorbed.has(doctor))
+        .map(doctor => mergedByFirst.get(doctor) || doctor);
+    },
+
+    /**
+     * Merge records of one doctor. Text fields come from the first record
+     * ('latest': the last one), filled in from the others when empty; the
+     * source records are kept in `mergedFrom`.
+     */
+    combine(records, policy) {
+      const base = policy === 'latest' ? records[records.length - 1] : records[0];
+      const others = records.filter(record => record !== base);
+      const doctor = { ...base };
+      
+      ['volume', 'affinity', 'revenue'].forEach(field => {
+        const values = records.map(record => record[field]).filter(Number.isFinite);
+        if (values.length === 0) return;
+        if (policy === 'max') doctor[field] = Math.max(...values);
+        else if (policy === 'average') doctor[field] = values.reduce((sum, value) => sum + value, 0) / values.length;
+        else doctor[field] = values[values.length - 1];
+      });
+      
+      const fallback = taxonomy.get().fallback;
+      const classified = others.find(record => record.specialty !== fallback);
+      if (doctor.specialty === fallback && classified) {
+        doctor.specialty = classified.specialty;
+        doctor.subspecialty = classified.subspecialty;
+        doctor.specialtyRaw = classified.specialtyRaw;
+      }
+      ['crm', 'uf', ...dataProcessor.textFields].forEach(field => {
+        const filled = others.find(record => record[field]);
+        if (!doctor[field] && filled) doctor[field] = filled[field];
+      });
+      
+      if (records.some(record => record.extra)) {
+        doctor.extra = {};
+        [base, ...others].forEach(record => {
+          Object.entries(record.extra || {}).forEach(([column, value]) => {
+            if (doctor.extra[column] === undefined || doctor.extra[column] === '') doctor.extra[column] = value;
+          });
+        });
+      }
+      
+      doctor.mergedFrom = records.map(record => ({
+        id: record.id,
+        name: record.name,
+        sheet: record.sheet,
+        originalRow: record.originalRow,
+        crm: record.crm,
+        uf: record.uf,
+        specialtyRaw: record.specialtyRaw,
+        volume: record.volume,
+        affinity: record.affinity
+      }));
+      return doctor;
+    }
+  };
+
+  // Dated copies of the segmentation, kept in IndexedDB to compare periods
+  const snapshots = {
+    storeName: 'snapshots',
+    segments: ['blindar', 'incentivar', 'avaliar', 'conquistar'],
+
+    isAvailable() {
+      return typeof MecobeStorage !== 'undefined' && MecobeStorage.db.isAvailable();
+    },
+
+    /**
+     * Save the doctors of the current load as a period
+     * @param {Array} doctors - Processed doctors
+     * @param {Object} meta - { label, date (YYYY-MM-DD), fileName }
+     * @returns {Promise<Object>} Snapshot metadata
+     */
+    async save(doctors, { label, date, fileName = null }) {
+      if (!this.isAvailable()) {
+        throw new Error('IndexedDB não disponível neste navegador');
+      }
+      
+      const entry = {
+        id: `${date}|${Date.now()}`,
+        label: label || date,
+        date,
+        fileName,
+        savedAt: Date.now(),
+        count: doctors.length,
+        cutoffs: { ...segmentation.cutoffs },
+        doctors: doctors.map(doctor => ({
+          id: doctor.id,
+          name: doctor.name,
+          crm: doctor.crm || '',
+          uf: doctor.uf || '',
+          specialty: doctor.specialty,
+          volume: doctor.volume,
+          affinity: doctor.affinity,
+          segment: doctor.segment
+        }))
+      };
+      await MecobeStorage.db.put(this.storeName, entry);
+      utils.log(`Período "${entry.label}" salvo com ${entry.count} médicos`);
+      return this.meta(entry);
+    },
+
+    // Metadata only, oldest period first
+    async list() {
+      if (!this.isAvailable()) return [];
+      
+      try {
+        const entries = await MecobeStorage.db.getAll(this.storeName);
+        return entries
+          .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.savedAt - b.savedAt))
+          .map(entry => this.meta(entry));
+      } catch (error) {
+        utils.log(`Não foi possível listar os períodos: ${error.message}`, 'warn');
+        return [];
+      }
+    },
+
+    // Snapshot without the doctor list
+    meta({ doctors, ...meta }) {
+      return meta;
+    },
+
+    async get(id) {
+      const entry = await MecobeStorage.db.get(this.storeName, id);
+      if (!entry) {
+        throw new Error('Período não encontrado');
+      }
+      return entry;
+    },
+
+    async remove(id) {
+      if (!this.isAvailable()) return;
+      await MecobeStorage.db.delete(this.storeName, id);
+    },
+
+    /**
+     * Pair the doctors of two periods: same CRM/UF first, then the same name
+     * (without accents, titles and particles), then the same row id when the
+     * names are still similar (a spelling fix in a re-exported sheet). Two
+     * different CRMs are never paired.
+     * @returns {{pairs: Array<{from, to, matchedBy}>, added: Array, removed: Array}}
+     */
+    match(fromDoctors, toDoctors) {
+      const crmKey = doctor => (doctor.crm ? `${doctor.crm}/${doctor.uf || ''}` : '');
+      const conflict = (a, b) => Boolean(a.crm && b.crm && crmKey(a) !== crmKey(b));
+      const used = new Set();
+      const pairs = [];
+      const pending = [];
+      
+      const index = (key) => {
+        const map = new Map();
+        toDoctors.forEach(doctor => {
+          const value = key(doctor);
+          if (!value) return;
+          if (!map.has(value)) map.set(value, []);
+          map.get(value).push(doctor);
+        });
+        return map;
+      };
+      const take = (candidates, doctor) => (candidates || []).find(candidate => !used.has(candidate) && !conflict(doctor, candidate));
+      const pair = (from, to, matchedBy) => {
+        used.add(to);
+        pairs.push({ from, to, matchedBy });
+      };
+      
+      const byCrm = index(crmKey);
+      fromDoctors.forEach(doctor => {
+        const match = take(byCrm.get(crmKey(doctor)), doctor);
+        if (crmKey(doctor) && match) pair(doctor, match, 'crm');
+        else pending.push(doctor);
+      });
+      
+      const byName = index(doctor => duplicates.nameKey(doctor.name));
+      const unnamed = [];
+      pending.forEach(doctor => {
+        const match = take(byName.get(duplicates.nameKey(doctor.name)), doctor);
+        if (match) pair(doctor, match, 'name');
+        else unnamed.push(doctor);
+      });
+      
+      const byId = index(doctor => String(doctor.id));
+      const removed = unnamed.filter(doctor => {
+        const match = take(byId.get(String(doctor.id)), doctor);
+        const similar = match && duplicates.similarity(duplicates.nameKey(doctor.name), duplicates.nameKey(match.name)) >= CONFIG.duplicates.nameSimilarity;
+        if (similar) pair(doctor, match, 'id');
+        return !similar;
+      });
+      
+      return {
+        pairs,
+        added: toDoctors.filter(doctor => !used.has(doctor)),
+        removed
+      };
+    },
+
+    /**
+     * Compare two saved periods
+     * @param {string} fromId - Earlier snapshot id
+     * @param {string} toId - Later snapshot id
+     * @returns {Promise<Object>} { from, to, matrix[fromSegment][toSegment],
+     *   added/removed counts per segment, rows with volume/affinity deltas }
+     */
+    async compare(fromId, toId) {
+      const [from, to] = await Promise.all([this.get(fromId), this.get(toId)]);
+      const { pairs, added, removed } = this.match(from.doctors, to.doctors);
+      
+      const matrix = {};
+      const countBySegment = () => Object.fromEntries(this.segments.map(segment => [segment, 0]));
+      this.segments.forEach(segment => {
+        matrix[segment] = countBySegment();
+      });
+      pairs.forEach(({ from: before, to: after }) => {
+        if (matrix[before.segment] && matrix[before.segment][after.segment] !== undefined) {
+          matrix[before.segment][after.segment]++;
+        }
+      });
+      
+      const addedBySegment = countBySegment();
+      added.forEach(doctor => addedBySegment[doctor.segment]++);
+      const removedBySegment = countBySegment();
+      removed.forEach(doctor => removedBySegment[doctor.segment]++);
+      
+      const delta = (after, before) => (Number.isFinite(after) && Number.isFinite(before) ? Math.round((after - before) * 100) / 100 : null);
+      const rows = pairs.map(({ from: before, to: after, matchedBy }) => ({
+        name: after.name,
+        crm: after.crm || before.crm,
+        uf: after.uf || before.uf,
+        matchedBy,
+        from: before,
+        to: after,
+        volumeDelta: delta(after.volume, before.volume),
+        affinityDelta: delta(after.affinity, before.affinity)
+      }))
+        .concat(added.map(doctor => ({ name: doctor.name, crm: doctor.crm, uf: doctor.uf, matchedBy: null, from: null, to: doctor, volumeDelta: null, affinityDelta: null })))
+        .concat(removed.map(doctor => ({ name: doctor.name, crm: doctor.crm, uf: doctor.uf, matchedBy: null, from: doctor, to: null, volumeDelta: null, affinityDelta: null })));
+      
+      return {
+        from: this.meta(from),
+        to: this.meta(to),
+        segments: this.segments.slice(),
+        matrix,
+        matched: pairs.length,
+        added: addedBySegment,
+        removed: removedBySegment,
+        rows
+      };
+    }
+  };
+
+  /**
+   * Notes, dated interactions and follow-up dates per doctor, kept in
+   * IndexedDB. Entries are keyed to doctors like the rep assignments
+   * (CRM/UF, else name and specialty) and checked against the saved name, so
+   * the log follows the doctor across reloads and can move between machines
+   * as JSON.
+   */
+  const interactionLog = {
+    storeName: 'interactions',
+    types: ['note', 'visit', 'call', 'event'],
+    format: 'mecobe-interactions',
+    entries: [], // Every entry, read by load() so filters can use them synchronously
+
+    isAvailable() {
+      return typeof MecobeStorage !== 'undefined' && MecobeStorage.db.isAvailable();
+    },
+
+    async load() {
+      this.entries = this.isAvailable() ? await MecobeStorage.db.getAll(this.storeName) : [];
+      return this.entries.length;
+    },
+
+    /**
+     * Check an entry
+     * @param {Object} entry - { doctorKey, type, date, text, followUp }
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validate(entry) {
+      if (!entry || typeof entry !== 'object') {
+        return ['O registro deve ser um objeto.'];
+      }
+      
+      const errors = [];
+      if (typeof entry.doctorKey !== 'string' || !entry.doctorKey) {
+        errors.push('Registro sem médico.');
+      }
+      if (!this.types.includes(entry.type)) {
+        errors.push(`Tipo deve ser ${this.types.join(', ')}.`);
+      }
+      if (!visitPlan.isDate(entry.date)) {
+        errors.push('Informe a data no formato AAAA-MM-DD.');
+      }
+      if (typeof entry.text !== 'string' || (entry.type === 'note' && !entry.text.trim())) {
+        errors.push('Escreva o texto da anotação.');
+      }
+      if (entry.followUp && !visitPlan.isDate(entry.followUp)) {
+        errors.push('O retorno deve ser uma data no formato AAAA-MM-DD.');
+      }
+      
+      return errors;
+    },
+
+    /**
+     * Log a note or interaction
+     * @param {Object} doctor - Doctor the entry belongs to
+     * @param {Object} entry - { type, date (YYYY-MM-DD), text, followUp (YYYY-MM-DD or '') }
+     * @returns {Promise<Object>} Saved entry
+     */
+    async add(doctor, { type, date, text = '', followUp = '' }) {
+      if (!this.isAvailable()) {
+        throw new Error('IndexedDB não disponível neste navegador');
+      }
+      
+      const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        doctorKey: territory.keyOf(doctor),
+        doctorName: doctor.name,
+        type,
+        date,
+        text: text.trim(),
+        followUp: followUp || '',
+        createdAt: new Date().toISOString()
+      };
+      
+      const errors = this.validate(entry);
+      if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+      }
+      
+      await MecobeStorage.db.put(this.storeName, entry);
+      this.entries.push(entry);
+      return entry;
+    },
+
+    async remove(id) {
+      await MecobeStorage.db.delete(this.storeName, id);
+      this.entries = this.entries.filter(entry => entry.id !== id);
+    },
+
+    // A CRM typed on the wrong row in a later sheet must not bring the log along
+    belongsTo(entry, doctor) {
+      return !entry.doctorName || duplicates.similarity(
+        duplicates.nameKey(entry.doctorName),
+        duplicates.nameKey(doctor.name)
+      ) >= CONFIG.duplicates.nameSimilarity;
+    },
+
+    // Entries of a doctor, newest first
+    list(doctor) {
+      const key = territory.keyOf(doctor);
+      return this.entries
+        .filter(entry => entry.doctorKey === key && this.belongsTo(entry, doctor))
+        .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /**
+     * Set `lastInteraction` (date of the latest visit, call or event) and
+     * `followUp` (earliest open follow-up) on each doctor, '' when none. A
+     * follow-up stays open until an interaction is logged after its entry.
+     * @param {Array} doctors - Doctors to update
+     */
+    apply(doctors) {
+      const byKey = new Map();
+      this.entries.forEach(entry => {
+        if (!byKey.has(entry.doctorKey)) byKey.set(entry.doctorKey, []);
+        byKey.get(entry.doctorKey).push(entry);
+      });
+      
+      doctors.forEach(doctor => {
+        const entries = (byKey.get(territory.keyOf(doctor)) || []).filter(entry => this.belongsTo(entry, doctor));
+        const last = entries
+          .filter(entry => entry.type !== 'note')
+          .reduce((latest, entry) => (entry.date > latest ? entry.date : latest), '');
+        const open = entries
+          .filter(entry => entry.followUp && entry.date >= last)
+          .map(entry => entry.followUp)
+          .sort();
+        
+        doctor.lastInteraction = last;
+        doctor.followUp = open[0] || '';
+      });
+    },
+
+    // The whole log as a JSON-ready object
+    export() {
+      return {
+        format: this.format,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        entries: this.entries.slice().sort((a, b) => a.date.localeCompare(b.date))
+      };
+    },
+
+    /**
+     * Add the entries of an exported log; entries with an id already saved
+     * are replaced, so importing the same file twice changes nothing
+     * @param {Object} data - Result of export(), parsed
+     * @returns {Promise<{imported: number, skipped: number}>} Invalid entries are skipped
+     */
+    async import(data) {
+      if (!this.isAvailable()) {
+        throw new Error('IndexedDB não disponível neste navegador');
+      }
+      if (!data || data.format !== this.format || !Array.isArray(data.entries)) {
+        throw new Error('Arquivo não é uma exportação de interações do MECOBE.');
+      }
+      
+      let imported = 0;
+      for (const entry of data.entries) {
+        if (!entry || typeof entry.id !== 'string' || this.validate(entry).length > 0) continue;
+        await MecobeStorage.db.put(this.storeName, {
+          id: entry.id,
+          doctorKey: entry.doctorKey,
+          doctorName: entry.doctorName || '',
+          type: entry.type,
+          date: entry.date,
+          text: entry.text,
+          followUp: entry.followUp || '',
+          createdAt: entry.createdAt || new Date().toISOString()
+        });
+        imported++;
+      }
+      
+      await this.load();
+      utils.log(`${imported} interações importadas`);
+      return { imported, skipped: data.entries.length - imported };
+    }
+  };
+
+  /**
+   * Saved views: named dashboard states kept in localStorage. The loader
+   * only stores and checks them; `filters` and `view` are read by the
+   * dashboard, which ignores what it no longer understands.
+   *   { views: [{ id, name, filters, thresholds, view, savedAt }], defaultId }
+   */
+  const savedViews = {
+    storageKey: 'savedViews',
+    format: 'mecobe-views',
+    modes: ['quadrants', 'scatter'],
+    state: null,
+
+    load() {
+      if (!this.state) {
+        const saved = typeof MecobeStorage !== 'undefined' ? MecobeStorage.local.get(this.storageKey) : null;
+        const views = saved && Array.isArray(saved.views) ? saved.views.filter(view => this.validate(view).length === 0) : [];
+        this.state = {
+          views,
+          defaultId: saved && views.some(view => view.id === saved.defaultId) ? saved.defaultId : null
+        };
+      }
+      return this.state;
+    },
+
+    save() {
+      if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.set(this.storageKey, this.state);
+    },
+
+    /**
+     * Check a view
+     * @param {Object} view - { name, filters, thresholds?, view? }
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validate(view) {
+      if (!view || typeof view !== 'object') {
+        return ['A visão deve ser um objeto.'];
+      }
+      
+      const errors = [];
+      if (typeof view.name !== 'string' || !view.name.trim()) {
+        errors.push('Dê um nome à visão.');
+      }
+      if (!view.filters || typeof view.filters !== 'object' || Array.isArray(view.filters)) {
+        errors.push('A visão não tem filtros.');
+      }
+      if (view.view !== undefined && !this.modes.includes(view.view)) {
+        errors.push(`Modo de exibição deve ser ${this.modes.join(' ou ')}.`);
+      }
+      return errors;
+    },
+
+    list() {
+      const { views, defaultId } = this.load();
+      return JSON.parse(JSON.stringify(views)).map(view => ({ ...view, isDefault: view.id === defaultId }));
+    },
+
+    get(id) {
+      return this.list().find(view => view.id === id) || null;
+    },
+
+    getDefault() {
+      const { defaultId } = this.load();
+      return defaultId ? this.get(defaultId) : null;
+    },
+
+    // Copy of a view as stored, with the thresholds made safe
+    clean(view, id) {
+      return {
+        id,
+        name: view.name.trim(),
+        filters: JSON.parse(JSON.stringify(view.filters)),
+        thresholds: view.thresholds ? segmentation.normalize(view.thresholds) : null,
+        view: view.view || 'quadrants',
+        savedAt: view.savedAt || new Date().toISOString()
+      };
+    },
+
+    /**
+     * Save a view; one with the same name (ignoring case and accents) is replaced
+     * @param {Object} view - { name, filters, thresholds, view }
+     * @param {boolean} [makeDefault] - Also open it on startup
+     * @returns {Object} The saved view
+     */
+    add(view, makeDefault = false) {
+      const errors = this.validate(view);
+      if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+      }
+      
+      const state = this.load();
+      const name = utils.foldString(view.name);
+      const existing = state.views.find(item => utils.foldString(item.name) === name);
+      const saved = this.clean({ ...view, savedAt: null }, existing ? existing.id : `view-${Date.now().toString(36)}`);
+      
+      state.views = existing ?
+        state.views.map(item => (item === existing ? saved : item)) :
+        state.views.concat(saved);
+      if (makeDefault) state.defaultId = saved.id;
+      this.save();
+      return saved;
+    },
+
+    remove(id) {
+      const state = this.load();
+      state.views = state.views.filter(view => view.id !== id);
+      if (state.defaultId === id) state.defaultId = null;
+      this.save();
+    },
+
+    // null opens the dashboard without a view
+    setDefault(id) {
+      const state = this.load();
+      state.defaultId = state.views.some(view => view.id === id) ? id : null;
+      this.save();
+    },
+
+    /**
+     * Views in a JSON-ready object for another browser
+     * @param {Array<string>} [ids] - Views to include, all by default
+     */
+    export(ids = null) {
+      const { views, defaultId } = this.load();
+      const selected = ids ? views.filter(view => ids.includes(view.id)) : views;
+      return {
+        format: this.format,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        defaultId: selected.some(view => view.id === defaultId) ? defaultId : null,
+        views: selected
+      };
+    },
+
+    /**
+     * Add the views of an export. A view with the id or name of a saved one
+     * replaces it; the file's default is used when none is set here
+     * @returns {{imported: number, skipped: number}}
+     */
+    import(data) {
+      if (!data || data.format !== this.format || !Array.isArray(data.views)) {
+        throw new Error('Arquivo não é uma exportação de visões do MECOBE.');
+      }
+      
+      const state = this.load();
+      let imported = 0;
+      data.views.forEach(view => {
+        if (this.validate(view).length > 0) return;
+        const name = utils.foldString(view.name);
+        const existing = state.views.find(item => item.id === view.id || utils.foldString(item.name) === name);
+        const saved = this.clean(view, existing ? existing.id : (typeof view.id === 'string' && view.id) || `view-${Date.now().toString(36)}-${imported}`);
+        state.views = existing ?
+          state.views.map(item => (item === existing ? saved : item)) :
+          state.views.concat(saved);
+        if (!state.defaultId && view.id === data.defaultId) state.defaultId = saved.id;
+        imported++;
+      });
+      
+      this.save();
+      utils.log(`${imported} visões importadas`);
+      return { imported, skipped: data.views.length - imported };
+    }
+  };
+
+  // Validation report: row-level issues and the missing score policy
+  const validator = {
+    policies: ['exclude', 'impute'],
+    scoreFields: ['volume', 'affinity'],
+    lastReport: null,
+
+    getPolicy() {
+      const stored = typeof MecobeStorage !== 'undefined' ? MecobeStorage.local.get('validationPolicy') : null;
+      return this.policies.includes(stored) ? stored : CONFIG.missingValuePolicy;
+    },
+
+    setPolicy(policy) {
+      if (!this.policies.includes(policy)) {
+        throw new Error(`Política de validação desconhecida: ${policy}`);
+      }
+      if (typeof MecobeStorage !== 'undefined') MecobeStorage.local.set('validationPolicy', policy);
+    },
+
+    createReport(policy = this.getPolicy()) {
+      return {
+        policy,
+        totalRows: 0,
+        validRows: 0,
+        excludedRows: 0,
+        duplicateGroups: 0,
+        mergedRows: 0,
+        imputedRows: 0,
+        imputedValues: {},
+        issues: []
+      };
+    },
+
+    /**
+     * Record an issue
+     * @param {Object} report - Report being filled
+     * @param {Object} issue - { row, sheet, field, type, message, value? };
+     *   `row` is the spreadsheet row (originalRow) or null for sheet-level issues
+     */
+    addIssue(report, issue) {
+      report.issues.push({ value: '', ...issue });
+    },
+
+    median(values) {
+      return utils.percentile(values, 50);
+    },
+
+    /**
+     * Apply the policy to doctors with missing scores, flag repeated names,
+     * then normalize and segment the remaining doctors
+     * @param {Array} doctors - Doctors from processRawData (scores may be NaN)
+     * @param {Object} report - Report filled while processing the rows
+     * @returns {Array} Doctors kept
+     */
+    finalize(doctors, report) {
+      const medians = {};
+      this.scoreFields.forEach(field => {
+        const median = this.median(doctors.map(doctor => doctor[field]).filter(Number.isFinite));
+        medians[field] = Number.isFinite(median) ? Math.round(median) : CONFIG.neutralScore;
+      });
+      if (report.policy === 'impute') report.imputedValues = medians;
+      
+      this.flagDuplicateNames(doctors, report);
+      
+      const kept = [];
+      doctors.forEach(doctor => {
+        const missing = this.scoreFields.filter(field => !Number.isFinite(doctor[field]));
+        
+        if (missing.length > 0) {
+          if (report.policy === 'exclude') {
+            report.excludedRows++;
+            return;
+          }
+          missing.forEach(field => {
+            doctor[field] = medians[field];
+          });
+          doctor.imputed = missing;
+          report.imputedRows++;
+        }
+        
+        doctor.raw = { volume: doctor.volume, affinity: doctor.affinity };
+        kept.push(doctor);
+      });
+      
+      dataProcessor.normalizeScores(kept, normalization.getSettings());
+      segmentation.apply(kept);
+      territory.apply(kept);
+      interactionLog.apply(kept);
+      report.validRows = kept.length;
+      this.sortIssues(report);
+      return kept;
+    },
+
+    // Sheet order as loaded, then row; sheet-level issues (row null) first
+    sortIssues(report) {
+      const sheetOrder = [];
+      report.issues.forEach(issue => {
+        if (!sheetOrder.includes(issue.sheet)) sheetOrder.push(issue.sheet);
+      });
+      report.issues.sort((a, b) =>
+        (sheetOrder.indexOf(a.sheet) - sheetOrder.indexOf(b.sheet)) || ((a.row || 0) - (b.row || 0))
+      );
+    },
+
+    flagDuplicateNames(doctors, report) {
+      const firstSeen = new Map();
+      doctors.forEach(doctor => {
+        const key = utils.foldString(doctor.name).replace(/[^\w\s]/g, '').replace(/\s+/g, ' ');
+        const first = firstSeen.get(key);
+        if (!first) {
+          firstSeen.set(key, doctor);
+          return;
+        }
+        const where = first.sheet && first.sheet !== doctor.sheet ?
+          `${first.sheet}, linha ${first.originalRow}` :
+          `linha ${first.originalRow}`;
+        this.addIssue(report, {
+          row: doctor.originalRow,
+          sheet: doctor.sheet || null,
+          field: 'name',
+          type: 'duplicate-name',
+          message: `Nome repetido (também na ${where})`,
+          value: doctor.name
+        });
+      });
+    }
+  };
 
   // Main loader class
   const mainLoader = {
-    async loadData(filePath = null) {
+    lastSource: null, // Workbook, sheets and file name of the last load, kept for reprocessing
+
+    async loadData(filePath = null, options = {}) {
       try {
         const targetPath = filePath || CONFIG.excelFilePath;
         utils.log('Iniciando carregamento de dados Excel...');
@@ -320,17 +3160,7 @@ const ExcelLoader = (function() {
         // Load Excel file
         const arrayBuffer = await fileLoader.loadExcelFile(targetPath);
         
-        // Parse workbook
-        const workbook = excelParser.parseWorkbook(arrayBuffer);
-        
-        // Extract sheet data
-        const rawData = excelParser.extractSheetData(workbook, CONFIG.sheetName);
-        
-        // Process data
-        const processedData = dataProcessor.processRawData(rawData);
-        
-        utils.log(`Carregamento concluído: ${processedData.length} médicos carregados`);
-        return processedData;
+        return await this.processBuffer(arrayBuffer, { fileName: targetPath, ...options });
         
       } catch (error) {
         utils.log(`Erro no carregamento: ${error.message}`, 'error');
@@ -341,6 +3171,180 @@ const ExcelLoader = (function() {
       }
     },
 
+    /**
+     * Load a spreadsheet picked or dropped by the user.
+     * Unlike loadData, errors are thrown so the UI can report them.
+     * @param {File} file - Local spreadsheet file
+     * @param {Object} options - Load options (see processBuffer)
+     * @returns {Promise<Array>} Processed doctors
+     */
+    async loadFromFile(file, options = {}) {
+      if (!file) {
+        throw new Error('Nenhum arquivo selecionado');
+      }
+
+      const arrayBuffer = await fileLoader.readFile(file);
+      const processedData = await this.processBuffer(arrayBuffer, { fileName: file.name, ...options });
+
+      // All rows rejected by validation still count as a load: the report explains why
+      if (processedData.length === 0 && validator.lastReport.excludedRows === 0) {
+        throw new Error('Nenhum médico válido encontrado no arquivo');
+      }
+
+      await recentFiles.add(file, arrayBuffer);
+      return processedData;
+    },
+
+    /**
+     * Reload a file from the recent files list
+     * @param {string} id - Recent file id
+     * @param {Object} options - Load options (see processBuffer)
+     * @returns {Promise<Array>} Processed doctors
+     */
+    async loadRecentFile(id, options = {}) {
+      const entry = await recentFiles.get(id);
+      utils.log(`Reabrindo arquivo recente: ${entry.name}`);
+      return this.processBuffer(entry.buffer, { fileName: entry.name, ...options });
+    },
+
+    /**
+     * Parse and process a workbook, CSV/TSV or JSON buffer
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @param {Object} options - Load options
+     * @param {string} [options.fileName] - Used to pick the format parser
+     * @param {Function} [options.onMappingRequired] - Async hook asked for a column map
+     * @param {boolean} [options.forceMapping] - Ask for the column map even if one is saved
+     * @param {string} [options.policy] - Missing score policy, defaults to the saved one
+     * @param {Function} [options.onDuplicatesFound] - Async hook asked which duplicate groups to merge
+     * @returns {Promise<Array>} Processed doctors
+     */
+    async processBuffer(arrayBuffer, options = {}) {
+      // Parse into the common workbook-like shape
+      const workbook = formatParsers.parse(arrayBuffer, options.fileName);
+      
+      return this.processSource({ workbook, fileName: options.fileName }, options);
+    },
+
+    /**
+     * Process the last loaded workbook again, e.g. after changing the column map
+     * @param {Object} options - Load options (see processBuffer)
+     * @param {boolean} [options.selectSheets] - Ask again which sheets to load
+     * @param {boolean} [options.reviewDuplicates] - Ask again which duplicates to merge
+     * @returns {Promise<Array>} Processed doctors
+     */
+    async reprocess(options = {}) {
+      if (!this.lastSource) {
+        throw new Error('Nenhuma planilha carregada para reprocessar');
+      }
+
+      const source = options.selectSheets ?
+        { workbook: this.lastSource.workbook, fileName: this.lastSource.fileName } :
+        this.lastSource;
+
+      return this.processSource(source, options);
+    },
+
+    /**
+     * Decide which sheets to read: CONFIG.sheetName, options.sheets,
+     * the `onSheetSelection` hook for multi-sheet workbooks, or the first sheet
+     */
+    async selectSheets(workbook, options, fileName) {
+      if (CONFIG.sheetName) return [CONFIG.sheetName];
+      if (options.sheets && options.sheets.length) return options.sheets;
+      if (workbook.SheetNames.length < 2 || typeof options.onSheetSelection !== 'function') {
+        return [workbook.SheetNames[0]];
+      }
+
+      const selected = await options.onSheetSelection({
+        fileName,
+        sheets: workbook.SheetNames.map(name => ({ name, rows: workbook.getRowCount(name) }))
+      });
+
+      if (!selected || selected.length === 0) {
+        const error = new Error('Seleção de planilhas cancelada');
+        error.cancelled = true;
+        throw error;
+      }
+
+      return selected;
+    },
+
+    async processSource(source, options) {
+      const sheetNames = source.sheetNames || await this.selectSheets(source.workbook, options, source.fileName);
+      const isMerged = sheetNames.length > 1;
+      const mapsBySignature = {};
+      const report = validator.createReport(options.policy);
+      let processedData = [];
+      
+      for (const sheetName of sheetNames) {
+        // Extract sheet data
+        const rawData = source.workbook.getRows(sheetName);
+        
+        if (isMerged && rawData.length < 2) {
+          utils.log(`Planilha "${sheetName}" sem dados, ignorada`, 'warn');
+          continue;
+        }
+        
+        // Sheets sharing a header layout reuse the mapping chosen for the first one
+        const signature = rawData.length ? columnMapper.signature(rawData[0]) : '';
+        if (!mapsBySignature[signature]) {
+          mapsBySignature[signature] = await columnMapper.resolve(rawData, options);
+        }
+        
+        // Process data
+        const doctors = dataProcessor.processRawData(rawData, mapsBySignature[signature], {
+          name: sheetName,
+          qualifyIds: isMerged
+        }, report);
+        report.totalRows += rawData.slice(1).filter(row => row.some(cell => utils.normalizeString(cell))).length;
+        processedData = processedData.concat(doctors);
+      }
+      
+      report.excludedRows = report.issues.filter(issue => issue.type === 'missing-name').length;
+      const merged = await this.mergeDuplicates(processedData, source, options, report);
+      processedData = merged.doctors;
+      datasetSettings.use(source.fileName ? source.fileName.split('/').pop() : null);
+      segmentation.load();
+      normalization.load();
+      processedData = validator.finalize(processedData, report);
+      validator.lastReport = report;
+      utils.log(`Validação: ${report.issues.length} problema(s), ${report.excludedRows} linha(s) excluída(s), ${report.imputedRows} imputada(s)`);
+      
+      this.lastSource = { workbook: source.workbook, sheetNames, fileName: source.fileName, duplicateDecision: merged.decision };
+      utils.log(`Carregamento concluído: ${processedData.length} médicos carregados de ${sheetNames.length} planilha(s)`);
+      return processedData;
+    },
+
+    /**
+     * Find duplicate doctors and merge the groups confirmed through the
+     * `onDuplicatesFound` hook. The decision is reused when the same source
+     * is reprocessed, unless `options.reviewDuplicates` asks again.
+     * @returns {Promise<{doctors: Array, decision: Object|null}>} Decision is
+     *   { policy, keys } with the keys of the merged groups
+     */
+    async mergeDuplicates(doctors, source, options, report) {
+      const groups = duplicates.find(doctors);
+      report.duplicateGroups = groups.length;
+      
+      let decision = options.reviewDuplicates ? null : source.duplicateDecision || null;
+      if (!decision && groups.length > 0 && typeof options.onDuplicatesFound === 'function') {
+        const policy = duplicates.getPolicy();
+        decision = await options.onDuplicatesFound({ groups, policy, policies: duplicates.policies }) ||
+          { policy, keys: [] };
+        duplicates.setPolicy(decision.policy);
+      }
+      
+      if (!decision) return { doctors, decision };
+      
+      const keys = new Set(decision.keys);
+      const selected = groups.filter(group => keys.has(group.key));
+      report.mergedRows = selected.reduce((sum, group) => sum + group.doctors.length - 1, 0);
+      if (selected.length) {
+        utils.log(`Duplicados: ${selected.length} grupo(s) combinados (${decision.policy}), ${report.mergedRows} linha(s) absorvida(s)`);
+      }
+      return { doctors: duplicates.merge(doctors, selected, decision.policy), decision };
+    },
+
     getFallbackData() {
       // Return minimal fallback data if Excel loading fails
       return [
@@ -354,10 +3358,170 @@ const ExcelLoader = (function() {
   // Public API
   return {
     loadData: mainLoader.loadData.bind(mainLoader),
+    loadFromFile: mainLoader.loadFromFile.bind(mainLoader),
+    loadFromBuffer: mainLoader.processBuffer.bind(mainLoader),
+    loadRecentFile: mainLoader.loadRecentFile.bind(mainLoader),
+    reprocess: mainLoader.reprocess.bind(mainLoader),
+    registerParser: formatParsers.register.bind(formatParsers),
+    getSupportedExtensions: formatParsers.getExtensions.bind(formatParsers),
+    getSourceFormat: () => (mainLoader.lastSource ? mainLoader.lastSource.workbook.format : null),
+    hasSource: () => mainLoader.lastSource !== null,
+    getSheetNames: () => (mainLoader.lastSource ? mainLoader.lastSource.workbook.SheetNames.slice() : []),
+    getLoadedSheets: () => (mainLoader.lastSource ? mainLoader.lastSource.sheetNames.slice() : []),
+    getSourceFileName: () => (mainLoader.lastSource ? mainLoader.lastSource.fileName : null),
+    getValidationReport: () => validator.lastReport,
     config: CONFIG,
     version: '1.0.0',
     
+    // Recent files
+    recentFiles: {
+      list: recentFiles.list.bind(recentFiles),
+      remove: recentFiles.remove.bind(recentFiles)
+    },
+    
+    // Period snapshots
+    snapshots: {
+      segments: snapshots.segments,
+      isAvailable: snapshots.isAvailable.bind(snapshots),
+      save: snapshots.save.bind(snapshots),
+      list: snapshots.list.bind(snapshots),
+      remove: snapshots.remove.bind(snapshots),
+      match: snapshots.match.bind(snapshots),
+      compare: snapshots.compare.bind(snapshots)
+    },
+    
+    // Column mapping
+    columnFields: dataProcessor.columnFields,
+    analyzeColumns: dataProcessor.analyzeColumns.bind(dataProcessor),
+    mappings: {
+      get: columnMapper.getSaved.bind(columnMapper),
+      save: columnMapper.save.bind(columnMapper),
+      remove: columnMapper.remove.bind(columnMapper)
+    },
+    
+    // Segmentation thresholds
+    segmentation: {
+      modes: segmentation.modes,
+      getSettings: segmentation.getSettings.bind(segmentation),
+      getCutoffs: () => ({ ...segmentation.cutoffs }),
+      resolve: segmentation.resolve.bind(segmentation),
+      apply: segmentation.apply.bind(segmentation)
+    },
+    
+    // Specialty taxonomy
+    taxonomy: {
+      get: taxonomy.get.bind(taxonomy),
+      set: taxonomy.set.bind(taxonomy),
+      getDefaults: taxonomy.defaults.bind(taxonomy),
+      validate: taxonomy.validate.bind(taxonomy),
+      classify: taxonomy.classify.bind(taxonomy),
+      getLabel: taxonomy.getLabel.bind(taxonomy),
+      apply: taxonomy.apply.bind(taxonomy),
+      findUnmapped: taxonomy.findUnmapped.bind(taxonomy),
+      addSynonym: taxonomy.addSynonym.bind(taxonomy)
+    },
+    
+    // Score normalization
+    normalization: {
+      modes: normalization.modes,
+      getSettings: normalization.getSettings.bind(normalization),
+      apply: normalization.apply.bind(normalization)
+    },
+    
+    // Priority rules
+    priorities: {
+      get: priorityRules.get.bind(priorityRules),
+      set: priorityRules.set.bind(priorityRules),
+      getDefaults: priorityRules.defaults.bind(priorityRules),
+      validate: priorityRules.validate.bind(priorityRules),
+      preview: priorityRules.preview.bind(priorityRules),
+      opportunityKeys: priorityRules.opportunityKeys.bind(priorityRules),
+      apply: priorityRules.apply.bind(priorityRules)
+    },
+    
+    // Potential revenue model
+    revenue: {
+      sources: revenueModel.sources,
+      get: revenueModel.get.bind(revenueModel),
+      set: revenueModel.set.bind(revenueModel),
+      getDefaults: revenueModel.defaults.bind(revenueModel),
+      validate: revenueModel.validate.bind(revenueModel),
+      estimate: revenueModel.estimate.bind(revenueModel),
+      summarize: revenueModel.summarize.bind(revenueModel)
+    },
+    
+    // Rep territories and doctor assignments
+    territory: {
+      getReps: territory.getReps.bind(territory),
+      setReps: territory.setReps.bind(territory),
+      validateReps: territory.validateReps.bind(territory),
+      keyOf: territory.keyOf.bind(territory),
+      repOf: territory.repOf.bind(territory),
+      workload: territory.workload.bind(territory),
+      assign: territory.assign.bind(territory),
+      apply: territory.apply.bind(territory),
+      balance: territory.balance.bind(territory),
+      summarize: territory.summarize.bind(territory)
+    },
+    
+    // Monthly visit planner
+    visits: {
+      get: visitPlan.get.bind(visitPlan),
+      set: visitPlan.set.bind(visitPlan),
+      getDefaults: visitPlan.defaults.bind(visitPlan),
+      validate: visitPlan.validate.bind(visitPlan),
+      workingDays: visitPlan.workingDays.bind(visitPlan),
+      generate: visitPlan.generate.bind(visitPlan)
+    },
+    
+    // Notes and interaction log
+    interactions: {
+      types: interactionLog.types,
+      isAvailable: interactionLog.isAvailable.bind(interactionLog),
+      load: interactionLog.load.bind(interactionLog),
+      validate: interactionLog.validate.bind(interactionLog),
+      add: interactionLog.add.bind(interactionLog),
+      remove: interactionLog.remove.bind(interactionLog),
+      list: interactionLog.list.bind(interactionLog),
+      apply: interactionLog.apply.bind(interactionLog),
+      export: interactionLog.export.bind(interactionLog),
+      import: interactionLog.import.bind(interactionLog)
+    },
+    
+    // Saved views (named filter presets)
+    views: {
+      modes: savedViews.modes,
+      validate: savedViews.validate.bind(savedViews),
+      list: savedViews.list.bind(savedViews),
+      get: savedViews.get.bind(savedViews),
+      getDefault: savedViews.getDefault.bind(savedViews),
+      save: savedViews.add.bind(savedViews),
+      remove: savedViews.remove.bind(savedViews),
+      setDefault: savedViews.setDefault.bind(savedViews),
+      export: savedViews.export.bind(savedViews),
+      import: savedViews.import.bind(savedViews)
+    },
+    
+    // Duplicate detection and merging
+    duplicates: {
+      policies: duplicates.policies,
+      getPolicy: duplicates.getPolicy.bind(duplicates),
+      setPolicy: duplicates.setPolicy.bind(duplicates),
+      find: duplicates.find.bind(duplicates),
+      merge: duplicates.merge.bind(duplicates)
+    },
+    
+    // Validation
+    validation: {
+      policies: validator.policies,
+      getPolicy: validator.getPolicy.bind(validator),
+      setPolicy: validator.setPolicy.bind(validator)
+    },
+    
     // Utility methods
+    parseNumber: utils.parseNumber.bind(utils),
+    parseCRM: utils.parseCRM.bind(utils),
+    parseUF: utils.parseUF.bind(utils),
     parseSpecialty: utils.parseSpecialty.bind(utils),
     parseSegment: utils.parseSegment.bind(utils),
     parsePriority: utils.parsePriority.bind(utils),
@@ -366,8 +3530,24 @@ const ExcelLoader = (function() {
     debug: {
       utils,
       fileLoader,
+      recentFiles,
       excelParser,
+      textDecoder,
+      formatParsers,
       dataProcessor,
+      columnMapper,
+      validator,
+      taxonomy,
+      datasetSettings,
+      normalization,
+      segmentation,
+      priorityRules,
+      revenueModel,
+      territory,
+      visitPlan,
+      duplicates,
+      snapshots,
+      interactionLog,
       mainLoader
     }
   };
@@ -0,0 +1,155 @@
+/**
+ * Browser Storage Module
+ * Small wrappers around localStorage and IndexedDB for the MECOBE Dashboard
+ */
+
+// Storage Module using IIFE pattern
+const MecobeStorage = (function() {
+  'use strict';
+
+  // Configuration
+  const CONFIG = {
+    keyPrefix: 'mecobe:',
+    dbName: 'mecobe-dashboard',
+    dbVersion: 3,
+    // Object stores created on upgrade; every store uses `id` as key path
+    stores: ['recentFiles', 'snapshots', 'interactions'],
+    debug: true
+  };
+
+  // Utility functions
+  const utils = {
+    log(message, type = 'log') {
+      if (CONFIG.debug && console && console[type]) {
+        console[type](`[Storage] ${message}`);
+      }
+    },
+
+    // Wrap an IDBRequest in a promise
+    promisify(request) {
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+  };
+
+  // localStorage wrapper (JSON values, namespaced keys)
+  const local = {
+    get(key, fallback = null) {
+      try {
+        const raw = window.localStorage.getItem(CONFIG.keyPrefix + key);
+        return raw === null ? fallback : JSON.parse(raw);
+      } catch (error) {
+        utils.log(`Erro ao ler "${key}": ${error.message}`, 'warn');
+        return fallback;
+      }
+    },
+
+    set(key, value) {
+      try {
+        window.localStorage.setItem(CONFIG.keyPrefix + key, JSON.stringify(value));
+        return true;
+      } catch (error) {
+        utils.log(`Erro ao salvar "${key}": ${error.message}`, 'warn');
+        return false;
+      }
+    },
+
+    remove(key) {
+      try {
+        window.localStorage.removeItem(CONFIG.keyPrefix + key);
+      } catch (error) {
+        utils.log(`Erro ao remover "${key}": ${error.message}`, 'warn');
+      }
+    }
+  };
+
+  // IndexedDB wrapper
+  const db = {
+    connection: null,
+
+    isAvailable() {
+      return typeof window !== 'undefined' && !!window.indexedDB;
+    },
+
+    open() {
+      if (this.connection) return this.connection;
+
+      this.connection = new Promise((resolve, reject) => {
+        if (!this.isAvailable()) {
+          reject(new Error('IndexedDB não disponível neste navegador'));
+          return;
+        }
+
+        const request = window.indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
+
+        request.onupgradeneeded = () => {
+          const database = request.result;
+          CONFIG.stores.forEach(store => {
+            if (!database.objectStoreNames.contains(store)) {
+              database.createObjectStore(store, { keyPath: 'id' });
+              utils.log(`Store criada: ${store}`);
+            }
+          });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a later retry if opening failed
+      this.connection.catch(() => {
+        this.connection = null;
+      });
+
+      return this.connection;
+    },
+
+    async transaction(store, mode, operation) {
+      const database = await this.open();
+      const objectStore = database.transaction(store, mode).objectStore(store);
+      return utils.promisify(operation(objectStore));
+    },
+
+    get(store, id) {
+      return this.transaction(store, 'readonly', s => s.get(id));
+    },
+
+    getAll(store) {
+      return this.transaction(store, 'readonly', s => s.getAll());
+    },
+
+    put(store, value) {
+      return this.transaction(store, 'readwrite', s => s.put(value));
+    },
+
+    delete(store, id) {
+      return this.transaction(store, 'readwrite', s => s.delete(id));
+    },
+
+    clear(store) {
+      return this.transaction(store, 'readwrite', s => s.clear());
+    }
+  };
+
+  // Public API
+  return {
+    local,
+    db: {
+      isAvailable: db.isAvailable.bind(db),
+      get: db.get.bind(db),
+      getAll: db.getAll.bind(db),
+      put: db.put.bind(db),
+      delete: db.delete.bind(db),
+      clear: db.clear.bind(db)
+    },
+    config: CONFIG,
+    version: '1.0.0'
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.MecobeStorage = MecobeStorage;
+}
\ No newline at end of file